@@ -0,0 +1,110 @@
+import {compileCrossConstraints} from '../../src/ebm/crossConstraints.js';
+
+describe('Cross-feature constraint rows', () => {
+    // Options are [target, score gain, distance, bin index], `d` and `color` are missing now
+    const curValues = new Map([['a', 2], ['b', 1], ['c', 3], ['d', null], ['color', null]]);
+    const options = {
+        a: [[4, 0, 0, 5], [1, 0, 0, 6]],
+        b: [[2, 0, 0, 7]],
+        c: [[6, 0, 0, 1], [1, 0, 0, 2]],
+        d: [[5, 0, 0, 3]],
+        color: [['red', 0, 0, 0], ['blue', 0, 0, 1]]
+    };
+
+    /**
+     * Check a row on every plan that changes each feature to at most one option.
+     * @param {object} row Compiled row
+     * @param {function} holds plan values => true if the constraint holds
+     */
+    const expectSameFeasiblePlans = (row, holds) => {
+        const features = Object.keys(options);
+        const plans = features.reduce((partialPlans, f) => partialPlans.flatMap((plan) =>
+            [null, ...options[f]].map((option) => ({...plan, [f]: option}))
+        ), [{}]);
+
+        plans.forEach((plan) => {
+            const active = new Set(features.filter((f) => plan[f] !== null).map((f) => `${f}:${plan[f][3]}`));
+            const sum = row.vars.reduce((a, d) => a + (active.has(d.name) ? d.coef : 0), 0);
+            const isInRow = (row.lb === null || sum >= row.lb - 1e-9) && (row.ub === null || sum <= row.ub + 1e-9);
+
+            const values = new Map(features.map((f) => [f, plan[f] === null ? curValues.get(f) : plan[f][0]]));
+            const changed = new Set(features.filter((f) => plan[f] !== null));
+            expect(isInRow, `plan ${JSON.stringify(plan)}`).to.equal(holds(values, changed));
+        });
+    };
+
+    it('compiles linear inequalities around the current values', () => {
+        const constraints = ['<=', '>=', '='].map((op) => ({type: 'linear', coefs: {a: 1, b: -2}, op, value: 3}));
+        const rows = compileCrossConstraints(constraints, curValues, options);
+
+        // a - 2b = 0 now, so the options change the left side by their deltas
+        const vars = [{name: 'a:5', coef: 2}, {name: 'a:6', coef: -1}, {name: 'b:7', coef: -2}];
+        expect(rows).to.deep.equal([
+            {name: 'cross-cons-0', vars, lb: null, ub: 3},
+            {name: 'cross-cons-1', vars, lb: 3, ub: null},
+            {name: 'cross-cons-2', vars, lb: 3, ub: 3}
+        ]);
+
+        const sides = (values) => values.get('a') - 2 * values.get('b');
+        expectSameFeasiblePlans(rows[0], (values) => sides(values) <= 3);
+        expectSameFeasiblePlans(rows[1], (values) => sides(values) >= 3);
+    });
+
+    it('skips linear constraints on a missing value', () => {
+        const constraints = [{type: 'linear', coefs: {a: 1, d: 1}, op: '<=', value: 3}];
+        expect(compileCrossConstraints(constraints, curValues, options)).to.have.length(0);
+    });
+
+    it('compiles implications', () => {
+        const constraints = [
+            {type: 'implies', if: 'a', then: {feature: 'c', op: '>=', value: 5}},
+            // c >= 2 already holds, so only the options that break it turn the condition off
+            {type: 'implies', if: {feature: 'c', op: '>=', value: 2}, then: 'b'}
+        ];
+        const rows = compileCrossConstraints(constraints, curValues, options);
+
+        expect(rows[0]).to.deep.equal({
+            name: 'cross-cons-0',
+            vars: [{name: 'a:5', coef: 1}, {name: 'a:6', coef: 1}, {name: 'c:1', coef: -1}],
+            lb: null,
+            ub: 0
+        });
+        expect(rows[1]).to.deep.equal({
+            name: 'cross-cons-1',
+            vars: [{name: 'c:2', coef: -1}, {name: 'b:7', coef: -1}],
+            lb: null,
+            ub: -1
+        });
+
+        expectSameFeasiblePlans(rows[0], (values, changed) => !changed.has('a') || values.get('c') >= 5);
+        expectSameFeasiblePlans(rows[1], (values, changed) => values.get('c') < 2 || changed.has('b'));
+    });
+
+    it('compiles mutual exclusions', () => {
+        const constraints = [
+            // The missing color is in no list, so only the options can fulfill its condition
+            {type: 'exclusive', conditions: ['a', {feature: 'color', op: 'in', value: ['red']}]},
+            // c <= 4 already holds
+            {type: 'exclusive', conditions: [{feature: 'c', op: '<=', value: 4}, 'b']}
+        ];
+        const rows = compileCrossConstraints(constraints, curValues, options);
+
+        expect(rows[0]).to.deep.equal({
+            name: 'cross-cons-0',
+            vars: [{name: 'a:5', coef: 1}, {name: 'a:6', coef: 1}, {name: 'color:0', coef: 1}],
+            lb: null,
+            ub: 1
+        });
+        expect(rows[1]).to.deep.equal({
+            name: 'cross-cons-1',
+            vars: [{name: 'c:1', coef: -1}, {name: 'b:7', coef: 1}],
+            lb: null,
+            ub: 0
+        });
+
+        expectSameFeasiblePlans(rows[0], (values, changed) =>
+            Number(changed.has('a')) + Number(values.get('color') === 'red') <= 1);
+        expectSameFeasiblePlans(rows[1], (values, changed) =>
+            Number(values.get('c') <= 4) + Number(changed.has('b')) <= 1);
+    });
+});
@@ -0,0 +1,69 @@
+import {getDiversityExclusion, getPlanFeatures} from '../../src/ebm/diversity.js';
+import {EBM} from '../../src/ebm/ebm.js';
+import {GAMCoach} from '../../src/ebm/gamcoach.js';
+
+describe('Plan diversity', () => {
+    it('keeps the next plans at the Hamming distance with the hamming row', () => {
+        // Options are [target, score gain, distance, bin index]
+        const featuresToVary = ['a', 'b', 'c', 'd'];
+        const options = {
+            a: [[1, 0, 0, 0], [2, 0, 0, 1]],
+            b: [[1, 0, 0, 0]],
+            c: [[1, 0, 0, 0], [2, 0, 0, 1]],
+            d: [[1, 0, 0, 0]]
+        };
+        const earlierPlan = ['a:1', 'b:0'];
+
+        // Every plan that changes each feature to at most one option
+        const plans = featuresToVary.reduce((partialPlans, f) => partialPlans.flatMap((plan) =>
+            [plan, ...options[f].map((o) => [...plan, `${f}:${o[3]}`])]
+        ), [[]]);
+
+        [1, 2, 3].forEach((minDistance) => {
+            const {mutedVariables, rows} = getDiversityExclusion(
+                {strategy: 'hamming', minDistance}, earlierPlan, featuresToVary, options, 0
+            );
+            expect(mutedVariables).to.have.length(0);
+            expect(rows[0].lb).to.equal(minDistance - 2);
+
+            plans.forEach((plan) => {
+                const active = new Set(plan);
+                const sum = rows[0].vars.reduce((a, d) => a + (active.has(d.name) ? d.coef : 0), 0);
+                const planFeatures = new Set(getPlanFeatures(plan, featuresToVary));
+                const distance = featuresToVary.filter((f) =>
+                    planFeatures.has(f) !== ['a', 'b'].includes(f)
+                ).length;
+                expect(sum >= rows[0].lb, `${plan} at distance ${distance}`).to.equal(distance >= minDistance);
+            });
+        });
+    });
+
+    it('stops cleanly when no further distinct plan exists', () => {
+        cy.readFile('src/data/cgm1-classifier.json').then((model) => {
+            cy.readFile('src/data/CGM-classifier-random-samples.json').then(async (samples) => {
+                const sample = samples[0];
+                const target = new EBM(model).predict([sample])[0] + 0.2;
+                const coach = new GAMCoach(model);
+
+                // Each plan changes one of two features, and the next plans cannot reuse it
+                const cfs = await coach.generateCfs({
+                    curExample: [sample],
+                    totalCfs: 5,
+                    targetRange: [target, Infinity],
+                    featuresToVary: ['alcohol', 'volatile_acidity'],
+                    maxNumFeaturesToVary: 1,
+                    diversity: {strategy: 'feature'}
+                });
+                expect(cfs.data).to.have.length(2);
+                expect(cfs.isExhausted).to.equal(true);
+                expect(cfs.isTimedOut).to.equal(false);
+                expect(cfs.diversityScores).to.deep.equal([null, 2]);
+
+                // The next generation finds nothing new either
+                const subCfs = await coach.generateSubCfs(cfs.nextCfConfig);
+                expect(subCfs.data).to.have.length(0);
+                expect(subCfs.isExhausted).to.equal(true);
+            });
+        });
+    });
+});
@@ -0,0 +1,79 @@
+import {EBMLocal} from '../../src/ebm/ebmLocal.js';
+
+describe('EBMLocal updates', () => {
+    const loadLocal = (callback) => {
+        cy.readFile('src/data/cgm1-classifier.json').then((model) => {
+            cy.readFile('src/data/CGM-classifier-random-samples.json').then((samples) => {
+                callback(model, samples[0], new EBMLocal(model, samples[0]));
+            });
+        });
+    };
+
+    // The scores of an updated EBMLocal match a new one on the updated sample
+    const expectSameScore = (ebmLocal, model, sample) => {
+        const fresh = new EBMLocal(model, sample);
+        expect(ebmLocal.sample).to.deep.equal(sample);
+        expect(ebmLocal.predScore).to.be.closeTo(fresh.predScore, 1e-12);
+    };
+
+    it('applies several changes as one step', () => {
+        loadLocal((model, sample, ebmLocal) => {
+            ebmLocal.updateFeatures({alcohol: 13.5, pH: null});
+
+            const changed = sample.slice();
+            changed[model.featureNames.indexOf('alcohol')] = 13.5;
+            changed[model.featureNames.indexOf('pH')] = null;
+            expectSameScore(ebmLocal, model, changed);
+            expect(ebmLocal.undoStack).to.have.length(1);
+        });
+    });
+
+    it('changes nothing if one of the features is invalid', () => {
+        loadLocal((model, sample, ebmLocal) => {
+            expect(() => ebmLocal.updateFeatures({alcohol: 13.5, unknown_feature: 1}))
+                .to.throw('Only continuous and categorical features can be updated');
+            expectSameScore(ebmLocal, model, sample);
+            expect(ebmLocal.canUndo).to.equal(false);
+        });
+    });
+
+    it('undoes, redoes and resets the changes', () => {
+        loadLocal((model, sample, ebmLocal) => {
+            const alcoholIndex = model.featureNames.indexOf('alcohol');
+            const densityIndex = model.featureNames.indexOf('density');
+            const first = sample.slice();
+            first[alcoholIndex] = 13.5;
+            const second = first.slice();
+            second[densityIndex] = 0.99;
+
+            ebmLocal.updateFeature('alcohol', 13.5);
+            ebmLocal.updateFeature('density', 0.99);
+            expectSameScore(ebmLocal, model, second);
+
+            expect(ebmLocal.undo()).to.equal(true);
+            expectSameScore(ebmLocal, model, first);
+            expect(ebmLocal.canRedo).to.equal(true);
+
+            expect(ebmLocal.redo()).to.equal(true);
+            expectSameScore(ebmLocal, model, second);
+            expect(ebmLocal.redo()).to.equal(false);
+
+            // The reset is one step that can be undone
+            ebmLocal.reset();
+            expectSameScore(ebmLocal, model, sample);
+            expect(ebmLocal.undo()).to.equal(true);
+            expectSameScore(ebmLocal, model, second);
+
+            // A new change drops the redo history
+            ebmLocal.undo();
+            ebmLocal.updateFeature('pH', 3.1);
+            expect(ebmLocal.canRedo).to.equal(false);
+
+            expect(ebmLocal.undo()).to.equal(true);
+            expectSameScore(ebmLocal, model, first);
+            expect(ebmLocal.undo()).to.equal(true);
+            expect(ebmLocal.undo()).to.equal(false);
+            expectSameScore(ebmLocal, model, sample);
+        });
+    });
+});
@@ -0,0 +1,37 @@
+import {EBM} from '../../src/ebm/ebm.js';
+
+describe('EBM scoring', () => {
+    it('agrees with countScore on the bundled model', () => {
+        cy.readFile('src/data/cgm1-classifier.json').then((model) => {
+            cy.readFile('src/data/CGM-classifier-random-samples.json').then((samples) => {
+                const ebm = new EBM(model);
+                const scores = ebm.predict(samples, true);
+
+                expect(scores).to.have.length(samples.length);
+                samples.forEach((sample, i) => {
+                    const expected = ebm.sumScores(ebm.countScore(sample));
+                    expect(scores[i], `score of sample ${i}`).to.be.closeTo(expected, 1e-12);
+                });
+            });
+        });
+    });
+
+    it('matches the original scoring code on the saved model', () => {
+        cy.fixture('saved-model-predictions.json').then(({predictions}) => {
+            cy.readFile('src/data/cgm1-classifier.json').then((model) => {
+                cy.readFile('src/data/CGM-classifier-random-samples.json').then((allSamples) => {
+                    const samples = allSamples.slice(0, predictions.length);
+                    const ebm = new EBM(model);
+
+                    // The regressor uses the identity link, so the raw scores are the predictions
+                    const scores = ebm.predict(samples, true);
+                    const responses = ebm.predict(samples);
+                    predictions.forEach((prediction, i) => {
+                        expect(scores[i], `score of sample ${i}`).to.be.closeTo(prediction, 1e-9);
+                        expect(responses[i], `prediction of sample ${i}`).to.be.closeTo(prediction, 1e-9);
+                    });
+                });
+            });
+        });
+    });
+});
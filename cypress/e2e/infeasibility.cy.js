@@ -0,0 +1,23 @@
+import {findMinimalConflict} from '../../src/ebm/infeasibility.js';
+
+describe('Infeasibility diagnosis', () => {
+    // Plans exist once `a` or both `b` and `c` are relaxed
+    const candidates = ['a', 'b', 'c', 'd'].map((feature) => ({type: 'lock', feature}));
+    const isFeasible = async (relaxed) => {
+        const names = relaxed.map((d) => d.feature);
+        return names.includes('a') || (names.includes('b') && names.includes('c'));
+    };
+
+    it('finds a minimal conflict with the deletion filter', async () => {
+        const conflict = await findMinimalConflict(candidates, isFeasible);
+        expect(conflict.map((d) => d.feature)).to.deep.equal(['a', 'c']);
+    });
+
+    it('stops when a check is not known', async () => {
+        // The solver runs out of time once `b` is relaxed
+        const isFeasibleInTime = async (relaxed) =>
+            relaxed.some((d) => d.feature === 'b') ? null : isFeasible(relaxed);
+        const conflict = await findMinimalConflict(candidates, isFeasibleInTime);
+        expect(conflict).to.equal(null);
+    });
+});
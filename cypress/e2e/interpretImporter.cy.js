@@ -0,0 +1,37 @@
+import {importInterpretModel} from '../../src/ebm/interpretImporter.js';
+import {EBM} from '../../src/ebm/ebm.js';
+
+describe('InterpretML importer', () => {
+    it('scores like InterpretML, also on missing values and unseen levels', () => {
+        cy.fixture('interpret-unseen-level.json').then(({export: exportJson, samples, scores}) => {
+            const {model, report} = importInterpretModel(exportJson);
+            expect(report.errors).to.have.length(0);
+
+            const predScores = new EBM(model).predict(samples, true);
+            scores.forEach((score, i) => {
+                expect(predScores[i], `sample ${i}`).to.be.closeTo(score, 1e-9);
+            });
+        });
+    });
+
+    it('rejects interactions that score unseen levels', () => {
+        cy.fixture('interpret-unseen-level.json').then(({export: exportJson}) => {
+            const changedJson = structuredClone(exportJson);
+            changedJson.ebm.terms[2].scores[1][4] = 0.3;
+            expect(() => importInterpretModel(changedJson)).to.throw('scores unseen levels of `color`');
+        });
+    });
+
+    it('rejects interactions that score missing values', () => {
+        cy.fixture('interpret-unseen-level.json').then(({export: exportJson}) => {
+            // The fixture's interaction has a zero missing bin in both dimensions
+            const changedJson = structuredClone(exportJson);
+            changedJson.ebm.terms[2].scores[0][2] = 0.4;
+            expect(() => importInterpretModel(changedJson)).to.throw('scores missing values of `age`');
+
+            const changedJson2 = structuredClone(exportJson);
+            changedJson2.ebm.terms[2].scores[1][0] = 0.4;
+            expect(() => importInterpretModel(changedJson2)).to.throw('scores missing values of `color`');
+        });
+    });
+});
@@ -0,0 +1,34 @@
+import {ModelEditor} from '../../src/ebm/modelEditor.js';
+import {validateModel} from '../../src/ebm/modelValidator.js';
+import {EBM} from '../../src/ebm/ebm.js';
+import {GAMCoach} from '../../src/ebm/gamcoach.js';
+
+describe('Model editor', () => {
+    it('exports an edited model that GAMCoach generates plans from', () => {
+        cy.readFile('src/data/cgm1-classifier.json').then((model) => {
+            cy.readFile('src/data/CGM-classifier-random-samples.json').then(async (samples) => {
+                const editor = new ModelEditor(model);
+                const numBins = model.features.find((f) => f.name === 'alcohol').additive.length;
+                editor.monotonize('alcohol', 0, numBins, 'increasing');
+                editor.shiftToIntercept('alcohol');
+                expect(editor.editLog.map((d) => d.type)).to.deep.equal(['monotonize', 'shiftToIntercept']);
+
+                const edited = editor.exportModel();
+                const report = validateModel(edited, {forCoach: true});
+                expect(report.errors).to.have.length(0);
+
+                // The plan reaches the target under the edited shape function
+                const ebm = new EBM(edited);
+                const sample = samples[0];
+                const target = ebm.predict([sample])[0] + 1;
+                const cfs = await new GAMCoach(edited).generateCfs({
+                    curExample: [sample],
+                    totalCfs: 1,
+                    targetRange: [target, Infinity]
+                });
+                expect(cfs.isSuccessful).to.equal(true);
+                expect(ebm.predict(cfs.data)[0] >= target - 1e-9, 'prediction of the plan').to.equal(true);
+            });
+        });
+    });
+});
@@ -35,4 +35,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['cypress/**/*.js'],
+    languageOptions: {
+      globals: { ...globals.mocha, cy: 'readonly', Cypress: 'readonly', expect: 'readonly' },
+    },
+  },
 ]
@@ -1,6 +1,21 @@
+import { useEffect, useState } from 'react'
 import MainContainer from './components/MainContainer.jsx'
+import ModelDiffView from './components/ModelDiffView.jsx'
 
 function App() {
+  // The model diff page is opened with the #diff hash
+  const [hash, setHash] = useState(window.location.hash)
+
+  useEffect(() => {
+    const onHashChange = () => setHash(window.location.hash)
+    window.addEventListener('hashchange', onHashChange)
+    return () => window.removeEventListener('hashchange', onHashChange)
+  }, [])
+
+  if (hash === '#diff') {
+    return <ModelDiffView></ModelDiffView>
+  }
+
   return <MainContainer></MainContainer>
 }
 
@@ -0,0 +1,121 @@
+import {useContext, useState} from 'react';
+import {TempConstraintsContext} from "./Contexts.jsx";
+import {costCurveTypes, findCostCurveIssue} from "../ebm/costCurves.js";
+import '../global.css';
+
+const costCurveTypeNames = {
+    piecewise: 'Linear between points',
+    table: 'Steps'
+};
+
+/**
+ * Turn the text rows of the editor into a cost curve.
+ * @param {string} type
+ * @param {string[][]} rows [[amount text, cost text]]
+ * @returns {object} {type, points}, where a text that is not a number becomes NaN
+ */
+const toCostCurve = function (type, rows) {
+    return {
+        type,
+        points: rows.map((row) => row.map((text) => text.trim() === '' ? NaN : Number(text)))
+    };
+}
+
+/**
+ * Edit the cost curve of a continuous feature, i.e. how much changing it by each amount costs
+ * (see costCurves.js). Like the other constraints, the curve is stored in the temporary
+ * constraints and only used when the plans are regenerated. An invalid curve is left out of the
+ * constraints until it is fixed.
+ * @param {string} featureName
+ * @param {object} defaultCurve The curve to start from, which costs as much as the default distance
+ */
+const CostCurveEditor = ({featureName, defaultCurve}) => {
+    const tempConstraints = useContext(TempConstraintsContext);
+    const initialCurve = tempConstraints.current.costCurves.get(featureName) ?? null;
+
+    const [isEnabled, setIsEnabled] = useState(initialCurve !== null);
+    const [type, setType] = useState((initialCurve ?? defaultCurve).type);
+    const [rows, setRows] = useState((initialCurve ?? defaultCurve).points.map((point) => point.map(String)));
+
+    const issue = isEnabled ? findCostCurveIssue(toCostCurve(type, rows)) : null;
+
+    const updateCurve = function (newIsEnabled, newType, newRows) {
+        setIsEnabled(newIsEnabled);
+        setType(newType);
+        setRows(newRows);
+
+        const curve = toCostCurve(newType, newRows);
+        if (newIsEnabled && findCostCurveIssue(curve) === null) {
+            tempConstraints.current.costCurves.set(featureName, curve);
+        } else {
+            tempConstraints.current.costCurves.delete(featureName);
+        }
+    }
+
+    const updateRow = function (rowIndex, columnIndex, text) {
+        const newRows = rows.map((row, i) => {
+            if (i !== rowIndex) return row;
+            const newRow = row.slice();
+            newRow[columnIndex] = text;
+            return newRow;
+        });
+        updateCurve(isEnabled, type, newRows);
+    }
+
+    // A new point doubles the amount and the cost of the last one
+    const addPoint = function () {
+        const [amount, cost] = toCostCurve(type, rows).points[rows.length - 1];
+        const newRow = Number.isFinite(amount) && Number.isFinite(cost)
+            ? [String(amount * 2), String(cost * 2)]
+            : ['', ''];
+        updateCurve(isEnabled, type, [...rows, newRow]);
+    }
+
+    return (
+        <div className="cost-curve-editor">
+            <label>
+                <input type="checkbox" checked={isEnabled}
+                       onChange={(e) => updateCurve(e.target.checked, type, rows)}/>
+                {' '}Cost curve
+            </label>
+            {isEnabled && <>
+                <select value={type} onChange={(e) => updateCurve(isEnabled, e.target.value, rows)}>
+                    {costCurveTypes.map((d) => <option key={d} value={d}>{costCurveTypeNames[d]}</option>)}
+                </select>
+                <table className="cost-curve-editor-points">
+                    <thead>
+                        <tr>
+                            <th>Change by</th>
+                            <th>Cost (MADs)</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map(([amount, cost], i) => (
+                            <tr key={i}>
+                                <td>
+                                    <input type="text" value={amount} aria-label={`Change of point ${i}`}
+                                           onChange={(e) => updateRow(i, 0, e.target.value)}/>
+                                </td>
+                                <td>
+                                    <input type="text" value={cost} aria-label={`Cost of point ${i}`}
+                                           onChange={(e) => updateRow(i, 1, e.target.value)}/>
+                                </td>
+                                <td>
+                                    <button disabled={rows.length === 1}
+                                            onClick={() => updateCurve(isEnabled, type, rows.filter((d, j) => j !== i))}>
+                                        Remove
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <button onClick={addPoint}>Add point</button>
+                {issue && <span className="cost-curve-issue">{issue}, plans use the default cost until then</span>}
+            </>}
+        </div>
+    );
+};
+
+export default CostCurveEditor;
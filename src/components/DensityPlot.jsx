@@ -1,9 +1,22 @@
 import {useRef, useEffect, useState, useContext} from 'react';
 import * as d3 from 'd3';
 import {TempConstraintsContext} from "./Contexts.jsx";
+import CostCurveEditor from "./CostCurveEditor.jsx";
+import {isMissing} from "../ebm/ebm.js";
 import '../global.css';
 
-const DensityPlot = ({data}) => {
+/**
+ * Parse the text of the what-if input. An empty input marks the value as missing.
+ * @param {string} text
+ * @returns {number|null} The parsed value, or undefined if the text is not a number
+ */
+const parseWhatIfValue = function (text) {
+    if (text.trim() === '') return null;
+    const value = Number(text);
+    return Number.isNaN(value) ? undefined : value;
+}
+
+const DensityPlot = ({data, onWhatIfChange}) => {
     // ref: used to be the place where the local and most up to date state is stored. Then this
     // up to date state is copied into the 'real' state for plan generation. This local state is
     // used only for UI updates.
@@ -13,6 +26,17 @@ const DensityPlot = ({data}) => {
 
     const [difficulty, setDifficulty] = useState(tempConstraints.current.difficulties?.get(data.featureName) ?? 'neutral');
 
+    // The value the user will set the feature to, the next plans optimize the other features
+    const [pinnedValue, setPinnedValue] = useState(tempConstraints.current.pinnedValues.get(data.featureName) ?? null);
+    const updatePinnedValue = function (value) {
+        if (value === null) {
+            tempConstraints.current.pinnedValues.delete(data.featureName);
+        } else {
+            tempConstraints.current.pinnedValues.set(data.featureName, value);
+        }
+        setPinnedValue(value);
+    }
+
     const [leftRange, setLeftRange] = useState( data.singleFeatureConstraints?.[0] ?? data.histEdge[0]);
     const [rightRange, setRightRange] = useState(data.singleFeatureConstraints?.[1] ?? data.histEdge[data.histEdge.length - 1]);
 
@@ -21,6 +45,12 @@ const DensityPlot = ({data}) => {
     // I would cause a rerender on every dom update.
     const svgRef = useRef(null);
 
+    // A missing current value can only be changed by filling it in
+    const isCurrentMissing = isMissing(data.currentValue);
+    const isValueChanged = isCurrentMissing
+        ? !isMissing(data.changedValue)
+        : data.currentValue !== data.changedValue;
+
     useEffect(() => {
         if (!svgRef.current) return;
 
@@ -111,27 +141,29 @@ const DensityPlot = ({data}) => {
             .attr("stroke-width", 2)
             .attr("d", curveLine);
 
-        // Add vertical line for current value
-        svg.append("line")
-            .attr("x1", xScale(data.currentValue))
-            .attr("x2", xScale(data.currentValue))
-            .attr("y1", margin.top)
-            .attr("y2", height - margin.bottom)
-            .attr("stroke", "#2c5282") // Dark blue
-            .attr("stroke-width", 2)
-            .attr("stroke-dasharray", "4,4"); // Dashed line
+        // Add vertical line for current value (a missing value has no position on the axis)
+        if (!isCurrentMissing) {
+            svg.append("line")
+                .attr("x1", xScale(data.currentValue))
+                .attr("x2", xScale(data.currentValue))
+                .attr("y1", margin.top)
+                .attr("y2", height - margin.bottom)
+                .attr("stroke", "#2c5282") // Dark blue
+                .attr("stroke-width", 2)
+                .attr("stroke-dasharray", "4,4"); // Dashed line
 
-        // Add label for current value
-        svg.append("text")
-            .attr("x", xScale(data.currentValue))
-            .attr("y", margin.top - 5)
-            .attr("text-anchor", "middle")
-            .attr("font-size", "12px")
-            .attr("fill", "#2c5282")
-            .text("Current");
+            // Add label for current value
+            svg.append("text")
+                .attr("x", xScale(data.currentValue))
+                .attr("y", margin.top - 5)
+                .attr("text-anchor", "middle")
+                .attr("font-size", "12px")
+                .attr("fill", "#2c5282")
+                .text("Current");
+        }
 
         // If there's a changed value different from current, add another line
-        if (data.currentValue !== data.changedValue) {
+        if (isValueChanged) {
             svg.append("line")
                 .attr("x1", xScale(data.changedValue))
                 .attr("x2", xScale(data.changedValue))
@@ -159,16 +191,18 @@ const DensityPlot = ({data}) => {
         // Clear any existing SVG content, otherwise every rerender is stacked upon the last one
         return () => d3.select(svgRef.current).selectAll("*").remove();
 
-    }, [leftRange, rightRange, data]);
+    }, [leftRange, rightRange, data, isCurrentMissing, isValueChanged]);
 
     const getCurrentOrChangedValueJSX = function () {
-        if (data.currentValue !== data.changedValue) {
+        if (isValueChanged) {
             return (
                 <>
-                    <span className="features-card-header-bottom-row-value">{data.currentValue}</span>
+                    <span className="features-card-header-bottom-row-value">{isCurrentMissing ? 'missing' : data.currentValue}</span>
                     <div className="features-card-header-bottom-row-hypothesis">
                         <span>------&gt;</span>
-                        <span className="features-card-header-bottom-row-hypothesis-change">{data.changedValue - data.currentValue}</span>
+                        <span className="features-card-header-bottom-row-hypothesis-change">
+                            {isCurrentMissing ? 'fill in' : data.changedValue - data.currentValue}
+                        </span>
                     </div>
                     <span className="features-card-header-bottom-row-value" data-test="updated-value">{data.changedValue}</span>
                 </>
@@ -176,7 +210,7 @@ const DensityPlot = ({data}) => {
         } else {
             return (
                 <>
-                    <span className="value">{data.currentValue}</span>
+                    <span className="value">{isCurrentMissing ? 'missing' : data.currentValue}</span>
                 </>
             );
         }
@@ -208,6 +242,46 @@ const DensityPlot = ({data}) => {
                 <div className="features-card-header-bottom-row">
                     {getCurrentOrChangedValueJSX()}
                 </div>
+                {onWhatIfChange && <div className="features-card-header-what-if">
+                    <label htmlFor={`what-if-${data.featureName}`}>What if: </label>
+                    {data.levels === null ? (
+                        // Commit on blur or Enter, so the plan is not rescored on every keystroke. The
+                        // key resets the text when the value changes elsewhere (e.g., undo or another plan)
+                        <input id={`what-if-${data.featureName}`} type="text" key={String(data.whatIfValue)}
+                               defaultValue={isMissing(data.whatIfValue) ? '' : data.whatIfValue}
+                               placeholder="missing"
+                               onBlur={(e) => {
+                                   const value = parseWhatIfValue(e.target.value);
+                                   if (value === undefined || value === data.whatIfValue) return;
+                                   if (isMissing(value) && isMissing(data.whatIfValue)) return;
+                                   onWhatIfChange(value);
+                               }}
+                               onKeyDown={(e) => {
+                                   if (e.key === 'Enter') e.target.blur();
+                               }}
+                        />
+                    ) : (
+                        <select id={`what-if-${data.featureName}`}
+                                value={isMissing(data.whatIfValue) ? '' : data.whatIfValue}
+                                onChange={(e) => onWhatIfChange(e.target.value === '' ? null : e.target.value)}>
+                            <option value={''}>Missing</option>
+                            {data.levels.map((level) => <option key={level} value={level}>{level}</option>)}
+                        </select>
+                    )}
+                    {pinnedValue === null
+                        ? <button disabled={isMissing(data.whatIfValue)}
+                                  onClick={() => updatePinnedValue(data.whatIfValue)}>Pin</button>
+                        : <>
+                            <span>Pinned to {pinnedValue}</span>
+                            <button onClick={() => updatePinnedValue(null)}>Unpin</button>
+                        </>}
+                </div>}
+                {data.pinnedChange && <div className="features-card-pinned">
+                    Pinned change: cost {data.pinnedChange.distance.toFixed(3)},
+                    {' '}score gain {data.pinnedChange.scoreGain.toFixed(3)}
+                </div>}
+                {data.defaultCostCurve &&
+                    <CostCurveEditor featureName={data.featureName} defaultCurve={data.defaultCostCurve}/>}
             </div>
             <div className="features-card-body">
                 <svg ref={svgRef}></svg>
@@ -0,0 +1,119 @@
+import * as d3 from 'd3';
+import {formatCrossConstraint} from "../ebm/crossConstraints.js";
+import '../global.css';
+
+/**
+ * Describe a conflicting constraint from GAMCoach.diagnoseInfeasibility(), and the relaxation
+ * that its button applies.
+ * @param {object} candidate
+ * @param {boolean} isRegression
+ * @param {function} getName feature name => display name
+ * @returns {object} {text, action}
+ */
+const describeConstraint = function (candidate, isRegression, getName) {
+    const formatNumber = d3.format('.4~g');
+
+    switch (candidate.type) {
+        case 'lock':
+            return {text: `${getName(candidate.feature)} cannot change`, action: 'Unlock'};
+        case 'range': {
+            const range = candidate.value;
+            const rangeText = range.length === 2 && typeof range[0] === 'number'
+                ? `between ${formatNumber(range[0])} and ${formatNumber(range[1])}`
+                : `in ${range.join(', ')}`;
+            return {text: `${getName(candidate.feature)} has to stay ${rangeText}`, action: 'Remove the range'};
+        }
+        case 'maxNumFeaturesToVary':
+            return {text: `Plans can change at most ${candidate.value} features`, action: 'Remove the limit'};
+        case 'target':
+            if (!isRegression) {
+                return {
+                    text: `The probability has to reach ${formatNumber(candidate.value)}`,
+                    action: 'Only cross the decision threshold'
+                };
+            }
+            return {
+                text: `The prediction has to stay ${candidate.index === 1 ? 'below' : 'above'} ${formatNumber(candidate.value)}`,
+                action: 'Remove the limit'
+            };
+        case 'crossConstraint':
+            return {text: formatCrossConstraint(candidate.value, getName), action: 'Remove the constraint'};
+        case 'pin':
+            return {text: `${getName(candidate.feature)} is pinned to ${candidate.value}`, action: 'Unpin'};
+        default:
+            return {text: candidate.type, action: 'Relax'};
+    }
+}
+
+/**
+ * Explain why no plan was found: a minimal set of conflicting constraints with a button to relax
+ * each of them, and the best prediction that plans reach under the current constraints.
+ * @param {object} diagnosis Output of GAMCoach.diagnoseInfeasibility(), {isLoading: true} while it
+ *  runs, or {isTimedOut: true} if the solver ran out of time instead. The diagnosis itself has
+ *  isInconclusive set if one of its solves ran out of time
+ * @param {boolean} isRegression
+ * @param {number} target The probability or prediction the plans have to reach
+ * @param {number | null} bestPrediction Best probability or prediction under the current
+ *  constraints, null if the constraints contradict each other
+ * @param {Map<string, string>} featureDisplayNames
+ * @param {(candidate: object) => void} onRelax Relax a constraint and regenerate the plans
+ */
+const InfeasibilityReport = ({diagnosis, isRegression, target, bestPrediction, featureDisplayNames, onRelax}) => {
+    const getName = (name) => featureDisplayNames.get(name) ?? name;
+    const formatNumber = d3.format('.4~g');
+    const predictionName = isRegression ? 'prediction' : 'probability';
+
+    const isDiagnosed = !diagnosis.isLoading && !diagnosis.isTimedOut && !diagnosis.isInconclusive;
+
+    let body;
+    if (diagnosis.isLoading) {
+        body = <div>Looking for the constraints that conflict...</div>;
+    } else if (diagnosis.isTimedOut) {
+        body = <div>The solver ran out of time before finding a plan, relaxing some constraints can speed it up.</div>;
+    } else if (diagnosis.isInconclusive) {
+        body = <div>The solver ran out of time while looking for the constraints that conflict, relaxing some constraints can speed it up.</div>;
+    } else if (!diagnosis.isTargetReachable) {
+        body = <div>No plan reaches the target, even without your constraints.</div>;
+    } else {
+        body = (
+            <>
+                <div>
+                    {diagnosis.conflict.some((d) => d.isSufficient)
+                        ? 'These constraints conflict, relaxing one of the marked ones is enough:'
+                        : 'These constraints conflict, relax at least one of them (others may still conflict):'}
+                </div>
+                <ul>
+                    {diagnosis.conflict.map((candidate, i) => {
+                        const {text, action} = describeConstraint(candidate, isRegression, getName);
+                        return (
+                            <li key={i}>
+                                {text}
+                                {' '}<button onClick={() => onRelax(candidate)}>{action}</button>
+                                {candidate.isSufficient &&
+                                    <span className="infeasibility-sufficient">enough on its own</span>}
+                            </li>
+                        );
+                    })}
+                </ul>
+            </>
+        );
+    }
+
+    return (
+        <div className="infeasibility-report">
+            <div className="infeasibility-report-header">
+                There is no strategy to change the AI decision under your current configuration.
+            </div>
+            {body}
+            {isDiagnosed && bestPrediction !== null && <div>
+                Best {predictionName} under the current constraints: {formatNumber(bestPrediction)}
+                {' '}(target {formatNumber(target)})
+            </div>}
+            {isDiagnosed && bestPrediction === null && <div>
+                The current constraints contradict each other, even without changing any feature.
+            </div>}
+        </div>
+    );
+};
+
+export default InfeasibilityReport;
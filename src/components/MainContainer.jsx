@@ -1,9 +1,15 @@
 import DensityPlot from "./DensityPlot.jsx";
+import WaterfallChart from "./WaterfallChart.jsx";
+import ModelReport from "./ModelReport.jsx";
+import TargetProbControl from "./TargetProbControl.jsx";
+import TargetRangeControl from "./TargetRangeControl.jsx";
+import InfeasibilityReport from "./InfeasibilityReport.jsx";
 import modelParameters from '../data/cgm1-classifier.json';
 import randomSamples from '../data/CGM-classifier-random-samples.json'
-import {EBM} from "../ebm/ebm.js";
+import {EBM, isMissing} from "../ebm/ebm.js";
 import {EBMLocal} from "../ebm/ebmLocal.js";
 import {GAMCoach} from "../ebm/gamcoach.js";
+import {validateModel} from "../ebm/modelValidator.js";
 import {useEffect, useRef, useState} from "react";
 import {TempConstraintsContext} from "./Contexts.jsx";
 import '../global.css'
@@ -45,6 +51,31 @@ class Constraints {
     /** @type {number | null} */
     maxNumFeaturesToVary = 4;
 
+    /** @type {number | null} The probability the plans of a classifier have to reach, null to
+     * only cross the decision threshold
+     */
+    targetProb = null;
+
+    /** @type {number[] | null} The [lower, upper] range the plans of a regressor have to reach, in
+     * response units. Null until the user chooses a range (see getRegressionTargetRange())
+     */
+    targetRange = null;
+
+    /** @type {object[]} Linear, implication, and exclusion constraints between features (see
+     * crossConstraints.js). They start from the model's crossConstraints
+     */
+    crossConstraints = [];
+
+    /** @type {Map<string, object>} A map from continuous feature name to its cost curve (see
+     * costCurves.js). It starts from the costCurve in the config of the model features
+     */
+    costCurves;
+
+    /** @type {Map<string, object>} A map from feature name to the value the user will set it to.
+     * Plans start from the pinned values and optimize the other features
+     */
+    pinnedValues;
+
     /**
      * Initialize the Constraints object. It might modify the modelParameters as some
      * features only allow increasing/decreasing features. The initializer would
@@ -55,7 +86,10 @@ class Constraints {
     constructor(modelParameters, curExample) {
         this.difficulties = new Map();
         this.acceptableRanges = new Map();
+        this.costCurves = new Map();
+        this.pinnedValues = new Map();
         this.labelDecoder = {};
+        this.crossConstraints = (modelParameters.crossConstraints ?? []).slice();
 
         // Iterate through the features to search for pre-defined constraints
         modelParameters.features.forEach((f, i) => {
@@ -82,9 +116,15 @@ class Constraints {
                     this.difficulties.set(f.name, difficultyTextMap[f.config.difficulty]);
                 }
 
+                if (f.config.costCurve) {
+                    this.costCurves.set(f.name, f.config.costCurve);
+                }
+
                 if (f.config.acceptableRange !== null) {
                     this.acceptableRanges.set(f.name, f.config.acceptableRange);
-                } else {
+                } else if (!isMissing(curExample[i])) {
+                    // Only a present value can bound the range, a missing value can be
+                    // filled in with any value
                     if (f.config.requiresIncreasing) {
                         // Impose acceptable range to be [cur value, max value]
                         const featureMax = f.binEdge[f.binEdge.length - 1];
@@ -162,11 +202,23 @@ class Constraints {
             difficulties: Array.from(this.difficulties.entries()),
             acceptableRanges: Array.from(this.acceptableRanges.entries()),
             allFeatureNames: this.allFeatureNames.slice(),
-            maxNumFeaturesToVary: this.maxNumFeaturesToVary
+            maxNumFeaturesToVary: this.maxNumFeaturesToVary,
+            targetProb: this.targetProb,
+            targetRange: this.targetRange?.slice() ?? null,
+            crossConstraints: structuredClone(this.crossConstraints),
+            costCurves: structuredClone(Array.from(this.costCurves.entries())),
+            pinnedValues: Array.from(this.pinnedValues.entries())
         };
     }
 }
 
+// Time limit of each plan's MILP in seconds, past it GAMCoach returns the best plan found so far
+const planTimeLimit = 10;
+
+// Every plan changes a different set of features, e.g. never two plans that only change the
+// same feature to different values. A batch ends early when there is no other set of features
+const planDiversity = {strategy: 'hamming', minDistance: 1};
+
 // difficulties are Constraints.difficulties
 function featureWeightMultipliers(difficulties) {
     const multipliers = {};
@@ -187,6 +239,53 @@ function featureWeightMultipliers(difficulties) {
 
     return multipliers;
 }
+
+/**
+ * Get the target range of a regressor's plans, in response units. Until the user chooses a range,
+ * the plans have to increase the prediction by at least one unit.
+ * @param {Constraints} constraints
+ * @param {number} originalPrediction Prediction on the original sample
+ * @returns {number[]} [lower, upper] target range
+ */
+const getRegressionTargetRange = function (constraints, originalPrediction) {
+    return constraints.targetRange ?? [originalPrediction + 1, Infinity];
+}
+
+/**
+ * Relax one of the conflicting constraints found by GAMCoach.diagnoseInfeasibility().
+ * @param {Constraints} constraints The constraints to modify
+ * @param {object} candidate The constraint to relax
+ * @param {number} originalPrediction Prediction on the original sample
+ */
+const relaxConstraint = function (constraints, candidate, originalPrediction) {
+    switch (candidate.type) {
+        case 'lock':
+            constraints.difficulties.set(candidate.feature, 'neutral');
+            break;
+        case 'range':
+            constraints.acceptableRanges.delete(candidate.feature);
+            break;
+        case 'maxNumFeaturesToVary':
+            constraints.maxNumFeaturesToVary = null;
+            break;
+        case 'target':
+            if (candidate.index === undefined) {
+                constraints.targetProb = null;
+            } else {
+                const targetRange = getRegressionTargetRange(constraints, originalPrediction).slice();
+                targetRange[candidate.index] = candidate.index === 0 ? -Infinity : Infinity;
+                constraints.targetRange = targetRange;
+            }
+            break;
+        case 'crossConstraint':
+            constraints.crossConstraints = constraints.crossConstraints.filter((d) => d !== candidate.value);
+            break;
+        case 'pin':
+            constraints.pinnedValues.delete(candidate.feature);
+            break;
+    }
+}
+
 // difficulties, allFeatureNames,  are Constraints.difficulties etc
 function featuresToVary(difficulties, allFeatureNames) {
     const featureToVary = [];
@@ -213,6 +312,16 @@ class Plan {
     /** @type{number} The raw score of the EBM output on the original sample */
     originalScore;
 
+    /** @type{number} The prediction on the original sample in response units (after the inverse link),
+     * or the probability of the positive class for classifiers */
+    originalPrediction;
+
+    /** @type{number} The probability of the positive class that the plan has to reach (classifiers) */
+    targetProb;
+
+    /** @type{number[] | null} The range the plan's prediction has to reach (regressors) */
+    targetRange;
+
     /** @type{object[]} The sample generated by GAM Coach*/
     coachSample;
 
@@ -226,6 +335,10 @@ class Plan {
     /** @type{Constraints} */
     planConstraints = null;
 
+    /** @type{object[]} The pinned features that the plan changes, [{feature, value, scoreGain,
+     * distance}] from GAMCoach */
+    pinnedChanges = [];
+
     /**
      * Initialize a Plan object
      * @param {object} modelParameters Loaded model data
@@ -234,15 +347,20 @@ class Plan {
      * @param {object[]} cfData The data of CFs returned from GAMCoach
      * @param {number} planIndex The index of this plan
      * @param {Constraints} planConstraints
+     * @param {object[]} [pinnedChanges] The pinned changes of the plan
      */
-    constructor(modelParameters, curExample, plans, cfData, planIndex, planConstraints) {
+    constructor(modelParameters, curExample, plans, cfData, planIndex, planConstraints, pinnedChanges = []) {
         this.features = this.initFeatures(modelParameters, curExample, cfData);
         this.coachSample = cfData;
         this.curExample = curExample;
         this.planIndex = planIndex;
         this.planConstraints = planConstraints
+        this.pinnedChanges = pinnedChanges;
         this.ebmLocal = new EBMLocal(modelParameters, cfData);
         this.originalScore = plans.originalScore;
+        this.originalPrediction = plans.originalPrediction;
+        this.targetProb = plans.targetProb ?? plans.decisionThreshold;
+        this.targetRange = plans.targetRange;
     }
 
     /**
@@ -280,7 +398,7 @@ class Plan {
                     originalValue: curExample[i],
                     coachValue: cfData[i],
                     myValue: cfData[i],
-                    isChanged: cfData[i] === curExample[i] ? 0 : 1,
+                    isChanged: cfData[i] === curExample[i] || (isMissing(cfData[i]) && isMissing(curExample[i])) ? 0 : 1,
                     difficulty: difficultyTextMap[config.difficulty],
                     isConstrained: false,
                     acceptableRange: config.acceptableRange,
@@ -346,6 +464,9 @@ class Plan {
         };
 
         planCopy.originalScore = this.originalScore;
+        planCopy.originalPrediction = this.originalPrediction;
+        planCopy.targetProb = this.targetProb;
+        planCopy.targetRange = this.targetRange;
         planCopy.coachSample = this.coachSample.slice();
         planCopy.curExample = this.curExample.slice();
         planCopy.planIndex = this.planIndex;
@@ -359,12 +480,44 @@ class Plan {
 // it seems that it will not impact the visualization also might be an error in the data...
 // don't do anything for now
 
+/**
+ * Check whether a plan's outcome is confidently past the decision boundary, i.e. the whole
+ * confidence interval of its prediction lies on the desired side of the boundary.
+ * For classifiers the boundary is the target probability (the decision threshold by default)
+ * and the desired side is the opposite of the original prediction; for regressors it is the end
+ * of the target range closest to the original prediction, in response units.
+ * @param {Plan} plan
+ * @param {boolean} isRegression
+ * @returns {object} {boundary, isPastBoundary, isConfident}
+ */
+const getDecisionBoundary = function (plan, isRegression) {
+    const [lower, upper] = plan.ebmLocal.predProbBounds;
+    const prediction = plan.ebmLocal.predProb;
+    let boundary = plan.targetProb;
+    if (isRegression) {
+        const [targetLower, targetUpper] = plan.targetRange;
+        boundary = targetLower > plan.originalPrediction ? targetLower : targetUpper;
+    }
+
+    if (plan.originalPrediction < boundary) {
+        return {boundary, isPastBoundary: prediction >= boundary, isConfident: lower >= boundary};
+    }
+    return {boundary, isPastBoundary: prediction < boundary, isConfident: upper < boundary};
+}
+
 function PlanSelector({plans}) {
     const allAvailablePlans = [...plans.planStores]
     const allAvailableIndexes = Array.from(Array(allAvailablePlans.length).keys());
-    const [selectedIndex, setSelectedIndex] = useState(allAvailableIndexes[0]);
+    // The what-if edits mutate the plan's EBMLocal in place, so they bump editVersion to rerender
+    const [selection, setSelection] = useState({index: allAvailableIndexes[0], editVersion: 0});
+    const selectedIndex = selection.index;
     const selectedPlan = allAvailablePlans[selectedIndex][1];
 
+    const editPlan = function (edit) {
+        edit(selectedPlan.ebmLocal);
+        setSelection((prev) => ({...prev, editVersion: prev.editVersion + 1}));
+    }
+
     // In order to avoid doing logic in the rendering JSX
     // map with uuid as a key and plan index as value for radio buttons loop below
     const radioButtonData = new Map();
@@ -391,6 +544,13 @@ function PlanSelector({plans}) {
         // can be undefined or {array[num, num]}
         const singleFeatureConstraints = planConstraints.acceptableRanges.get(featureName);
 
+        // The cost curve editor starts from the default cost, where changing a continuous
+        // feature by one MAD costs 1
+        const mad = modelParameters.contMads?.[featureName];
+        const defaultCostCurve = singlePlanFeature.isCont
+            ? {type: 'piecewise', points: [[mad > 0 ? mad : 1, 1]]}
+            : null;
+
         const data = {
             featureName,
             featureDisplayName,
@@ -398,12 +558,32 @@ function PlanSelector({plans}) {
             changedValue: singleFeatureChangedValue,
             histEdge: featureHistEdge,
             histCount: featureHistCount,
-            singleFeatureConstraints
+            singleFeatureConstraints,
+            whatIfValue: selectedPlan.ebmLocal.sample[singlePlanFeature.featureID],
+            levels: singlePlanFeature.isCont ? null : Object.keys(singlePlanFeature.labelEncoder),
+            defaultCostCurve,
+            pinnedChange: selectedPlan.pinnedChanges.find((d) => d.feature === featureName) ?? null
         }
 
         densityPlotData.push(data);
     }
 
+    // Explain the score of the selected plan, labeling the terms with the feature display names
+    const explanation = selectedPlan.ebmLocal.explain();
+    const displayNames = new Map(selectedPlan.features.map((f) => [f.data.name, f.data.description.displayName]));
+
+    // Show the prediction (the probability of the positive class for classifiers) with its 95%
+    // interval, and whether the whole interval is past the boundary
+    const isRegression = plans.isRegression;
+    const [predLower, predUpper] = selectedPlan.ebmLocal.predProbBounds;
+    const decision = getDecisionBoundary(selectedPlan, isRegression);
+    let decisionText = 'Not past the decision boundary';
+    if (decision.isConfident) {
+        decisionText = 'Confidently past the decision boundary';
+    } else if (decision.isPastBoundary) {
+        decisionText = 'Past the decision boundary, but the interval crosses it';
+    }
+
     return (
         <>
             {allAvailableIndexes.map((value, uuid) => {
@@ -411,7 +591,7 @@ function PlanSelector({plans}) {
                     <div key={`container-${uuid}`}>
                         <input type="radio" name="radio-button" id={`plan-${uuid}`} value={value}
                                onChange={(e) => {
-                                   setSelectedIndex(Number(e.target.value))
+                                   setSelection((prev) => ({...prev, index: Number(e.target.value)}))
                                }}
                                checked={selectedIndex === Number(value)}
                         />
@@ -421,15 +601,35 @@ function PlanSelector({plans}) {
                 )
             })}
             <div>Selected Plan Index: {selectedIndex}</div>
+            <div className="plan-score">
+                {isRegression ? 'Prediction' : 'Probability'}: {selectedPlan.ebmLocal.predProb.toFixed(3)}
+                {' '}(95% interval {predLower.toFixed(3)} to {predUpper.toFixed(3)},
+                {' '}{isRegression ? 'boundary' : 'target'} {decision.boundary.toFixed(3)})
+                {' '}<span className={decision.isConfident ? 'plan-score-confident' : 'plan-score-uncertain'}>
+                    {decisionText}
+                </span>
+            </div>
             <br />
-            <div className="features">
-                {densityPlotData.map((featureData) => <DensityPlot key={window.crypto.randomUUID()} data={featureData}></DensityPlot>)}
+            <div className="plan-edit-history">
+                <button disabled={!selectedPlan.ebmLocal.canUndo}
+                        onClick={() => editPlan((ebmLocal) => ebmLocal.undo())}>Undo</button>
+                <button disabled={!selectedPlan.ebmLocal.canRedo}
+                        onClick={() => editPlan((ebmLocal) => ebmLocal.redo())}>Redo</button>
+                <button disabled={!selectedPlan.isChangedByUser}
+                        onClick={() => editPlan((ebmLocal) => ebmLocal.reset())}>Reset</button>
+            </div>
+            <div className="plan-view">
+                <div className="features">
+                    {densityPlotData.map((featureData) => <DensityPlot key={featureData.featureName} data={featureData}
+                        onWhatIfChange={(value) => editPlan((ebmLocal) => ebmLocal.updateFeature(featureData.featureName, value))}></DensityPlot>)}
+                </div>
+                <WaterfallChart explanation={explanation} displayNames={displayNames}></WaterfallChart>
             </div>
         </>
     );
 }
 
-export default function MainContainer() {
+function PlansContainer() {
     const curExample = randomSamples[0];
     // WHY THE FOLLOWING COMMENT? maybe some state management in the svelte version:
     // Creating the constraints object can change the modelParameters (setting
@@ -438,6 +638,8 @@ export default function MainContainer() {
     const tempConstraints = useRef(new Constraints(modelParameters, curExample));
     const plans = useRef(null);
     const [arePlansLoaded, setArePlansLoaded] = useState(false);
+    // Why the last generation found no plan, see GAMCoach.diagnoseInfeasibility()
+    const [diagnosis, setDiagnosis] = useState(null);
     const model = new EBM(modelParameters);
 
     /**
@@ -448,12 +650,55 @@ export default function MainContainer() {
      * @param {Constraints} constraints Global constraint configurations
      */
     useEffect(() => {
+        // Plans and diagnoses that finish after the constraints change again are outdated, so the
+        // cleanup cancels them. A generation that returns right before it is cancelled checks
+        // isStale after every await, so it does not overwrite the newer plans
+        let isStale = false;
+        const abortController = new AbortController();
+        setDiagnosis(null);
+
+        /**
+         * Log generation errors, except the cancellations of outdated generations.
+         * @param {Error} error
+         */
+        const onGenerationError = function (error) {
+            if (error.name !== 'AbortError') console.error(error);
+        }
+
+        /**
+         * Search the conflicting constraints in the background, the failed plan is shown meanwhile.
+         * @param {GAMCoach} coach
+         * @param {object} cfConfig The config of the failed generateCfs() call
+         * @param {boolean} isTimedOut True if the solver ran out of time, then there is no
+         *  conflict to search
+         */
+        const diagnoseFailure = function (coach, cfConfig, isTimedOut) {
+            if (isTimedOut) {
+                setDiagnosis({isTimedOut: true});
+                return;
+            }
+
+            setDiagnosis({isLoading: true});
+            coach.diagnoseInfeasibility(cfConfig)
+                .then((result) => {
+                    if (!isStale) setDiagnosis(result);
+                })
+                .catch((error) => {
+                    onGenerationError(error);
+                    if (!isStale) setDiagnosis(null);
+                });
+        }
+
         const initializePlans = async function(modelParameters, model, curExample, constraints, plans) {
 
             const tempPlans = {
                 isRegression: false,
                 regressionName: 'default regression name',
                 originalScore: 99.999,
+                originalPrediction: 99.999,
+                decisionThreshold: 0.5,
+                targetProb: null,
+                targetRange: null,
                 score: 99.999,
                 classes: ['default rejection class', 'default approval class'],
                 classTarget: [1],
@@ -476,6 +721,14 @@ export default function MainContainer() {
             // log odd. The output is a single value.
             // originalScore is intended as the score of the model without modifications
             tempPlans.originalScore = model.predict([curExample], true)[0];
+            // Regression targets are given in response units, i.e. after the inverse link, and
+            // classifier targets as probabilities
+            tempPlans.originalPrediction = model.scoreToProb(tempPlans.originalScore);
+            tempPlans.decisionThreshold = model.decisionThreshold;
+            tempPlans.targetProb = constraints.targetProb ?? null;
+            if (tempPlans.isRegression) {
+                tempPlans.targetRange = getRegressionTargetRange(constraints, tempPlans.originalPrediction);
+            }
 
             // Update the list of continuous features that require integer values
             modelParameters.features.forEach((f) => {
@@ -501,7 +754,6 @@ export default function MainContainer() {
              */
             const coach = new GAMCoach(modelParameters);
             const exampleBatch = [curExample];
-            const singleFeatures = new Set();
 
             /*
             * What is in the cfs object that will tell the UI what variables needs to be changed and by how much?
@@ -512,25 +764,27 @@ export default function MainContainer() {
             * verified that they are)
             */
             // cf or CF stands for counterfactuals
-            let cfs = await coach.generateCfs({
+            const cfConfig = {
                 curExample: exampleBatch,
                 totalCfs: 1, // this cfs is just for ONE PLAN.
                 continuousIntegerFeatures: plans.current.continuousIntegerFeatures,
                 featuresToVary: constraints.featuresToVary,
                 featureRanges: constraints.featureRanges,
                 featureWeightMultipliers: constraints.featureWeightMultipliers,
-                targetRange: [plans.originalScore + 1, Infinity],  // Added for managing regressions task
+                costCurves: Object.fromEntries(constraints.costCurves),
+                pinnedValues: Object.fromEntries(constraints.pinnedValues),
+                targetRange: plans.current.targetRange,
+                targetProb: plans.current.targetProb,
+                crossConstraints: constraints.crossConstraints,
+                timeLimit: planTimeLimit,
+                signal: abortController.signal,
+                keepSession: true,
+                diversity: planDiversity,
                 verbose: 0,
                 maxNumFeaturesToVary: constraints.maxNumFeaturesToVary
-            });
-
-            // If the plan only uses one feature, we store it to a set and avoid future
-            // plans that only uses that feature
-            // WHY? maybe because another generation will propose the same feature with just a different value?
-            if (cfs.isSuccessful && cfs.activeVariables[0].length === 1) {
-                const curFeature = cfs.activeVariables[0][0].replace(/(.*):.*!/g, '$1');
-                singleFeatures.add(curFeature);
-            }
+            };
+            let cfs = await coach.generateCfs(cfConfig);
+            if (isStale) return;
 
             let curPlan;
 
@@ -542,7 +796,8 @@ export default function MainContainer() {
                     // ?? for later: why don't pass just cfs.data[0]? cfs.isSuccessful will always be true if we are in the if statement
                     cfs.isSuccessful ? cfs.data[0] : curExample,
                     tempPlans.nextPlanIndex,
-                    constraints
+                    constraints,
+                    cfs.pinnedChanges
                 );
 
                 // Here I am still referring to the tempPlans instead of plans
@@ -562,10 +817,8 @@ export default function MainContainer() {
                     plans.current.failedPlans.add(i);
                 }
 
-                // Handle the case where all plans failed
-                window.alert(
-                    'There is no strategy to change the AI decision under your current configuration. Relax some constraints and try to regenerate again.'
-                );
+                // Handle the case where all plans failed: look for the constraints to relax
+                diagnoseFailure(coach, cfConfig, cfs.isTimedOut);
                 curPlan = new Plan(
                     modelParameters,
                     curExample,
@@ -587,49 +840,45 @@ export default function MainContainer() {
             const totalPlanNum = 5;
 
             // sub plans are generated every time?
-            for (let i = 1; i < totalPlanNum; i++) {
-                if (!cfs.isSuccessful) {
-                    break;
-                }
-
-                // console.time(`Plan ${tempPlans.nextPlanIndex + i} generated`);
-                cfs = await coach.generateSubCfs(cfs.nextCfConfig);
-                // console.timeEnd(`Plan ${tempPlans.nextPlanIndex + i} generated`);
-
-                // If the new plan uses only one feature, we mute it and repeat again
-                if (cfs.isSuccessful && cfs.activeVariables[0].length === 1) {
-                    const curFeature = cfs.activeVariables[0][0].replace(/(.*):.*!/g, '$1');
-                    if (singleFeatures.has(curFeature)) {
-                        i--;
-                        continue;
-                    } else {
-                        singleFeatures.add(curFeature);
+            // The sub plans continue the solver session of the first plan
+            try {
+                for (let i = 1; i < totalPlanNum; i++) {
+                    if (!cfs.isSuccessful) {
+                        break;
                     }
-                }
 
-                if (cfs.isSuccessful) {
-                    curPlan = new Plan(
-                        modelParameters,
-                        curExample,
-                        plans.current,
-                        cfs.isSuccessful ? cfs.data[0] : curExample,
-                        tempPlans.nextPlanIndex + i,
-                        constraints
-                    );
-                    plans.current.planStores.set(tempPlans.nextPlanIndex + i, curPlan);
-                }
+                    // console.time(`Plan ${tempPlans.nextPlanIndex + i} generated`);
+                    cfs = await coach.generateSubCfs(cfs.nextCfConfig);
+                    // console.timeEnd(`Plan ${tempPlans.nextPlanIndex + i} generated`);
+                    if (isStale) return;
+
+                    if (cfs.isSuccessful) {
+                        curPlan = new Plan(
+                            modelParameters,
+                            curExample,
+                            plans.current,
+                            cfs.isSuccessful ? cfs.data[0] : curExample,
+                            tempPlans.nextPlanIndex + i,
+                            constraints,
+                            cfs.pinnedChanges
+                        );
+                        plans.current.planStores.set(tempPlans.nextPlanIndex + i, curPlan);
+                    }
 
-                // Handle failure case
-                if (!cfs.isSuccessful) {
-                    for (
-                        let j = tempPlans.nextPlanIndex + i;
-                        j < tempPlans.nextPlanIndex + 5;
-                        j++
-                    ) {
-                        plans.current.failedPlans.add(j);
+                    // Handle failure case
+                    if (!cfs.isSuccessful) {
+                        for (
+                            let j = tempPlans.nextPlanIndex + i;
+                            j < tempPlans.nextPlanIndex + 5;
+                            j++
+                        ) {
+                            plans.current.failedPlans.add(j);
+                        }
+                        break;
                     }
-                    break;
                 }
+            } finally {
+                coach.endSession(cfs.nextCfConfig);
             }
 
             plans.current.nextPlanIndex += 5;
@@ -672,15 +921,18 @@ export default function MainContainer() {
             * sync with the constraints and plans at the moment of calculation.
             * */
             plans.planStores = new Map();
+            plans.targetProb = constraints.targetProb ?? null;
+            if (plans.isRegression) {
+                plans.targetRange = getRegressionTargetRange(constraints, plans.originalPrediction);
+            }
 
             // Step 2: Iteratively generate new plans with the new constraints
             const coach = new GAMCoach(modelParameters);
             const exampleBatch = [curExample];
-            const singleFeatures = new Set();
 
             // AGAIN it generates only ONE PLAN FIRST, same code as initPlans()
             // console.time(`Plan ${plans.nextPlanIndex} generated`);
-            let cfs = await coach.generateCfs({
+            const cfConfig = {
                 curExample: exampleBatch,
                 totalCfs: 1,
                 continuousIntegerFeatures: plans.continuousIntegerFeatures, // [] can be a default, copying default from svelte, original was plans.continuousIntegerFeatures,
@@ -691,18 +943,21 @@ export default function MainContainer() {
                 // Note that here the format is the same as the svelte version, is just that the debugger prints constraints.acceptableRanges instead of the Object
                 featureRanges: Object.fromEntries(constraints.acceptableRanges),
                 featureWeightMultipliers: featureWeightMultipliers(constraints.difficulties), // {} can be a default. Copying default from svelte, original was constraints.featureWeightMultipliers, // seems to be about only difficulty management
-                targetRange: [plans.originalScore + 1, Infinity], // Added for managing regression.
+                costCurves: Object.fromEntries(constraints.costCurves),
+                pinnedValues: Object.fromEntries(constraints.pinnedValues),
+                targetRange: plans.targetRange,
+                targetProb: plans.targetProb,
+                crossConstraints: constraints.crossConstraints,
+                timeLimit: planTimeLimit,
+                signal: abortController.signal,
+                keepSession: true,
+                diversity: planDiversity,
                 verbose: 0,
                 maxNumFeaturesToVary: constraints.maxNumFeaturesToVary
-            });
+            };
+            let cfs = await coach.generateCfs(cfConfig);
             // console.timeEnd(`Plan ${plans.nextPlanIndex} generated`);
-
-            // If the plan only uses one feature, we store it to a set and avoid future
-            // plans that only uses that feature
-            if (cfs.activeVariables.length > 0 && cfs.activeVariables[0].length === 1) {
-                const curFeature = cfs.activeVariables[0][0].replace(/(.*):.*/g, '$1');
-                singleFeatures.add(curFeature);
-            }
+            if (isStale) return;
 
             // Step 3: Update the active plan index
             plans.activePlanIndex = plans.nextPlanIndex;
@@ -716,7 +971,8 @@ export default function MainContainer() {
                     plans,
                     cfs.isSuccessful ? cfs.data[0] : curExample,
                     plans.nextPlanIndex,
-                    constraints
+                    constraints,
+                    cfs.pinnedChanges
                 );
 
                 plans.planStores.set(plans.nextPlanIndex, curPlan);
@@ -728,10 +984,8 @@ export default function MainContainer() {
                     plans.failedPlans.add(j);
                 }
 
-                // Handle the case where all 5 plans failed
-                window.alert(
-                    'There is no strategy to change the AI decision under your current configuration. Relax some constraints and try to regenerate again.'
-                );
+                // Handle the case where all 5 plans failed: look for the constraints to relax
+                diagnoseFailure(coach, cfConfig, cfs.isTimedOut);
                 curPlan = new Plan(
                     modelParameters,
                     curExample,
@@ -747,45 +1001,41 @@ export default function MainContainer() {
 
             // Generate other plans
             const totalPlanNum = 5;
-            for (let i = 1; i < totalPlanNum; i++) {
-                if (!cfs.isSuccessful) {
-                    break;
-                }
-
-                // console.time(`Plan ${plans.nextPlanIndex + i} generated`);
-                cfs = await coach.generateSubCfs(cfs.nextCfConfig);
-                // console.timeEnd(`Plan ${plans.nextPlanIndex + i} generated`);
-
-                // If the new plan uses only one feature, we mute it and repeat again
-                if (cfs.isSuccessful && cfs.activeVariables[0].length === 1) {
-                    const curFeature = cfs.activeVariables[0][0].replace(/(.*):.*/g, '$1');
-                    if (singleFeatures.has(curFeature)) {
-                        i--;
-                        continue;
-                    } else {
-                        singleFeatures.add(curFeature);
+            // The sub plans continue the solver session of the first plan
+            try {
+                for (let i = 1; i < totalPlanNum; i++) {
+                    if (!cfs.isSuccessful) {
+                        break;
                     }
-                }
 
-                if (cfs.isSuccessful) {
-                    curPlan = new Plan(
-                        modelParameters,
-                        curExample,
-                        plans,
-                        cfs.isSuccessful ? cfs.data[0] : curExample,
-                        plans.nextPlanIndex + i,
-                        constraints
-                    );
-                    plans.planStores.set(plans.nextPlanIndex + i, curPlan);
-                }
+                    // console.time(`Plan ${plans.nextPlanIndex + i} generated`);
+                    cfs = await coach.generateSubCfs(cfs.nextCfConfig);
+                    // console.timeEnd(`Plan ${plans.nextPlanIndex + i} generated`);
+                    if (isStale) return;
+
+                    if (cfs.isSuccessful) {
+                        curPlan = new Plan(
+                            modelParameters,
+                            curExample,
+                            plans,
+                            cfs.isSuccessful ? cfs.data[0] : curExample,
+                            plans.nextPlanIndex + i,
+                            constraints,
+                            cfs.pinnedChanges
+                        );
+                        plans.planStores.set(plans.nextPlanIndex + i, curPlan);
+                    }
 
-                // Handle failure case
-                if (!cfs.isSuccessful) {
-                    for (let j = plans.nextPlanIndex + i; j < plans.nextPlanIndex + 5; j++) {
-                        plans.failedPlans.add(j);
+                    // Handle failure case
+                    if (!cfs.isSuccessful) {
+                        for (let j = plans.nextPlanIndex + i; j < plans.nextPlanIndex + 5; j++) {
+                            plans.failedPlans.add(j);
+                        }
+                        break;
                     }
-                    break;
                 }
+            } finally {
+                coach.endSession(cfs.nextCfConfig);
             }
 
             plans.nextPlanIndex += 5;
@@ -796,30 +1046,99 @@ export default function MainContainer() {
         // I add it here. This will need to be refactored to take into account
         // both Regressors and Classifiers.
         if (constraints.acceptableRanges.size === 0 && constraints.difficulties.size === 0) {
-            initializePlans(modelParameters, model, curExample, constraints, plans);
+            initializePlans(modelParameters, model, curExample, constraints, plans)
+                .catch(onGenerationError);
         } else {
             setArePlansLoaded(false); // Reset loading state
             updatePlans(constraints, modelParameters, curExample, plans.current)
-                .then(() => setArePlansLoaded(true));
+                .then(() => {
+                    if (!isStale) setArePlansLoaded(true);
+                })
+                .catch(onGenerationError);
         }
+
+        return () => {
+            isStale = true;
+            abortController.abort();
+        };
     }, [constraints]);
 
+    // The prediction on the current sample in response units (probability for classifiers)
+    const originalPrediction = model.predictProb([curExample])[0];
+
     let plansDisplayElement = <div>Loading...</div>
 
     if (arePlansLoaded) {
         plansDisplayElement = <PlanSelector plans={plans.current}></PlanSelector>
     }
 
+    let infeasibilityElement = null;
+    if (diagnosis !== null) {
+        const [targetLower, targetUpper] = getRegressionTargetRange(constraints, originalPrediction);
+        const target = modelParameters.isClassifier
+            ? constraints.targetProb ?? model.decisionThreshold
+            : targetLower > originalPrediction ? targetLower : targetUpper;
+        const featureDisplayNames = new Map(modelParameters.features.map((f) => [f.name, f.description?.displayName]));
+
+        infeasibilityElement = <InfeasibilityReport
+            diagnosis={diagnosis} isRegression={!modelParameters.isClassifier} target={target}
+            bestPrediction={diagnosis.bestScore == null ? null : model.scoreToProb(diagnosis.bestScore)}
+            featureDisplayNames={featureDisplayNames}
+            onRelax={(candidate) => {
+                relaxConstraint(tempConstraints.current, candidate, originalPrediction);
+                setConstraints({...tempConstraints.current});
+            }}>
+        </InfeasibilityReport>
+    }
+
     // the indexes of the planStore map start at 0, even if inside every obj there is a key that starts from 1
     return (
         <TempConstraintsContext.Provider value={tempConstraints}>
             <button onClick={() => {
                 setConstraints({...tempConstraints.current});
             }}>Regenerate Plans</button>
+            {/* The keys remount the controls when a relaxed target changes their initial values */}
+            {modelParameters.isClassifier && <TargetProbControl key={`target-prob-${constraints.targetProb}`}
+                decisionThreshold={model.decisionThreshold}
+                originalProb={originalPrediction}></TargetProbControl>}
+            {!modelParameters.isClassifier && <TargetRangeControl key={`target-range-${constraints.targetRange}`}
+                initialRange={getRegressionTargetRange(tempConstraints.current, originalPrediction)}
+                outputRange={model.getOutputRange()} scoreRange={modelParameters.scoreRange ?? null}
+                originalPrediction={originalPrediction}
+                regressionName={modelParameters.modelInfo.regressionName ?? modelParameters.modelInfo.target}>
+            </TargetRangeControl>}
             <br></br>
 
+            {infeasibilityElement}
             {plansDisplayElement}
 
         </TempConstraintsContext.Provider>
     )
-}
\ No newline at end of file
+}
+
+// Validate the model once, so a malformed model shows a report instead of crashing
+// the EBM, GAMCoach and Constraints constructors
+const modelReport = validateModel(modelParameters, {forCoach: true});
+
+// The EBM can score multiclass models, but GAMCoach only supports a single score, so the plans
+// (and the predictions they format as one number) are left out
+const isMulticlass = Array.isArray(modelParameters.intercept);
+
+export default function MainContainer() {
+    if (!modelReport.isValid) {
+        return <ModelReport report={modelReport}></ModelReport>
+    }
+
+    return (
+        <>
+            {modelReport.warnings.length > 0 && <ModelReport report={modelReport}></ModelReport>}
+            {isMulticlass
+                ? <div className="model-report">
+                    <div className="model-report-header">Plans are not available for multiclass models</div>
+                    GAMCoach needs a single score to optimize, so it only supports binary classifiers and
+                    regressors.
+                </div>
+                : <PlansContainer></PlansContainer>}
+        </>
+    )
+}
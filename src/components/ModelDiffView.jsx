@@ -0,0 +1,195 @@
+import {useRef, useEffect, useMemo, useState} from 'react';
+import * as d3 from 'd3';
+import ModelReport from "./ModelReport.jsx";
+import bundledModel from '../data/cgm1-classifier.json';
+import {diffModels, formatModelDiff} from "../ebm/modelDiff.js";
+import '../global.css';
+
+/**
+ * Overlay the old and new shape function of one feature. Continuous features are drawn as step
+ * lines over the bin starts, categorical features as one dot per level. For multiclass models
+ * only the first class is drawn.
+ * @param {object} entry A changed feature from diffModels()
+ * @param {string} displayName
+ */
+const ShapeOverlayChart = ({entry, displayName}) => {
+    const svgRef = useRef(null);
+
+    useEffect(() => {
+        if (!svgRef.current) return;
+
+        const {points, oldScores, newScores} = entry.curve;
+        const isCont = typeof points[0] === 'number';
+        const lines = [
+            {key: 'old', scores: oldScores.map((d) => d[0]), color: "#a0aec0", dash: "4,4"},
+            {key: 'new', scores: newScores.map((d) => d[0]), color: "#c53030", dash: null}
+        ];
+
+        const width = 500;
+        const height = 200;
+        const margin = { top: 20, right: 30, bottom: 30, left: 50 };
+
+        const svg = d3.select(svgRef.current)
+            .attr("width", width)
+            .attr("height", height);
+
+        const allScores = lines.flatMap((d) => d.scores);
+        const yScale = d3.scaleLinear()
+            .domain(d3.extent(allScores))
+            .nice()
+            .range([height - margin.bottom, margin.top]);
+
+        let xScale;
+        if (isCont) {
+            // Extend the last step a little so the last bin is visible
+            const lastStep = points.length > 1 ? points[points.length - 1] - points[points.length - 2] : 1;
+            xScale = d3.scaleLinear()
+                .domain([points[0], points[points.length - 1] + lastStep])
+                .range([margin.left, width - margin.right]);
+        } else {
+            xScale = d3.scalePoint()
+                .domain(points)
+                .range([margin.left, width - margin.right])
+                .padding(0.5);
+        }
+
+        lines.forEach((line) => {
+            const data = points.map((x, i) => [x, line.scores[i]]);
+
+            if (isCont) {
+                data.push([xScale.domain()[1], line.scores[line.scores.length - 1]]);
+                svg.append("path")
+                    .datum(data)
+                    .attr("fill", "none")
+                    .attr("stroke", line.color)
+                    .attr("stroke-width", 2)
+                    .attr("stroke-dasharray", line.dash)
+                    .attr("d", d3.line()
+                        .curve(d3.curveStepAfter)
+                        .x((d) => xScale(d[0]))
+                        .y((d) => yScale(d[1])));
+            } else {
+                svg.append("g")
+                    .selectAll("circle")
+                    .data(data)
+                    .join("circle")
+                    .attr("cx", (d) => xScale(d[0]))
+                    .attr("cy", (d) => yScale(d[1]))
+                    .attr("r", 4)
+                    .attr("fill", line.key === 'new' ? line.color : "none")
+                    .attr("stroke", line.color)
+                    .attr("stroke-width", 2);
+            }
+        });
+
+        svg.append("g")
+            .attr("transform", `translate(0,${height - margin.bottom})`)
+            .call(d3.axisBottom(xScale).ticks(6));
+
+        svg.append("g")
+            .attr("transform", `translate(${margin.left},0)`)
+            .call(d3.axisLeft(yScale).ticks(5));
+
+        // Clear any existing SVG content, otherwise every rerender is stacked upon the last one
+        return () => d3.select(svgRef.current).selectAll("*").remove();
+
+    }, [entry]);
+
+    return (
+        <div className="model-diff-card">
+            <div className="model-diff-card-header">
+                <span className="model-diff-card-header-title">{displayName}</span>
+                <span>max delta {d3.format('.3~g')(entry.maxAdditiveDelta)}</span>
+            </div>
+            <svg ref={svgRef}></svg>
+        </div>
+    );
+};
+
+/**
+ * Read a model JSON from a file input.
+ * @param {File} file
+ * @returns {Promise<object>}
+ */
+const readModelFile = async function (file) {
+    return JSON.parse(await file.text());
+}
+
+/**
+ * Compare two models: the text report of diffModels() and an overlay of the old and new shape
+ * functions of every changed feature. The old model defaults to the bundled model.
+ */
+const ModelDiffView = () => {
+    const [models, setModels] = useState({old: bundledModel, oldName: 'bundled model', new: null, newName: null});
+    const [loadError, setLoadError] = useState(null);
+
+    const onFileChange = function (key, file) {
+        if (!file) return;
+        readModelFile(file)
+            .then((model) => {
+                setLoadError(null);
+                setModels((prev) => ({...prev, [key]: model, [`${key}Name`]: file.name}));
+            })
+            .catch((error) => setLoadError(`Cannot read ${file.name}: ${error.message}`));
+    }
+
+    // Invalid models come with a validation report
+    const result = useMemo(() => {
+        if (models.old === null || models.new === null) return null;
+        try {
+            return {diff: diffModels(models.old, models.new)};
+        } catch (error) {
+            return {error};
+        }
+    }, [models]);
+
+    const displayNames = new Map();
+    [models.old, models.new].forEach((model) => {
+        model?.features.forEach((f) => {
+            if (f.description?.displayName) displayNames.set(f.name, f.description.displayName);
+        });
+    });
+
+    let resultElement = <div>Choose a new model to compare with the old model.</div>;
+    if (result?.error?.report) {
+        resultElement = <ModelReport report={result.error.report}></ModelReport>;
+    } else if (result?.error) {
+        resultElement = <div className="model-diff-error">{result.error.message}</div>;
+    } else if (result?.diff) {
+        const changedFeatures = result.diff.features.filter((entry) => entry.status === 'changed' && entry.curve);
+        resultElement = (
+            <>
+                <pre className="model-diff-text">{formatModelDiff(result.diff)}</pre>
+                <div className="model-diff-legend">
+                    <span className="model-diff-legend-old">Old</span>
+                    <span className="model-diff-legend-new">New</span>
+                </div>
+                <div className="model-diff-charts">
+                    {changedFeatures.map((entry) => (
+                        <ShapeOverlayChart key={entry.name} entry={entry}
+                                           displayName={displayNames.get(entry.name) ?? entry.name}></ShapeOverlayChart>
+                    ))}
+                </div>
+            </>
+        );
+    }
+
+    return (
+        <div className="model-diff">
+            <div className="model-diff-inputs">
+                {['old', 'new'].map((key) => (
+                    <div key={key}>
+                        <label htmlFor={`model-diff-${key}`}>{key === 'old' ? 'Old' : 'New'} model: </label>
+                        <input id={`model-diff-${key}`} type="file" accept=".json,application/json"
+                               onChange={(e) => onFileChange(key, e.target.files[0])}/>
+                        <span>{models[`${key}Name`] ?? 'none'}</span>
+                    </div>
+                ))}
+            </div>
+            {loadError && <div className="model-diff-error">{loadError}</div>}
+            {resultElement}
+        </div>
+    );
+};
+
+export default ModelDiffView;
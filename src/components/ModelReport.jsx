@@ -0,0 +1,36 @@
+import '../global.css';
+
+/**
+ * Show the errors and warnings found by validateModel().
+ * @param {object} report The validation report
+ */
+const ModelReport = ({report}) => {
+    const issueGroups = [
+        {type: 'error', title: 'Errors', issues: report.errors},
+        {type: 'warning', title: 'Warnings', issues: report.warnings}
+    ];
+
+    return (
+        <div className="model-report">
+            <div className="model-report-header">
+                {report.isValid
+                    ? 'The model is valid, but some of its fields look off'
+                    : 'The model cannot be loaded because its JSON is malformed'}
+            </div>
+            {issueGroups.filter((group) => group.issues.length > 0).map((group) => (
+                <div key={group.type} className={`model-report-${group.type}`}>
+                    <span className="model-report-title">{group.title} ({group.issues.length})</span>
+                    <ul>
+                        {group.issues.map((issue, i) => (
+                            <li key={i}>
+                                <code>{issue.path === '' ? '(root)' : issue.path}</code> {issue.message}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default ModelReport;
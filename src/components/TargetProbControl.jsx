@@ -0,0 +1,66 @@
+import {useContext, useState} from 'react';
+import {TempConstraintsContext} from "./Contexts.jsx";
+import '../global.css';
+
+/**
+ * Parse the text of the target probability input. An empty input clears the target.
+ * @param {string} text
+ * @returns {number|null} The parsed probability, or undefined if the text is not a probability
+ */
+const parseTargetProb = function (text) {
+    if (text.trim() === '') return null;
+    const value = Number(text);
+    return Number.isNaN(value) || value <= 0 || value >= 1 ? undefined : value;
+}
+
+/**
+ * Ask for plans that reach a target probability with a margin, e.g. at least 0.7 instead of
+ * only crossing the decision threshold. Like the other constraints, the target is stored in the
+ * temporary constraints and only used when the plans are regenerated.
+ * @param {number} decisionThreshold Decision threshold of the model
+ * @param {number} originalProb Probability of the positive class on the original sample
+ */
+const TargetProbControl = ({decisionThreshold, originalProb}) => {
+    const tempConstraints = useContext(TempConstraintsContext);
+    const [issue, setIssue] = useState(null);
+
+    // Plans move the probability down if the sample is already predicted as positive
+    const isDecreasing = originalProb >= decisionThreshold;
+
+    const commitTargetProb = function (text) {
+        const targetProb = parseTargetProb(text);
+        if (targetProb === undefined) {
+            setIssue('Enter a probability between 0 and 1');
+            return;
+        }
+
+        // A target on the same side of the threshold as the original sample is already reached
+        if (targetProb !== null && (isDecreasing ? targetProb >= decisionThreshold : targetProb < decisionThreshold)) {
+            setIssue(`The target has to be ${isDecreasing ? 'below' : 'at least'} the decision threshold`);
+            return;
+        }
+
+        setIssue(null);
+        tempConstraints.current.targetProb = targetProb;
+    }
+
+    return (
+        <div className="target-prob">
+            <label htmlFor="target-prob-input">
+                Target probability ({isDecreasing ? 'at most' : 'at least'}):
+            </label>
+            {/* Commit on blur or Enter, like the what-if inputs */}
+            <input id="target-prob-input" type="text"
+                   defaultValue={tempConstraints.current.targetProb ?? ''}
+                   placeholder={String(decisionThreshold)}
+                   onBlur={(e) => commitTargetProb(e.target.value)}
+                   onKeyDown={(e) => {
+                       if (e.key === 'Enter') commitTargetProb(e.target.value);
+                   }}/>
+            <span>decision threshold {decisionThreshold}</span>
+            {issue && <span className="target-prob-issue">{issue}</span>}
+        </div>
+    );
+};
+
+export default TargetProbControl;
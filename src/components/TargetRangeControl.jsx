@@ -0,0 +1,177 @@
+import {useRef, useEffect, useContext, useState} from 'react';
+import * as d3 from 'd3';
+import {TempConstraintsContext} from "./Contexts.jsx";
+import '../global.css';
+
+/**
+ * Parse the text of a target bound input. An empty input leaves the bound open.
+ * @param {string} text
+ * @returns {number|null} The parsed bound, or undefined if the text is not a number
+ */
+const parseBound = function (text) {
+    if (text.trim() === '') return null;
+    const value = Number(text);
+    return Number.isNaN(value) ? undefined : value;
+}
+
+/**
+ * Build the target range of an increasing or decreasing goal. The goal is the bound the plans
+ * have to reach, and the limit is the optional bound on the other side.
+ * @param {string} direction 'increase' or 'decrease'
+ * @param {number} goal
+ * @param {number|null} limit
+ * @returns {number[]} [lower, upper] target range
+ */
+const getTargetRange = function (direction, goal, limit) {
+    return direction === 'increase' ? [goal, limit ?? Infinity] : [limit ?? -Infinity, goal];
+}
+
+/**
+ * Let the user choose the target range of a regressor's prediction, above or below the current
+ * prediction. The bar shows the model's output range, the current prediction and the chosen
+ * interval. Like the other constraints, the range is stored in the temporary constraints and
+ * only used when the plans are regenerated.
+ * @param {number[]} initialRange The target range to start from
+ * @param {number[]} outputRange [lowest, highest] prediction of the model (see EBM.getOutputRange())
+ * @param {number[] | null} scoreRange The model's range of term scores
+ * @param {number} originalPrediction Prediction on the original sample
+ * @param {string} regressionName Name of the predicted quantity
+ */
+const TargetRangeControl = ({initialRange, outputRange, scoreRange, originalPrediction, regressionName}) => {
+    const tempConstraints = useContext(TempConstraintsContext);
+    const svgRef = useRef(null);
+
+    const [direction, setDirection] = useState(initialRange[0] > originalPrediction ? 'increase' : 'decrease');
+    const [targetRange, setTargetRange] = useState(initialRange);
+    const [issue, setIssue] = useState(null);
+
+    const [goal, limit] = direction === 'increase' ? targetRange : [targetRange[1], targetRange[0]];
+    // Inputs need plain numbers that parseBound() can read back, d3 formats use a unicode minus
+    const formatBound = (d) => String(Number(d.toPrecision(4)));
+
+    /**
+     * Check and store a new goal, limit, or direction
+     * @param {string} newDirection
+     * @param {string} goalText
+     * @param {string} limitText
+     */
+    const commitTargetRange = function (newDirection, goalText, limitText) {
+        const newGoal = parseBound(goalText);
+        const newLimit = parseBound(limitText);
+        const sign = newDirection === 'increase' ? 1 : -1;
+
+        if (newGoal === undefined || newGoal === null || newLimit === undefined) {
+            setIssue('Enter a number for the goal, and a number or nothing for the limit');
+            return;
+        }
+
+        // The range cannot cover the current prediction, and the limit has to be past the goal
+        if (sign * (newGoal - originalPrediction) <= 0) {
+            setIssue(`The goal has to be ${newDirection === 'increase' ? 'above' : 'below'} the current prediction`);
+            return;
+        }
+        if (newLimit !== null && sign * (newLimit - newGoal) <= 0) {
+            setIssue(`The limit has to be ${newDirection === 'increase' ? 'above' : 'below'} the goal`);
+            return;
+        }
+
+        const newRange = getTargetRange(newDirection, newGoal, newLimit);
+        setIssue(null);
+        setTargetRange(newRange);
+        tempConstraints.current.targetRange = newRange;
+    }
+
+    useEffect(() => {
+        if (!svgRef.current) return;
+
+        const width = 400;
+        const height = 50;
+        const margin = { top: 10, right: 20, bottom: 20, left: 20 };
+
+        const svg = d3.select(svgRef.current)
+            .attr("width", width)
+            .attr("height", height);
+
+        // Keep the current prediction and the finite bounds of the target range visible
+        const finiteBounds = targetRange.filter((d) => Number.isFinite(d));
+        const domain = d3.extent([...outputRange, originalPrediction, ...finiteBounds]);
+        const xScale = d3.scaleLinear()
+            .domain(domain)
+            .nice()
+            .range([margin.left, width - margin.right]);
+
+        const barY = margin.top;
+        const barHeight = height - margin.top - margin.bottom;
+        const clamp = (d) => xScale(Math.min(Math.max(d, xScale.domain()[0]), xScale.domain()[1]));
+
+        svg.append("rect")
+            .attr("class", "target-range-output")
+            .attr("x", xScale(outputRange[0]))
+            .attr("y", barY)
+            .attr("width", xScale(outputRange[1]) - xScale(outputRange[0]))
+            .attr("height", barHeight);
+
+        svg.append("rect")
+            .attr("class", "target-range-goal")
+            .attr("x", clamp(targetRange[0]))
+            .attr("y", barY)
+            .attr("width", clamp(targetRange[1]) - clamp(targetRange[0]))
+            .attr("height", barHeight);
+
+        svg.append("line")
+            .attr("class", "target-range-current")
+            .attr("x1", xScale(originalPrediction))
+            .attr("x2", xScale(originalPrediction))
+            .attr("y1", barY - 4)
+            .attr("y2", barY + barHeight + 4);
+
+        svg.append("g")
+            .attr("transform", `translate(0,${height - margin.bottom})`)
+            .call(d3.axisBottom(xScale).ticks(6));
+
+        // Clear any existing SVG content, otherwise every rerender is stacked upon the last one
+        return () => d3.select(svgRef.current).selectAll("*").remove();
+
+    }, [outputRange, originalPrediction, targetRange]);
+
+    return (
+        <div className="target-range">
+            <div className="target-range-inputs">
+                <label htmlFor="target-range-direction">Goal: </label>
+                <select id="target-range-direction" value={direction}
+                        onChange={(e) => {
+                            // Flip the goal around the current prediction, so the range stays valid
+                            const newDirection = e.target.value;
+                            const newGoal = 2 * originalPrediction - goal;
+                            setDirection(newDirection);
+                            commitTargetRange(newDirection, String(newGoal), '');
+                        }}>
+                    <option value={'increase'}>Increase {regressionName} to at least</option>
+                    <option value={'decrease'}>Decrease {regressionName} to at most</option>
+                </select>
+                {/* Commit on blur or Enter, like the what-if inputs */}
+                <input key={`goal-${goal}`} type="text" aria-label="goal" defaultValue={formatBound(goal)}
+                       onBlur={(e) => commitTargetRange(direction, e.target.value, Number.isFinite(limit) ? String(limit) : '')}
+                       onKeyDown={(e) => {
+                           if (e.key === 'Enter') e.target.blur();
+                       }}/>
+                <label htmlFor="target-range-limit">but {direction === 'increase' ? 'at most' : 'at least'}: </label>
+                <input id="target-range-limit" key={`limit-${limit}`} type="text" placeholder="no limit"
+                       defaultValue={Number.isFinite(limit) ? formatBound(limit) : ''}
+                       onBlur={(e) => commitTargetRange(direction, String(goal), e.target.value)}
+                       onKeyDown={(e) => {
+                           if (e.key === 'Enter') e.target.blur();
+                       }}/>
+            </div>
+            <svg ref={svgRef}></svg>
+            <div className="target-range-legend">
+                Current prediction {d3.format('.4~g')(originalPrediction)},
+                {' '}model output {d3.format('.4~g')(outputRange[0])} to {d3.format('.4~g')(outputRange[1])}
+                {scoreRange && <>, term scores {d3.format('.3~g')(scoreRange[0])} to {d3.format('.3~g')(scoreRange[1])}</>}
+            </div>
+            {issue && <div className="target-range-issue">{issue}</div>}
+        </div>
+    );
+};
+
+export default TargetRangeControl;
@@ -0,0 +1,138 @@
+import {useRef, useEffect} from 'react';
+import * as d3 from 'd3';
+import {isMissing} from '../ebm/ebm.js';
+import '../global.css';
+
+// Only the largest terms get their own bar, the rest are folded into one bar
+const maxNumTerms = 10;
+
+/**
+ * Format the input value(s) of a term for its label.
+ * @param {object} term One term from EBM.explain()
+ */
+const formatTermValue = function (term) {
+    return term.bins
+        .map((bin) => {
+            if (isMissing(bin.value)) return 'missing';
+            const value = typeof bin.value === 'number' ? d3.format('.4~g')(bin.value) : bin.value;
+            // Unseen levels are scored as missing values
+            return bin.binIndex < 0 ? `${value} (unseen)` : value;
+        })
+        .join(', ');
+}
+
+const WaterfallChart = ({explanation, displayNames}) => {
+    const svgRef = useRef(null);
+
+    useEffect(() => {
+        if (!svgRef.current) return;
+
+        // Build the rows of the waterfall: the intercept, one row per term, and the final score.
+        // Each row is a bar from `start` to `end` on the score axis.
+        const rows = [];
+        let cumulative = explanation.intercept;
+        rows.push({label: 'Intercept', value: '', start: 0, end: cumulative, type: 'base'});
+
+        explanation.terms.slice(0, maxNumTerms).forEach((term) => {
+            const names = term.bins.map((bin) => displayNames?.get(bin.featureName) ?? bin.featureName);
+            rows.push({
+                label: names.join(' x '),
+                value: formatTermValue(term),
+                start: cumulative,
+                end: cumulative + term.score,
+                type: term.score >= 0 ? 'positive' : 'negative'
+            });
+            cumulative += term.score;
+        });
+
+        const otherTerms = explanation.terms.slice(maxNumTerms);
+        if (otherTerms.length > 0) {
+            const otherScore = otherTerms.reduce((a, b) => a + b.score, 0);
+            rows.push({
+                label: `Other ${otherTerms.length} terms`,
+                value: '',
+                start: cumulative,
+                end: cumulative + otherScore,
+                type: otherScore >= 0 ? 'positive' : 'negative'
+            });
+            cumulative += otherScore;
+        }
+
+        rows.push({label: 'Score', value: '', start: 0, end: explanation.predScore, type: 'base'});
+
+        const width = 500;
+        const rowHeight = 22;
+        const margin = { top: 10, right: 30, bottom: 30, left: 220 };
+        const height = margin.top + margin.bottom + rows.length * rowHeight;
+
+        const svg = d3.select(svgRef.current)
+            .attr("width", width)
+            .attr("height", height);
+
+        const allValues = rows.flatMap((d) => [d.start, d.end]);
+        const xScale = d3.scaleLinear()
+            .domain(d3.extent(allValues))
+            .nice()
+            .range([margin.left, width - margin.right]);
+
+        const yScale = d3.scaleBand()
+            .domain(rows.map((d, i) => i))
+            .range([margin.top, height - margin.bottom])
+            .padding(0.2);
+
+        const colors = {base: "#718096", positive: "#c53030", negative: "#2c5282"};
+
+        // One group per row, with the bar and the label on the left
+        const rowGroups = svg.append("g")
+            .selectAll("g")
+            .data(rows)
+            .join("g")
+            .attr("transform", (d, i) => `translate(0,${yScale(i)})`);
+
+        rowGroups.append("rect")
+            .attr("x", (d) => xScale(Math.min(d.start, d.end)))
+            .attr("width", (d) => Math.max(1, Math.abs(xScale(d.end) - xScale(d.start))))
+            .attr("height", yScale.bandwidth())
+            .attr("fill", (d) => colors[d.type]);
+
+        rowGroups.append("text")
+            .attr("x", margin.left - 6)
+            .attr("y", yScale.bandwidth() / 2)
+            .attr("dominant-baseline", "middle")
+            .attr("text-anchor", "end")
+            .attr("font-size", "12px")
+            .text((d) => (d.value === '' ? d.label : `${d.label} = ${d.value}`));
+
+        // Connect the end of each bar to the start of the next bar
+        svg.append("g")
+            .selectAll("line")
+            .data(rows.slice(0, -1))
+            .join("line")
+            .attr("x1", (d) => xScale(d.end))
+            .attr("x2", (d) => xScale(d.end))
+            .attr("y1", (d, i) => yScale(i) + yScale.bandwidth())
+            .attr("y2", (d, i) => yScale(i + 1))
+            .attr("stroke", "#a0aec0")
+            .attr("stroke-dasharray", "2,2");
+
+        svg.append("g")
+            .attr("transform", `translate(0,${height - margin.bottom})`)
+            .call(d3.axisBottom(xScale).ticks(6));
+
+        // Clear any existing SVG content, otherwise every rerender is stacked upon the last one
+        return () => d3.select(svgRef.current).selectAll("*").remove();
+
+    }, [explanation, displayNames]);
+
+    return (
+        <div className="waterfall-card">
+            <div className="waterfall-card-header">
+                <span className="waterfall-card-header-title">Score breakdown</span>
+                <span>{d3.format('.4~g')(explanation.predScore)}</span>
+            </div>
+            <svg ref={svgRef}></svg>
+        </div>
+    );
+};
+
+export default WaterfallChart;
@@ -0,0 +1,95 @@
+/**
+ * Cost curves that set how much a change of a continuous feature costs,
+ * instead of its distance metric and a fixed difficulty multiplier.
+ *
+ * A curve is `{type, points: [[amount, cost], ...]}`, where `amount` is the
+ * size of the change in feature units (in either direction) and `cost` is in
+ * the units of the distance that GAMCoach minimizes (MADs by default). The
+ * amounts are positive and increasing. With `type`:
+ * - `piecewise`: the cost is linear between the points, starts from 0 for no
+ *   change, and continues the last segment past the last point
+ * - `table`: a change costs as much as the first point that covers it, and
+ *   changes past the last point cost as much as the last point
+ *
+ * For example, `{type: 'piecewise', points: [[5, 0.5], [10, 10]]}` makes the
+ * first 5 units cheap and every unit after them expensive.
+ *
+ * License: MIT
+ */
+
+export const costCurveTypes = ['piecewise', 'table'];
+
+/**
+ * Find the issue of a cost curve.
+ * @param {object} curve {type, points}
+ * @returns {string | null} The issue, or null if the curve is valid
+ */
+export const findCostCurveIssue = (curve) => {
+  if (curve === null || typeof curve !== 'object') {
+    return 'A cost curve must be an object';
+  }
+  if (!costCurveTypes.includes(curve.type)) {
+    return `\`type\` must be one of ${costCurveTypes.join(', ')}`;
+  }
+
+  const { points } = curve;
+  if (!Array.isArray(points) || points.length === 0) {
+    return 'A cost curve needs `points`, [[amount, cost], ...]';
+  }
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    if (
+      !Array.isArray(point) ||
+      point.length !== 2 ||
+      !point.every((d) => typeof d === 'number' && Number.isFinite(d))
+    ) {
+      return `Point ${i} must be [amount, cost] with two numbers`;
+    }
+    const [amount, cost] = point;
+    if (amount <= (i === 0 ? 0 : points[i - 1][0])) {
+      return 'The amounts of the points must be positive and increasing';
+    }
+    if (cost < 0) {
+      return `The cost of point ${i} cannot be negative`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the cost of a change. The curve should be valid (see
+ * `findCostCurveIssue()`).
+ * @param {object} curve {type, points}
+ * @param {number} change Change of the feature value, in either direction
+ * @returns {number}
+ */
+export const evaluateCostCurve = (curve, change) => {
+  const amount = Math.abs(change);
+  const { points } = curve;
+  if (amount === 0) {
+    return 0;
+  }
+
+  // The first point at or past the amount, the last segment if there is none
+  let i = points.findIndex(([pointAmount]) => pointAmount >= amount);
+
+  if (curve.type === 'table') {
+    return points[i < 0 ? points.length - 1 : i][1];
+  }
+
+  if (i < 0) {
+    i = points.length - 1;
+  }
+  const [x0, y0] = i === 0 ? [0, 0] : points[i - 1];
+  const [x1, y1] = points[i];
+  return Math.max(0, y0 + ((amount - x0) * (y1 - y0)) / (x1 - x0));
+};
+
+/**
+ * Turn a cost curve into a distance metric.
+ * @param {object} curve A valid cost curve
+ * @returns {function} (fromValue, toValue) => distance
+ */
+export const createCostCurveMetric = (curve) => {
+  return (fromValue, toValue) => evaluateCostCurve(curve, toValue - fromValue);
+};
@@ -0,0 +1,334 @@
+/**
+ * Constraints between features, compiled into extra rows of the GAMCoach MILP.
+ *
+ * A constraint is one of:
+ * - `{type: 'linear', coefs: {name: coef}, op, value}`: a linear inequality
+ *   `sum(coef * feature) op value` between continuous features, where `op` is
+ *   `<=`, `>=` or `=`
+ * - `{type: 'implies', if: condition, then: condition}`: if the first condition
+ *   holds after the plan, the second one has to hold too
+ * - `{type: 'exclusive', conditions: [condition, ...]}`: at most one of the
+ *   conditions holds after the plan
+ *
+ * A condition is a feature name, which holds if the plan changes the feature,
+ * or `{feature, op, value}`, which holds if the feature's value after the plan
+ * satisfies `op`: `<=` or `>=` a number for continuous features, and `in` a
+ * list of levels for categorical features.
+ *
+ * Each MILP variable picks one option (target value) of a feature, and at most
+ * one option of a feature is active, so the value of a feature after the plan
+ * is its current value plus the sum of (target - current) over its variables.
+ *
+ * License: MIT
+ */
+
+import { isMissing } from './ebm.js';
+
+const constraintTypes = ['linear', 'implies', 'exclusive'];
+const linearOps = ['<=', '>=', '='];
+const conditionOps = { continuous: ['<=', '>='], categorical: ['in'] };
+
+/**
+ * Normalize a condition, a feature name is short for "the feature changes".
+ * @param {string | object} condition
+ * @returns {object} {feature, op, value}
+ */
+const toCondition = (condition) =>
+  typeof condition === 'string' ? { feature: condition } : condition;
+
+/**
+ * Find the issue of a condition.
+ * @param {string | object} condition
+ * @param {Map<string, string>} featureTypes Main-effect feature name => type
+ * @returns {string | null} The issue, or null if the condition is valid
+ */
+const findConditionIssue = (condition, featureTypes) => {
+  if (
+    typeof condition !== 'string' &&
+    (condition === null || typeof condition !== 'object')
+  ) {
+    return 'A condition must be a feature name or {feature, op, value}';
+  }
+
+  const { feature, op, value } = toCondition(condition);
+  const type = featureTypes.get(feature);
+  if (type === undefined) {
+    return `Unknown feature \`${feature}\``;
+  }
+  if (op === undefined) {
+    return null;
+  }
+
+  if (!conditionOps[type].includes(op)) {
+    return (
+      `Conditions on ${type} feature \`${feature}\` use ` +
+      conditionOps[type].map((d) => `\`${d}\``).join(' or ')
+    );
+  }
+  if (type === 'continuous' && !Number.isFinite(value)) {
+    return `Condition on \`${feature}\` needs a number`;
+  }
+  if (type === 'categorical' && (!Array.isArray(value) || value.length === 0)) {
+    return `Condition on \`${feature}\` needs a list of levels`;
+  }
+  return null;
+};
+
+/**
+ * Find the issue of a cross-feature constraint.
+ * @param {object} constraint
+ * @param {Map<string, string>} featureTypes Main-effect feature name => type
+ * @returns {string | null} The issue, or null if the constraint is valid
+ */
+export const findCrossConstraintIssue = (constraint, featureTypes) => {
+  if (constraint === null || typeof constraint !== 'object') {
+    return 'A constraint must be an object';
+  }
+  if (!constraintTypes.includes(constraint.type)) {
+    return `Constraint \`type\` must be one of ${constraintTypes.join(', ')}`;
+  }
+
+  if (constraint.type === 'linear') {
+    const { coefs, op, value } = constraint;
+    if (
+      coefs === null ||
+      typeof coefs !== 'object' ||
+      Object.keys(coefs).length === 0
+    ) {
+      return 'A linear constraint needs `coefs`, {feature name: coefficient}';
+    }
+    for (const [name, coef] of Object.entries(coefs)) {
+      if (!featureTypes.has(name)) {
+        return `Unknown feature \`${name}\``;
+      }
+      if (featureTypes.get(name) !== 'continuous') {
+        return `Linear constraints only use continuous features, not \`${name}\``;
+      }
+      if (!Number.isFinite(coef)) {
+        return `Coefficient of \`${name}\` must be a number`;
+      }
+    }
+    if (!linearOps.includes(op)) {
+      return `A linear constraint needs \`op\`, one of ${linearOps.join(', ')}`;
+    }
+    if (!Number.isFinite(value)) {
+      return 'A linear constraint needs a number `value`';
+    }
+    return null;
+  }
+
+  const conditions =
+    constraint.type === 'implies'
+      ? [constraint.if, constraint.then]
+      : constraint.conditions;
+  if (
+    constraint.type === 'exclusive' &&
+    (!Array.isArray(conditions) || conditions.length < 2)
+  ) {
+    return 'An exclusive constraint needs at least two `conditions`';
+  }
+
+  for (const condition of conditions) {
+    const issue = findConditionIssue(condition, featureTypes);
+    if (issue !== null) {
+      return issue;
+    }
+  }
+  return null;
+};
+
+/**
+ * Describe a condition, e.g. `alcohol changes` or `sulphates >= 0.5`.
+ * @param {string | object} condition
+ * @param {function} getName feature name => name to show
+ * @returns {string}
+ */
+const formatCondition = (condition, getName) => {
+  const { feature, op, value } = toCondition(condition);
+  if (op === undefined) {
+    return `${getName(feature)} changes`;
+  }
+  return op === 'in'
+    ? `${getName(feature)} in {${value.join(', ')}}`
+    : `${getName(feature)} ${op} ${value}`;
+};
+
+/**
+ * Describe a cross-feature constraint in one line.
+ * @param {object} constraint A valid constraint
+ * @param {function} [getName] feature name => name to show
+ * @returns {string}
+ */
+export const formatCrossConstraint = (constraint, getName = (d) => d) => {
+  if (constraint.type === 'linear') {
+    const terms = Object.entries(constraint.coefs).map(([name, coef], i) => {
+      const sign = coef < 0 ? '- ' : i === 0 ? '' : '+ ';
+      const absCoef = Math.abs(coef);
+      return `${sign}${absCoef === 1 ? '' : `${absCoef} * `}${getName(name)}`;
+    });
+    return `${terms.join(' ')} ${constraint.op} ${constraint.value}`;
+  }
+
+  if (constraint.type === 'implies') {
+    return (
+      `if ${formatCondition(constraint.if, getName)} then ` +
+      formatCondition(constraint.then, getName)
+    );
+  }
+
+  const conditions = constraint.conditions.map((c) =>
+    formatCondition(c, getName)
+  );
+  return `at most one of: ${conditions.join('; ')}`;
+};
+
+/**
+ * Check if a feature value satisfies a condition with an `op`.
+ * @param {object} condition {feature, op, value}
+ * @param {object} featureValue Feature value (missing values never do)
+ * @returns {boolean}
+ */
+const satisfies = ({ op, value }, featureValue) => {
+  if (isMissing(featureValue)) {
+    return false;
+  }
+  if (op === 'in') {
+    return value.map(String).includes(String(featureValue));
+  }
+  return op === '<=' ? featureValue <= value : featureValue >= value;
+};
+
+/**
+ * Express the indicator of a condition (1 if it holds after the plan) as
+ * `constant + sum(coef * variable)`.
+ * @param {object} condition {feature, op, value}
+ * @param {object} curValue Current value of the feature
+ * @param {object[]} featureOptions Options of the feature
+ * @returns {object} {constant, terms: [[variable name, coef]]}
+ */
+const getIndicator = (condition, curValue, featureOptions) => {
+  const { feature, op } = condition;
+  const toTerm = (option, coef) => [`${feature}:${option[3]}`, coef];
+
+  // Any active option changes the feature
+  if (op === undefined) {
+    return { constant: 0, terms: featureOptions.map((o) => toTerm(o, 1)) };
+  }
+
+  // The condition holds unless an option breaks it, or only if an option
+  // fulfills it
+  if (satisfies(condition, curValue)) {
+    return {
+      constant: 1,
+      terms: featureOptions
+        .filter((o) => !satisfies(condition, o[0]))
+        .map((o) => toTerm(o, -1))
+    };
+  }
+  return {
+    constant: 0,
+    terms: featureOptions
+      .filter((o) => satisfies(condition, o[0]))
+      .map((o) => toTerm(o, 1))
+  };
+};
+
+/**
+ * Sum up the terms of several indicators into MILP row variables.
+ * @param {object[][]} termGroups [[[variable name, coef]]]
+ * @returns {object[]} [{name, coef}]
+ */
+const mergeTerms = (termGroups) => {
+  const coefs = new Map();
+  termGroups.flat().forEach(([name, coef]) => {
+    coefs.set(name, (coefs.get(name) ?? 0) + coef);
+  });
+  return [...coefs.entries()]
+    .filter(([, coef]) => coef !== 0)
+    .map(([name, coef]) => ({ name, coef }));
+};
+
+/**
+ * Compile cross-feature constraints into MILP rows over the option variables
+ * (named `{feature name}:{bin id}`). Constraints should be valid (see
+ * `findCrossConstraintIssue()`). Linear constraints on a feature with a
+ * missing value are skipped, as the value after the plan is unknown when the
+ * plan keeps it missing.
+ * @param {object[]} crossConstraints
+ * @param {Map<string, object>} curValues Main-effect feature name => value
+ * @param {object} options Options of each feature, [target, score_gain,
+ *  distance, bin_index, ...]
+ * @returns {object[]} Rows {name, vars: [{name, coef}], lb, ub}, where a
+ *  missing bound is null
+ */
+export const compileCrossConstraints = (
+  crossConstraints,
+  curValues,
+  options
+) => {
+  const rows = [];
+
+  crossConstraints.forEach((constraint, i) => {
+    const name = `cross-cons-${i}`;
+
+    if (constraint.type === 'linear') {
+      const coefEntries = Object.entries(constraint.coefs);
+      if (coefEntries.some(([f]) => isMissing(curValues.get(f)))) {
+        return;
+      }
+
+      // sum(a * cur) + sum(a * (target - cur) * x) op value
+      let constant = 0;
+      const termGroups = coefEntries.map(([f, coef]) => {
+        const curValue = curValues.get(f);
+        constant += coef * curValue;
+        return (options[f] ?? []).map((o) => [
+          `${f}:${o[3]}`,
+          coef * (o[0] - curValue)
+        ]);
+      });
+
+      const bound = constraint.value - constant;
+      rows.push({
+        name,
+        vars: mergeTerms(termGroups),
+        lb: constraint.op === '<=' ? null : bound,
+        ub: constraint.op === '>=' ? null : bound
+      });
+      return;
+    }
+
+    const conditions = (
+      constraint.type === 'implies'
+        ? [constraint.if, constraint.then]
+        : constraint.conditions
+    ).map(toCondition);
+    const indicators = conditions.map((c) =>
+      getIndicator(c, curValues.get(c.feature), options[c.feature] ?? [])
+    );
+
+    if (constraint.type === 'implies') {
+      // if <= then
+      const [ifIndicator, thenIndicator] = indicators;
+      rows.push({
+        name,
+        vars: mergeTerms([
+          ifIndicator.terms,
+          thenIndicator.terms.map(([v, coef]) => [v, -coef])
+        ]),
+        lb: null,
+        ub: thenIndicator.constant - ifIndicator.constant
+      });
+    } else {
+      // sum(indicators) <= 1
+      rows.push({
+        name,
+        vars: mergeTerms(indicators.map((d) => d.terms)),
+        lb: null,
+        ub: 1 - indicators.reduce((a, d) => a + d.constant, 0)
+      });
+    }
+  });
+
+  return rows;
+};
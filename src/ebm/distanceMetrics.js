@@ -0,0 +1,204 @@
+/**
+ * Distance metrics that turn a feature change into the cost that GAMCoach
+ * minimizes.
+ *
+ * A metric is a function `(fromValue, toValue) => distance`. The built-in
+ * continuous metrics are rescaled so that they agree on normally distributed
+ * data, where one MAD is about 0.67 standard deviations and, around the median,
+ * about a 25% percentile shift. This keeps plans comparable when features use
+ * different metrics.
+ *
+ * License: MIT
+ */
+
+// One standard deviation in MADs, and one percentile shift around the median
+// in MADs, for normally distributed data
+const stdToMad = 1.4826;
+const percentileToMad = 4;
+
+/**
+ * Get the trapezoid weights of the density grid of a feature histogram.
+ * @param {object} feature A continuous feature in the model JSON
+ * @returns {number[]} Probability mass around each grid point (sums to 1)
+ */
+const getHistogramMasses = (feature) => {
+  const { name, histEdge, histCount } = feature;
+  if (
+    !Array.isArray(histEdge) ||
+    !Array.isArray(histCount) ||
+    histEdge.length < 2 ||
+    histEdge.length !== histCount.length
+  ) {
+    throw Error(`Feature \`${name}\` has no histogram to compute distances`);
+  }
+
+  const masses = new Array(histEdge.length).fill(0);
+  for (let i = 0; i < histEdge.length - 1; i++) {
+    const area =
+      ((histCount[i] + histCount[i + 1]) / 2) * (histEdge[i + 1] - histEdge[i]);
+    masses[i] += area / 2;
+    masses[i + 1] += area / 2;
+  }
+
+  const total = masses.reduce((a, b) => a + b, 0);
+  if (!(total > 0)) {
+    throw Error(`Feature \`${name}\` has an empty histogram`);
+  }
+  return masses.map((d) => d / total);
+};
+
+/**
+ * Get the cumulative distribution function of a feature from its histogram.
+ * @param {object} feature A continuous feature in the model JSON
+ * @returns {function} value => share of the training data below `value`
+ */
+const getHistogramCdf = (feature) => {
+  const { histEdge, histCount } = feature;
+
+  // Integrate the density along the grid
+  const cumulative = [0];
+  for (let i = 0; i < histEdge.length - 1; i++) {
+    const area =
+      ((histCount[i] + histCount[i + 1]) / 2) * (histEdge[i + 1] - histEdge[i]);
+    cumulative.push(cumulative[i] + area);
+  }
+  const total = cumulative[cumulative.length - 1];
+  if (!(total > 0)) {
+    throw Error(`Feature \`${feature.name}\` has an empty histogram`);
+  }
+
+  return (value) => {
+    if (value <= histEdge[0]) {
+      return 0;
+    }
+    if (value >= histEdge[histEdge.length - 1]) {
+      return 1;
+    }
+
+    let i = 0;
+    while (histEdge[i + 1] < value) {
+      i++;
+    }
+    const t = (value - histEdge[i]) / (histEdge[i + 1] - histEdge[i]);
+    return (cumulative[i] + t * (cumulative[i + 1] - cumulative[i])) / total;
+  };
+};
+
+/**
+ * Built-in metrics for continuous features. Each factory takes the feature in
+ * the model JSON and the distance data {contMads, catDistances}, and returns
+ * the metric.
+ */
+export const continuousMetrics = {
+  // Distance in median absolute deviations (MADs). Features with a zero MAD
+  // use the raw distance
+  mad: (feature, { contMads }) => {
+    const mad = contMads[feature.name];
+    return (fromValue, toValue) =>
+      mad > 0
+        ? Math.abs(toValue - fromValue) / mad
+        : Math.abs(toValue - fromValue);
+  },
+
+  // Distance in standard deviations of the histogram
+  std: (feature) => {
+    const masses = getHistogramMasses(feature);
+    const mean = feature.histEdge.reduce((a, x, i) => a + x * masses[i], 0);
+    const variance = feature.histEdge.reduce(
+      (a, x, i) => a + (x - mean) ** 2 * masses[i],
+      0
+    );
+    const std = Math.sqrt(variance);
+
+    return (fromValue, toValue) =>
+      std > 0
+        ? (Math.abs(toValue - fromValue) / std) * stdToMad
+        : Math.abs(toValue - fromValue);
+  },
+
+  // Share of the training data the value moves across, so changes in dense
+  // regions cost more than the same change in the tails
+  percentile: (feature) => {
+    const cdf = getHistogramCdf(feature);
+    return (fromValue, toValue) =>
+      Math.abs(cdf(toValue) - cdf(fromValue)) * percentileToMad;
+  }
+};
+
+/**
+ * Built-in metrics for categorical features, with the same factory signature
+ * as `continuousMetrics`.
+ */
+export const categoricalMetrics = {
+  // The distance of the target level in `catDistances`, whatever the current
+  // level is. Filling in a missing value costs GAMCoach's `missingDistance`
+  // instead, as for continuous features
+  level: (feature, { catDistances }) => {
+    const levelDistances = catDistances[feature.name];
+    return (fromValue, toValue) => levelDistances[toValue];
+  }
+};
+
+/**
+ * Build the metric of one feature.
+ * @param {string | function} metric A built-in metric name, or a custom
+ *  function `(fromValue, toValue, feature) => distance`
+ * @param {object} feature A main-effect feature in the model JSON
+ * @param {object} distanceData {contMads, catDistances}
+ * @returns {function} (fromValue, toValue) => distance
+ */
+export const createDistanceMetric = (metric, feature, distanceData) => {
+  if (typeof metric === 'function') {
+    return (fromValue, toValue) => metric(fromValue, toValue, feature);
+  }
+
+  const builtInMetrics =
+    feature.type === 'continuous' ? continuousMetrics : categoricalMetrics;
+  if (!Object.hasOwn(builtInMetrics, metric)) {
+    throw Error(
+      `Unknown distance metric \`${metric}\` for ${feature.type} feature ` +
+        `\`${feature.name}\`, use one of ${Object.keys(builtInMetrics).join(', ')} or a function`
+    );
+  }
+  return builtInMetrics[metric](feature, distanceData);
+};
+
+/**
+ * Build the distance metric of every main-effect feature. A feature's metric
+ * is picked from, in order:
+ * 1. `overrides.features[name]`
+ * 2. the feature's `config.distanceMetric`
+ * 3. `overrides.continuous` or `overrides.categorical`
+ * 4. the model's `distanceMetric` (continuous features only)
+ * 5. `mad` for continuous features and `level` for categorical features
+ * @param {object} model Trained EBM model in JSON format
+ * @param {object} distanceData {contMads, catDistances}
+ * @param {object | null} overrides {continuous, categorical, features}, where
+ *  each metric is a built-in name or a custom function
+ * @returns {Map<string, function>} A map from feature name to its metric
+ */
+export const resolveDistanceMetrics = (
+  model,
+  distanceData,
+  overrides = null
+) => {
+  const metrics = new Map();
+
+  model.features.forEach((f) => {
+    if (f.type !== 'continuous' && f.type !== 'categorical') {
+      return;
+    }
+
+    const isCont = f.type === 'continuous';
+    const metric =
+      overrides?.features?.[f.name] ??
+      f.config?.distanceMetric ??
+      (isCont ? overrides?.continuous : overrides?.categorical) ??
+      (isCont ? model.distanceMetric : undefined) ??
+      (isCont ? 'mad' : 'level');
+
+    metrics.set(f.name, createDistanceMetric(metric, f, distanceData));
+  });
+
+  return metrics;
+};
@@ -0,0 +1,148 @@
+/**
+ * Diversity strategies that keep the next plans of a batch away from the plans
+ * already found, applied to the GAMCoach MILP after each plan.
+ *
+ * A diversity config is `{strategy, minDistance}`, where `strategy` is one of:
+ * - `mute`: the next plans cannot use the same options (feature values) as an
+ *   earlier plan, but they can change the same features
+ * - `hamming`: the set of features that the next plan changes has to differ
+ *   from the set of every earlier plan in at least `minDistance` features
+ *   (default 1)
+ * - `feature`: the next plans cannot change any feature that an earlier plan
+ *   changes
+ *
+ * The diversity score of a plan is the smallest Hamming distance between its
+ * set of changed features and the set of an earlier plan in the batch.
+ *
+ * License: MIT
+ */
+
+export const diversityStrategies = ['mute', 'hamming', 'feature'];
+
+/**
+ * Find the issue of a diversity config.
+ * @param {object} diversity {strategy, minDistance}
+ * @returns {string | null} The issue, or null if the config is valid
+ */
+export const findDiversityIssue = (diversity) => {
+  if (diversity === null || typeof diversity !== 'object') {
+    return 'The diversity config must be an object';
+  }
+  if (!diversityStrategies.includes(diversity.strategy)) {
+    return `\`strategy\` must be one of ${diversityStrategies.join(', ')}`;
+  }
+  if (
+    diversity.minDistance !== undefined &&
+    !(Number.isInteger(diversity.minDistance) && diversity.minDistance >= 1)
+  ) {
+    return '`minDistance` must be a positive integer';
+  }
+  return null;
+};
+
+/**
+ * Get the features that a plan changes.
+ * @param {string[]} activeVariables Active variables of the plan, main effect
+ *  variables are named `{feature name}:{bin id}`
+ * @param {string[]} featuresToVary Names of the features that plans can change
+ * @returns {string[]} Sorted feature names
+ */
+export const getPlanFeatures = (activeVariables, featuresToVary) => {
+  const features = new Set();
+  activeVariables.forEach((name) => {
+    const feature = name.slice(0, name.lastIndexOf(':'));
+    if (featuresToVary.includes(feature)) {
+      features.add(feature);
+    }
+  });
+  return [...features].sort();
+};
+
+/**
+ * Count the features that only one of two plans changes.
+ * @param {string[]} features1
+ * @param {string[]} features2
+ * @returns {number}
+ */
+const getHammingDistance = (features1, features2) => {
+  const set1 = new Set(features1);
+  const shared = features2.filter((f) => set1.has(f)).length;
+  return features1.length + features2.length - 2 * shared;
+};
+
+/**
+ * Score how different a plan is from the earlier plans of the batch.
+ * @param {string[]} planFeatures Features that the plan changes
+ * @param {string[][]} earlierPlanFeatures Features of each earlier plan
+ * @returns {number | null} The smallest Hamming distance to an earlier plan,
+ *  null for the first plan
+ */
+export const getDiversityScore = (planFeatures, earlierPlanFeatures) => {
+  if (earlierPlanFeatures.length === 0) {
+    return null;
+  }
+  return Math.min(
+    ...earlierPlanFeatures.map((d) => getHammingDistance(planFeatures, d))
+  );
+};
+
+/**
+ * Keep the next plans away from a plan.
+ * @param {object} diversity A valid diversity config
+ * @param {string[]} activeVariables Active variables of the plan
+ * @param {string[]} featuresToVary Names of the features that plans can change
+ * @param {object} options Options of each feature, [target, score_gain,
+ *  distance, bin_index, ...]
+ * @param {number} planIndex Index of the plan in the batch, to name its row
+ * @returns {object} {mutedVariables, rows}, variables to mute and rows to add
+ *  to the MILP ({name, vars: [{name, coef}], lb, ub}, where a missing bound is
+ *  null)
+ */
+export const getDiversityExclusion = (
+  diversity,
+  activeVariables,
+  featuresToVary,
+  options,
+  planIndex
+) => {
+  const getVariables = (f) => options[f].map((o) => `${f}:${o[3]}`);
+  const planFeatures = getPlanFeatures(activeVariables, featuresToVary);
+
+  switch (diversity.strategy) {
+    case 'mute': {
+      return { mutedVariables: activeVariables, rows: [] };
+    }
+
+    case 'feature': {
+      return { mutedVariables: planFeatures.flatMap(getVariables), rows: [] };
+    }
+
+    case 'hamming': {
+      // The sum of the variables of a feature is 1 if the plan changes it, so
+      // the distance to the plan is sum(1 - changes f) over its features plus
+      // sum(changes f) over the other features
+      const planFeatureSet = new Set(planFeatures);
+      const vars = featuresToVary.flatMap((f) =>
+        getVariables(f).map((name) => ({
+          name,
+          coef: planFeatureSet.has(f) ? -1 : 1
+        }))
+      );
+      return {
+        mutedVariables: [],
+        rows: [
+          {
+            name: `diversity-cons-${planIndex}`,
+            vars,
+            lb: (diversity.minDistance ?? 1) - planFeatures.length,
+            ub: null
+          }
+        ]
+      };
+    }
+
+    default: {
+      throw Error(`Unknown diversity strategy ${diversity.strategy}`);
+    }
+  }
+};
@@ -5,14 +5,31 @@
  * License: MIT
  */
 
+import { CompiledEBM } from './ebmCompiled.js';
+import { assertValidModel } from './modelValidator.js';
+
+/**
+ * Check if a feature value is missing (null, undefined, or NaN).
+ * @param {any} value A feature value
+ * @returns {boolean}
+ */
+export function isMissing(value) {
+  return value === null || value === undefined || Number.isNaN(value);
+}
+
 /**
  * Find the lower bound of a pair between where inserting `value` into `sorted`
  * would keep `sorted` in order.
  * @param sorted a sorted array (ascending order)
  * @param value a number to insert into `sorted`
- * @returns the lower bound index in the sorted array to insert
+ * @returns the lower bound index in the sorted array to insert, or -1 if
+ *  `value` is missing
  */
 export function searchSortedLowerIndex(sorted, value) {
+  if (isMissing(value)) {
+    return -1;
+  }
+
   let left = 0;
   let right = sorted.length - 1;
 
@@ -49,12 +66,148 @@ export function sigmoid(logit) {
   return round(odd / (1 + odd), 5);
 }
 
+/**
+ * Convert a probability into log odds, the inverse of `sigmoid()`.
+ * @param {number} prob A probability
+ * @returns {number} Log odds (-Infinity for 0 and Infinity for 1)
+ */
+export function logOdds(prob) {
+  return Math.log(prob / (1 - prob));
+}
+
+/**
+ * Convert per-class logits into class probabilities.
+ * @param {number[]} logits Raw scores, one for each class
+ * @returns {number[]} Probabilities, one for each class
+ */
+export function softmax(logits) {
+  // Subtract the max logit to avoid overflow
+  const maxLogit = Math.max(...logits);
+  const odds = logits.map((d) => Math.exp(d - maxLogit));
+  const oddSum = odds.reduce((a, b) => a + b);
+
+  // Round the prob for more stable ROC AUC computation
+  return odds.map((d) => round(d / oddSum, 5));
+}
+
+/**
+ * Link functions of regression models. `toLink` maps a predicted value in
+ * response units to the scale of the additive raw score, and `toResponse` is
+ * its inverse. Values outside the domain of a link (e.g. non-positive values
+ * for the log link) are mapped to -Infinity.
+ */
+export const regressionLinks = {
+  identity: {
+    toLink: (value) => value,
+    toResponse: (score) => score
+  },
+  log: {
+    toLink: (value) => (value > 0 ? Math.log(value) : -Infinity),
+    toResponse: (score) => Math.exp(score)
+  }
+};
+
+/**
+ * Calibration maps of binary classifiers, fitted offline on the raw score (log
+ * odds). `toProb` maps a raw score to the calibrated probability of the
+ * positive class, and `toScore` maps a probability back to the lowest raw
+ * score that reaches it.
+ * - platt: {type, a, b}, the probability is sigmoid(a * score + b)
+ * - isotonic: {type, scores, probs}, the piecewise linear map through the
+ *   points (scores[i], probs[i]), constant beyond the first and last point
+ */
+export const calibrationMaps = {
+  platt: {
+    toProb: ({ a, b }, score) => sigmoid(a * score + b),
+    toScore: ({ a, b }, prob) => (logOdds(prob) - b) / a
+  },
+  isotonic: {
+    toProb: ({ scores, probs }, score) => {
+      const last = scores.length - 1;
+      if (score <= scores[0]) {
+        return probs[0];
+      }
+      if (score >= scores[last]) {
+        return probs[last];
+      }
+
+      const i = searchSortedLowerIndex(scores, score);
+      const t = (score - scores[i]) / (scores[i + 1] - scores[i]);
+      return round(probs[i] + t * (probs[i + 1] - probs[i]), 5);
+    },
+    toScore: ({ scores, probs }, prob) => {
+      // Every score reaches probabilities below the first point, and no score
+      // reaches the ones above the last point
+      if (prob <= probs[0]) {
+        return -Infinity;
+      }
+      const i = probs.findIndex((d) => d >= prob);
+      if (i < 0) {
+        return Infinity;
+      }
+
+      const t = (prob - probs[i - 1]) / (probs[i] - probs[i - 1]);
+      return scores[i - 1] + t * (scores[i] - scores[i - 1]);
+    }
+  }
+};
+
+/**
+ * Find the index of the largest value in an array.
+ * @param {number[]} values
+ * @returns {number}
+ */
+export function argmax(values) {
+  let maxIndex = 0;
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] > values[maxIndex]) {
+      maxIndex = i;
+    }
+  }
+  return maxIndex;
+}
+
+/**
+ * Get the feature names of an interaction term. N-way terms list them in
+ * `names`, and pairwise terms can also use `name1` and `name2`.
+ * @param {object} term An interaction term in the model JSON
+ * @returns {string[]} Feature names
+ */
+export function getInteractionNames(term) {
+  return term.names ?? [term.name1, term.name2];
+}
+
+/**
+ * Get the bin labels of each dimension of an interaction term. N-way terms
+ * list them in `binLabels`, and pairwise terms can also use `binLabel1` and
+ * `binLabel2`.
+ * @param {object} term An interaction term in the model JSON
+ * @returns {object[][]} Bin labels (with the max edge for continuous features)
+ */
+export function getInteractionBinLabels(term) {
+  return term.binLabels ?? [term.binLabel1, term.binLabel2];
+}
+
+/**
+ * Create a nested array of 0 with the same shape as `array`.
+ * @param {number | number[]} array A (nested) array of numbers
+ * @returns {number | number[]}
+ */
+const zerosLike = (array) => {
+  return Array.isArray(array) ? array.map(zerosLike) : 0;
+};
+
 export class EBM {
   /**
    * Initialize an EBM model from a trained EBM model.
    * @param {object} model Trained EBM model in JSON format
+   * @throws {ModelValidationError} If the model JSON is malformed
    */
   constructor(model) {
+    // Check the shapes of all arrays up front, so a malformed model fails
+    // loudly instead of producing wrong scores
+    assertValidModel(model);
+
     /**
      * Pre-process the feature data
      *
@@ -75,6 +228,19 @@ export class EBM {
     const binEdges = [];
     const scores = [];
 
+    // The standard errors of the scores have the same shape as the scores
+    const errors = [];
+
+    // Missing values have their own score, stored in the optional
+    // `missingAdditive` and `missingError` fields of each feature. Models
+    // without a missing bin score them as 0. Unseen levels of categorical
+    // features use the optional `unknownAdditive` and `unknownError` fields,
+    // and the missing bin if there are none.
+    const missingScores = [];
+    const missingErrors = [];
+    const unknownScores = [];
+    const unknownErrors = [];
+
     // This loop won't encounter interaction terms
     for (let i = 0; i < model.featureNames.length; i++) {
       const curName = model.featureNames[i];
@@ -92,55 +258,58 @@ export class EBM {
 
       binEdges.push(curBinEdge);
       scores.push(curScore);
-
-      console.assert((binEdges.length = scores.length));
+      errors.push(
+        model.features[curIndex].error
+          ? model.features[curIndex].error.slice()
+          : zerosLike(curScore)
+      );
+
+      const curFeature = model.features[curIndex];
+      missingScores.push(curFeature.missingAdditive ?? zerosLike(curScore[0]));
+      missingErrors.push(curFeature.missingError ?? zerosLike(curScore[0]));
+      unknownScores.push(
+        curFeature.unknownAdditive ?? missingScores[missingScores.length - 1]
+      );
+      unknownErrors.push(
+        curFeature.unknownError ?? missingErrors[missingErrors.length - 1]
+      );
     }
 
     /**
      * Step 2: For the interaction effect, we want to store the feature
      * indexes and the score.
      *
-     * Here we store arrays of indexes(2D), edges(3D), and scores(3D)
+     * An interaction term can use any number of features. Here we store arrays
+     * of indexes(2D), edges(3D), and N-dimensional score tensors
      */
     const interactionIndexes = [];
+    const interactionNames = [];
     const interactionScores = [];
+    const interactionErrors = [];
     const interactionBinEdges = [];
 
     model.features.forEach((d) => {
       if (d.type === 'interaction') {
-        // Parse the feature name
-        const index1 = model.featureNames.indexOf(d.name1);
-        const index2 = model.featureNames.indexOf(d.name2);
-
-        const curIndexes = [index1, index2];
+        // Parse the feature names
+        const curNames = getInteractionNames(d);
+        const curIndexes = curNames.map((name) =>
+          model.featureNames.indexOf(name)
+        );
         interactionIndexes.push(curIndexes);
-
-        // Collect two bin edges
-        let binEdge1 = [];
-        let binEdge2 = [];
-
-        // Have to skip the max edge if it is continuous
-        if (model.featureTypes[index1] === 'categorical') {
-          binEdge1 = d.binLabel1.slice();
-        } else {
-          binEdge1 = d.binLabel1.slice(0, -1);
-        }
-
-        if (model.featureTypes[index2] === 'categorical') {
-          binEdge2 = d.binLabel2.slice();
-        } else {
-          binEdge2 = d.binLabel2.slice(0, -1);
-        }
-
-        const curBinEdges = [binEdge1, binEdge2];
+        interactionNames.push(curNames.join(' x '));
+
+        // Collect the bin edges of each dimension. Have to skip the max edge if
+        // it is continuous
+        const curBinEdges = getInteractionBinLabels(d).map((binLabel, k) =>
+          model.featureTypes[curIndexes[k]] === 'categorical'
+            ? binLabel.slice()
+            : binLabel.slice(0, -1)
+        );
         interactionBinEdges.push(curBinEdges);
 
         // Add the scores
-        const curScore2D = d.additive;
-        interactionScores.push(curScore2D);
-
-        console.assert(binEdge1.length === curScore2D.length);
-        console.assert(binEdge2.length === curScore2D[0].length);
+        interactionScores.push(d.additive);
+        interactionErrors.push(d.error ? d.error : zerosLike(d.additive));
       }
     });
 
@@ -156,180 +325,652 @@ export class EBM {
       });
     });
 
+    // Multiclass models have one intercept and one additive value per class
+    const isMulticlass = Array.isArray(model.intercept);
+
     // Initialize attributes
     this.featureNames = model.featureNames;
     this.featureTypes = model.featureTypes;
     this.binEdges = binEdges;
     this.scores = scores;
+    this.errors = errors;
+    this.missingScores = missingScores;
+    this.missingErrors = missingErrors;
+    this.unknownScores = unknownScores;
+    this.unknownErrors = unknownErrors;
     this.intercept = model.intercept;
     this.interactionIndexes = interactionIndexes;
+    this.interactionNames = interactionNames;
     this.interactionBinEdges = interactionBinEdges;
     this.interactionScores = interactionScores;
+    this.interactionErrors = interactionErrors;
     this.isClassifier = model.isClassifier;
+    this.isMulticlass = isMulticlass;
+    this.link = model.link ?? (model.isClassifier ? 'logit' : 'identity');
+    this.calibration = model.calibration ?? null;
+
+    // Binary classifiers predict the positive class from this probability on
+    this.decisionThreshold = model.decisionThreshold ?? 0.5;
+    this.numClasses = isMulticlass
+      ? model.intercept.length
+      : model.isClassifier
+        ? 2
+        : 1;
     this.labelDecoder = labelDecoder;
     this.labelEncoder = labelEncoder;
+
+    // Z-score of the prediction bounds (95% confidence interval by default)
+    this.confidenceZ = 1.96;
+  }
+
+  /**
+   * Get the score of a term that does not contribute to the prediction (e.g.,
+   * unseen categorical levels).
+   * @returns {number | number[]} 0 or a vector of 0 for multiclass models
+   */
+  getZeroScore() {
+    return this.isMulticlass ? new Array(this.numClasses).fill(0) : 0;
   }
 
   /**
    * Count the score of all features for the given sample
    * @param {object[]} sample One data point to predict on
+   * @param {object | null} binErrors If given, this map is filled with the
+   * standard error of each term's active bin
+   * @returns {object} A map from term name to its score. The score is a number
+   * for binary classification and regression, and an array of per-class scores
+   * for multiclass classification.
    */
-  countScore(sample) {
+  countScore(sample, binErrors = null) {
     const binScores = {};
 
     // Step 1: Encode categorical level strings to integers
-    const encodedSample = sample.slice();
-    for (let j = 0; j < sample.length; j++) {
-      if (this.featureTypes[j] === 'categorical') {
-        const curEncoder = this.labelEncoder[this.featureNames[j]];
-
-        if (curEncoder[sample[j]] !== undefined) {
-          encodedSample[j] = parseInt(curEncoder[sample[j]], 10);
-        } else {
-          // Unseen level
-          // Because level code starts at index 1, 0 would trigger a miss
-          // during inference => 0 score
-          encodedSample[j] = 0;
-        }
-      }
-    }
+    const encodedSample = this.encodeSample(sample);
 
-    // Step 1: Iterate through all columns to count for main effect
+    // Step 2: Iterate through all columns to count for main effect
     for (let j = 0; j < encodedSample.length; j++) {
       const curFeatureName = this.featureNames[j];
-      const curFeatureType = this.featureTypes[j];
-      const curFeature = encodedSample[j];
+      const [binScore, binError] = this.lookUpMainScore(j, encodedSample[j]);
 
-      // Use the feature value to find the corresponding bin
-      let binIndex = -1;
-      let binScore = 0;
-
-      if (curFeatureType === 'continuous') {
-        binIndex = searchSortedLowerIndex(this.binEdges[j], curFeature);
-        binScore = this.scores[j][binIndex];
-      } else {
-        binIndex = this.binEdges[j].indexOf(curFeature);
-
-        if (binIndex < 0) {
-          // Unseen level during training => use 0 as score instead
-          console.log(
-            `Unseen categorical level: ${curFeatureName}, ${j}, [${this.binEdges[j]}], ${curFeature}`
-          );
-          binScore = 0;
-        } else {
-          binScore = this.scores[j][binIndex];
-        }
+      // Record the current feature score
+      binScores[curFeatureName] = binScore;
+      if (binErrors !== null) {
+        binErrors[curFeatureName] = binError;
       }
+    }
+
+    // Step 3: Add interaction effect scores
+    for (let j = 0; j < this.interactionIndexes.length; j++) {
+      const curName = this.interactionNames[j];
+      const [binScore, binError] = this.lookUpInteractionScore(
+        j,
+        encodedSample
+      );
 
       // Record the current feature score
-      binScores[curFeatureName] = binScore;
+      binScores[curName] = binScore;
+      if (binErrors !== null) {
+        binErrors[curName] = binError;
+      }
+    }
+
+    return binScores;
+  }
+
+  /**
+   * Encode the categorical level strings of a sample to level codes.
+   * @param {object[]} sample One data point
+   * @returns {object[]} A copy of the sample where categorical values are level
+   *  codes. Missing values are encoded as null, and unseen levels are kept.
+   */
+  encodeSample(sample) {
+    return sample.map((value, j) => this.encodeValue(j, value));
+  }
+
+  /**
+   * Encode one feature value.
+   * @param {number} featureIndex Index of the feature
+   * @param {object} value Feature value (level string for categorical)
+   * @returns {object} The value itself for continuous features, and the level
+   *  code for categorical features (null for missing values, and the value
+   *  itself for unseen levels, which matches no bin)
+   */
+  encodeValue(featureIndex, value) {
+    if (this.featureTypes[featureIndex] !== 'categorical') {
+      return value;
+    }
+
+    const curEncoder = this.labelEncoder[this.featureNames[featureIndex]];
+
+    if (isMissing(value)) {
+      return null;
+    }
+
+    // Unseen levels are not encoded, so they do not match any level code
+    return curEncoder[value] !== undefined
+      ? parseInt(curEncoder[value], 10)
+      : value;
+  }
+
+  /**
+   * Look up the score and error of a main effect.
+   * @param {number} featureIndex Index of the feature
+   * @param {object} encodedValue Feature value (level code for categorical)
+   * @returns {object[]} [binScore, binError]. Missing values use the score of
+   *  the missing bin, and unseen levels the score of the unknown bin.
+   */
+  lookUpMainScore(featureIndex, encodedValue) {
+    let binIndex = -1;
+
+    if (this.featureTypes[featureIndex] === 'continuous') {
+      binIndex = searchSortedLowerIndex(
+        this.binEdges[featureIndex],
+        encodedValue
+      );
+    } else if (!isMissing(encodedValue)) {
+      binIndex = this.binEdges[featureIndex].indexOf(encodedValue);
+
+      if (binIndex < 0) {
+        return [
+          this.unknownScores[featureIndex],
+          this.unknownErrors[featureIndex]
+        ];
+      }
+    }
+
+    if (binIndex < 0) {
+      return [
+        this.missingScores[featureIndex],
+        this.missingErrors[featureIndex]
+      ];
+    }
+
+    return [
+      this.scores[featureIndex][binIndex],
+      this.errors[featureIndex][binIndex]
+    ];
+  }
+
+  /**
+   * Look up the score and error of an interaction term.
+   * @param {number} interactionIndex Index of the interaction term
+   * @param {object[]} encodedSample Sample encoded by `encodeSample()`
+   * @returns {object[]} [binScore, binError]. Interaction terms have no missing
+   *  bin, so they score 0 if any of their features is missing or unseen.
+   */
+  lookUpInteractionScore(interactionIndex, encodedSample) {
+    const curIndexes = this.interactionIndexes[interactionIndex];
+    const curBinEdges = this.interactionBinEdges[interactionIndex];
+
+    // Figure out which bin to query along each dimension
+    const binIndexes = curIndexes.map((featureIndex, d) => {
+      const value = encodedSample[featureIndex];
+
+      if (this.featureTypes[featureIndex] === 'continuous') {
+        return searchSortedLowerIndex(curBinEdges[d], value);
+      }
+      return isMissing(value) ? -1 : curBinEdges[d].indexOf(value);
+    });
+
+    if (binIndexes.some((b) => b < 0)) {
+      return [this.getZeroScore(), this.getZeroScore()];
+    }
+
+    // Walk down the score tensor one dimension at a time
+    const lookUp = (tensor) => binIndexes.reduce((a, b) => a[b], tensor);
+    return [
+      lookUp(this.interactionScores[interactionIndex]),
+      lookUp(this.interactionErrors[interactionIndex])
+    ];
+  }
+
+  /**
+   * Find the bin of a feature value along one term dimension.
+   * @param {number} featureIndex Index of the feature
+   * @param {number[]} binEdges Bin starts (continuous) or level codes
+   *  (categorical) of this dimension
+   * @param {object} value Raw feature value (level string for categorical)
+   * @returns {object} Bin information {featureName, value, binIndex, binRange}.
+   * `binRange` is [start, end] for continuous features and the level string
+   * for categorical features. Missing values and unseen levels have
+   * `binIndex` -1 and `binRange` null.
+   */
+  getBinInfo(featureIndex, binEdges, value) {
+    const featureName = this.featureNames[featureIndex];
+
+    if (this.featureTypes[featureIndex] === 'continuous') {
+      const binIndex = searchSortedLowerIndex(binEdges, value);
+
+      if (binIndex < 0) {
+        return { featureName, value, binIndex, binRange: null };
+      }
+
+      const binEnd =
+        binIndex + 1 < binEdges.length ? binEdges[binIndex + 1] : Infinity;
+
+      return {
+        featureName,
+        value,
+        binIndex,
+        binRange: [binEdges[binIndex], binEnd]
+      };
+    }
+
+    // Encode the level string and look up its bin
+    const curEncoder = this.labelEncoder[featureName];
+    const binIndex =
+      !isMissing(value) && curEncoder[value] !== undefined
+        ? binEdges.indexOf(parseInt(curEncoder[value], 10))
+        : -1;
+
+    return {
+      featureName,
+      value,
+      binIndex,
+      binRange: binIndex < 0 ? null : value
+    };
+  }
+
+  /**
+   * Explain the prediction on one sample. It collects the contribution of the
+   * intercept, every main effect, and every interaction term.
+   * @param {object[]} sample One data point to explain
+   * @param {number | null} classIndex The class to explain for multiclass
+   *  models. It defaults to the predicted class.
+   * @returns {object} Explanation {intercept, predScore, classIndex, terms},
+   *  where `terms` is sorted by the absolute contribution in descending order.
+   *  Each term is {name, type, score, bins}, and `bins` has the bin
+   *  information (see `getBinInfo()`) for each feature used in the term.
+   */
+  explain(sample, classIndex = null) {
+    const binScores = this.countScore(sample);
+    const predScore = this.sumScores(binScores);
+
+    // Pick one class score for multiclass models
+    let curClass = null;
+    let pickScore = (score) => score;
+
+    if (this.isMulticlass) {
+      curClass =
+        classIndex === null
+          ? this.probToPred(this.scoreToProb(predScore))
+          : classIndex;
+      pickScore = (score) => score[curClass];
     }
 
-    // Step 2: Add interaction effect scores
+    const terms = [];
+
+    // Step 1: Main effects
+    for (let j = 0; j < this.featureNames.length; j++) {
+      terms.push({
+        name: this.featureNames[j],
+        type: this.featureTypes[j],
+        score: pickScore(binScores[this.featureNames[j]]),
+        bins: [this.getBinInfo(j, this.binEdges[j], sample[j])]
+      });
+    }
+
+    // Step 2: Interaction effects
     for (let j = 0; j < this.interactionIndexes.length; j++) {
       const curIndexes = this.interactionIndexes[j];
 
-      // Look up the names and types
-      const name1 = this.featureNames[curIndexes[0]];
-      const name2 = this.featureNames[curIndexes[1]];
+      terms.push({
+        name: this.interactionNames[j],
+        type: 'interaction',
+        score: pickScore(binScores[this.interactionNames[j]]),
+        bins: curIndexes.map((index, d) =>
+          this.getBinInfo(index, this.interactionBinEdges[j][d], sample[index])
+        )
+      });
+    }
+
+    // Sort the terms by their magnitudes
+    terms.sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+
+    return {
+      intercept: pickScore(this.intercept),
+      predScore: pickScore(predScore),
+      classIndex: curClass,
+      terms
+    };
+  }
+
+  /**
+   * Sum up the term scores and the intercept.
+   * @param {object} binScores A map from term name to its score
+   * @returns {number | number[]} The raw score (log odds for classification).
+   * Multiclass models have one raw score for each class.
+   */
+  sumScores(binScores) {
+    if (this.isMulticlass) {
+      const predScore = this.intercept.slice();
+      Object.values(binScores).forEach((classScores) => {
+        for (let c = 0; c < this.numClasses; c++) {
+          predScore[c] += classScores[c];
+        }
+      });
+      return predScore;
+    }
+
+    return (
+      Object.values(binScores).reduce((a, b) => a + b, 0) + this.intercept
+    );
+  }
 
-      const type1 = this.featureTypes[curIndexes[0]];
-      const type2 = this.featureTypes[curIndexes[1]];
+  /**
+   * Propagate the standard errors of the active bins to the raw score. We
+   * assume the errors of different terms are independent.
+   * @param {object} binErrors A map from term name to its standard error
+   * @returns {number | number[]} Standard error of the raw score (one for each
+   * class for multiclass models)
+   */
+  sumErrors(binErrors) {
+    if (this.isMulticlass) {
+      const variances = new Array(this.numClasses).fill(0);
+      Object.values(binErrors).forEach((classErrors) => {
+        for (let c = 0; c < this.numClasses; c++) {
+          variances[c] += classErrors[c] ** 2;
+        }
+      });
+      return variances.map((d) => Math.sqrt(d));
+    }
 
-      const value1 = encodedSample[curIndexes[0]];
-      const value2 = encodedSample[curIndexes[1]];
+    return Math.sqrt(
+      Object.values(binErrors).reduce((a, b) => a + b ** 2, 0)
+    );
+  }
 
-      // Figure out which bin to query along two dimensions
-      let binIndex1 = -1;
-      let binIndex2 = -1;
+  /**
+   * Compute the lower and upper bounds of a raw score.
+   * @param {number | number[]} predScore Raw score from `sumScores()`
+   * @param {number | number[]} predScoreStd Standard error from `sumErrors()`
+   * @returns {number[] | number[][]} [lower bound, upper bound]
+   */
+  getScoreBounds(predScore, predScoreStd) {
+    if (this.isMulticlass) {
+      return [
+        predScore.map((d, c) => d - this.confidenceZ * predScoreStd[c]),
+        predScore.map((d, c) => d + this.confidenceZ * predScoreStd[c])
+      ];
+    }
+    return [
+      predScore - this.confidenceZ * predScoreStd,
+      predScore + this.confidenceZ * predScoreStd
+    ];
+  }
 
-      if (type1 === 'continuous') {
-        binIndex1 = searchSortedLowerIndex(
-          this.interactionBinEdges[j][0],
-          value1
+  /**
+   * Convert the bounds of a raw score to the bounds of the predicted
+   * probability.
+   * @param {number[] | number[][]} scoreBounds Output of `getScoreBounds()`
+   * @returns {number[] | number[][]} [lower bound, upper bound]
+   */
+  scoreBoundsToProb(scoreBounds) {
+    if (this.isMulticlass) {
+      // A class's probability is the lowest when its own score is at the lower
+      // bound and all other scores are at their upper bounds
+      const [lowScores, highScores] = scoreBounds;
+      const classBounds = (mainScores, otherScores) =>
+        mainScores.map(
+          (d, c) =>
+            softmax(otherScores.map((other, o) => (o === c ? d : other)))[c]
         );
-      } else {
-        binIndex1 = this.interactionBinEdges[j][0].indexOf(value1);
-      }
+      return [
+        classBounds(lowScores, highScores),
+        classBounds(highScores, lowScores)
+      ];
+    }
+    return scoreBounds.map((d) => this.scoreToProb(d));
+  }
 
-      if (type2 === 'continuous') {
-        binIndex2 = searchSortedLowerIndex(
-          this.interactionBinEdges[j][1],
-          value2
+  /**
+   * Convert a raw score to the predicted probability.
+   * @param {number | number[]} predScore Raw score from `sumScores()`
+   * @returns {number | number[]} Probability of the positive class (binary,
+   * calibrated if the model has a `calibration`), probabilities of all classes
+   * (multiclass), or the predicted value in response units (regression)
+   */
+  scoreToProb(predScore) {
+    if (this.isMulticlass) {
+      return softmax(predScore);
+    }
+    if (!this.isClassifier) {
+      return regressionLinks[this.link].toResponse(predScore);
+    }
+    return this.calibration === null
+      ? sigmoid(predScore)
+      : calibrationMaps[this.calibration.type].toProb(
+          this.calibration,
+          predScore
         );
-      } else {
-        binIndex2 = this.interactionBinEdges[j][1].indexOf(value2);
-      }
+  }
 
-      // Query the bin scores
-      let binScore = 0;
+  /**
+   * Convert a probability of the positive class of a binary classifier back
+   * to the raw score, the inverse of `scoreToProb()`.
+   * @param {number} prob Probability of the positive class (calibrated if the
+   * model has a `calibration`)
+   * @returns {number} The lowest raw score that reaches `prob`
+   */
+  probToScore(prob) {
+    return this.calibration === null
+      ? logOdds(prob)
+      : calibrationMaps[this.calibration.type].toScore(this.calibration, prob);
+  }
 
-      if (binIndex1 < 0 || binIndex2 < 0) {
-        binScore = 0;
-      } else {
-        binScore = this.interactionScores[j][binIndex1][binIndex2];
-      }
+  /**
+   * Convert a predicted value of a regression model to the raw score scale.
+   * @param {number} value Predicted value in response units
+   * @returns {number} The raw score (the value on the link scale)
+   */
+  responseToScore(value) {
+    return regressionLinks[this.link].toLink(value);
+  }
 
-      // Record the current feature score
-      binScores[`${name1} x ${name2}`] = binScore;
+  /**
+   * Convert a predicted probability to the predicted label.
+   * @param {number | number[]} predProb Output of `scoreToProb()`
+   * @returns {number} The predicted class index for classification (binary
+   * classifiers use `decisionThreshold`), or the predicted value for
+   * regression
+   */
+  probToPred(predProb) {
+    if (this.isMulticlass) {
+      return argmax(predProb);
+    }
+    if (this.isClassifier) {
+      return predProb >= this.decisionThreshold ? 1 : 0;
     }
+    return predProb;
+  }
 
-    return binScores;
+  /**
+   * Estimate the range of predictions the model can output, by adding up the
+   * lowest and the highest score of every term. The range can be wider than
+   * the reachable one, as interaction cells are not tied to their main
+   * effects. Missing bins are left out.
+   * @returns {number[]} [lowest, highest] prediction in the units of
+   * `scoreToProb()` (response units for regression, probability of the
+   * positive class for binary classification)
+   */
+  getOutputRange() {
+    if (this.isMulticlass) {
+      throw Error('The output range is not defined for multiclass models.');
+    }
+
+    let low = this.intercept;
+    let high = this.intercept;
+    [...this.scores, ...this.interactionScores].forEach((termScores) => {
+      const flatScores = termScores.flat(Infinity);
+      low += Math.min(...flatScores);
+      high += Math.max(...flatScores);
+    });
+
+    return [this.scoreToProb(low), this.scoreToProb(high)];
+  }
+
+  /**
+   * Get the compiled scoring engine of this model. It is built on the first
+   * call and reused afterwards.
+   * @returns {CompiledEBM}
+   */
+  getCompiled() {
+    if (this.compiled === undefined) {
+      this.compiled = new CompiledEBM(this);
+    }
+    return this.compiled;
+  }
+
+  /**
+   * Split the flat raw scores of multiclass models into one array per sample.
+   * @param {Float64Array} flatScores Output of `CompiledEBM.scoreBatch()`
+   * @returns {Float64Array[]}
+   */
+  splitClassScores(flatScores) {
+    const k = this.numClasses;
+    const classScores = [];
+    for (let i = 0; i < flatScores.length / k; i++) {
+      classScores.push(flatScores.subarray(i * k, (i + 1) * k));
+    }
+    return classScores;
   }
 
   /**
    * Get the predictions on the given samples.
    * @param {object[][]} samples 2D array of samples (n_samples, n_features)
    * @param {boolean} rawScore True if you want to get the original score (log
-   * odd for binary classification)
+   * odd for binary classification, per-class log odds for multiclass
+   * classification, the link scale for regression)
+   * @param {boolean} returnBounds True if you also want the lower and upper
+   * bounds of the predictions, propagated from the standard errors of the
+   * active bins
+   * @returns {Float64Array | Float64Array[] | object} One prediction per
+   * sample. Raw scores of multiclass models are given as one array per sample.
+   * If `returnBounds` is true, it returns {predictions, lowerBounds,
+   * upperBounds}.
    */
-  predict(samples, rawScore = false) {
+  predict(samples, rawScore = false, returnBounds = false) {
     console.assert(samples.length > 0 && samples[0].length > 0);
 
-    const predictions = [];
-
-    for (let i = 0; i < samples.length; i++) {
-      const curSample = samples[i];
-      const binScores = this.countScore(curSample);
+    // Convert the raw score to the class label (classification) or to the
+    // response units (regression)
+    const toOutput = (predScore) =>
+      rawScore ? predScore : this.probToPred(this.scoreToProb(predScore));
 
-      // Get the additive prediction by summing up scores and intercept
-      let predScore = Object.values(binScores).reduce((a, b) => a + b);
-      predScore += this.intercept;
+    if (!returnBounds) {
+      // Get the additive predictions by summing up scores and intercept
+      const predScores = this.getCompiled().scoreBatch(samples);
 
-      // Convert the prediction to 1/0 if it is binary classification
-      if (this.isClassifier && !rawScore) {
-        predScore = sigmoid(predScore) >= 0.5 ? 1 : 0;
+      if (this.isMulticlass) {
+        const classScores = this.splitClassScores(predScores);
+        return rawScore
+          ? classScores
+          : Float64Array.from(classScores, (d) => toOutput(Array.from(d)));
       }
-      predictions.push(predScore);
+      return predScores.map(toOutput);
+    }
+
+    if (this.isMulticlass && !rawScore) {
+      throw Error(
+        'Bounds are not defined for multiclass labels, use raw scores or predictProb() instead.'
+      );
     }
 
-    return predictions;
+    const { predScores, predStds } =
+      this.getCompiled().scoreBatchWithStd(samples);
+
+    if (this.isMulticlass) {
+      const classScores = this.splitClassScores(predScores);
+      const classStds = this.splitClassScores(predStds);
+      const bounds = classScores.map((d, i) =>
+        this.getScoreBounds(Array.from(d), Array.from(classStds[i]))
+      );
+
+      return {
+        predictions: classScores,
+        lowerBounds: bounds.map((d) => d[0]),
+        upperBounds: bounds.map((d) => d[1])
+      };
+    }
+
+    const lowerBounds = new Float64Array(predScores.length);
+    const upperBounds = new Float64Array(predScores.length);
+
+    for (let i = 0; i < predScores.length; i++) {
+      const bounds = this.getScoreBounds(predScores[i], predStds[i]);
+      lowerBounds[i] = toOutput(bounds[0]);
+      upperBounds[i] = toOutput(bounds[1]);
+    }
+
+    return {
+      predictions: predScores.map(toOutput),
+      lowerBounds,
+      upperBounds
+    };
   }
 
   /**
    * Get the predicted probabilities on the given samples.
    * @param {*} samples 2D array of samples (n_samples, n_features)
+   * @param {boolean} returnBounds True if you also want the lower and upper
+   * bounds of the probabilities
+   * @returns {Float64Array | number[][] | object} The probability of the
+   * positive class for binary classification, the probabilities of all
+   * classes for multiclass classification, and the predicted values for
+   * regression. If `returnBounds` is true, it
+   * returns {predictions, lowerBounds, upperBounds}.
    */
-  predictProb(samples) {
+  predictProb(samples, returnBounds = false) {
     console.assert(samples.length > 0 && samples[0].length > 0);
 
-    const predictions = [];
+    if (!returnBounds) {
+      const predScores = this.getCompiled().scoreBatch(samples);
 
-    for (let i = 0; i < samples.length; i++) {
-      const curSample = samples[i];
-      const binScores = this.countScore(curSample);
+      if (this.isMulticlass) {
+        return this.splitClassScores(predScores).map((d) =>
+          this.scoreToProb(Array.from(d))
+        );
+      }
+      return predScores.map((d) => this.scoreToProb(d));
+    }
 
-      // Get the additive prediction by summing up scores and intercept
-      let predScore = Object.values(binScores).reduce((a, b) => a + b);
-      predScore += this.intercept;
+    const { predScores, predStds } =
+      this.getCompiled().scoreBatchWithStd(samples);
 
-      // Convert the prediction to 1/0 if it is binary classification
-      if (this.isClassifier) {
-        predScore = sigmoid(predScore);
-      }
-      predictions.push(predScore);
+    if (this.isMulticlass) {
+      const classStds = this.splitClassScores(predStds);
+      const predictions = [];
+      const lowerBounds = [];
+      const upperBounds = [];
+
+      this.splitClassScores(predScores).forEach((d, i) => {
+        const curScore = Array.from(d);
+        const probBounds = this.scoreBoundsToProb(
+          this.getScoreBounds(curScore, Array.from(classStds[i]))
+        );
+        predictions.push(this.scoreToProb(curScore));
+        lowerBounds.push(probBounds[0]);
+        upperBounds.push(probBounds[1]);
+      });
+
+      return { predictions, lowerBounds, upperBounds };
+    }
+
+    const lowerBounds = new Float64Array(predScores.length);
+    const upperBounds = new Float64Array(predScores.length);
+
+    for (let i = 0; i < predScores.length; i++) {
+      const probBounds = this.scoreBoundsToProb(
+        this.getScoreBounds(predScores[i], predStds[i])
+      );
+      lowerBounds[i] = probBounds[0];
+      upperBounds[i] = probBounds[1];
     }
 
-    return predictions;
+    return {
+      predictions: predScores.map((d) => this.scoreToProb(d)),
+      lowerBounds,
+      upperBounds
+    };
   }
 }
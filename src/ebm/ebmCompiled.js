@@ -0,0 +1,321 @@
+/**
+ * A compiled scoring engine for EBM models.
+ *
+ * License: MIT
+ */
+
+import { isMissing, searchSortedLowerIndex } from './ebm.js';
+
+/**
+ * Compile one feature dimension (of a main effect or an interaction term) into
+ * a lookup structure.
+ * @param {boolean} isCont True if the feature is continuous
+ * @param {number[]} binEdges Bin starts (continuous) or level codes
+ *  (categorical)
+ * @param {object} levelDecoder Map from level code to level string
+ *  (categorical only)
+ */
+const compileDimension = (isCont, binEdges, levelDecoder) => {
+  if (isCont) {
+    return { isCont, edges: Float64Array.from(binEdges), levelBins: null };
+  }
+
+  // Map the level strings directly to the bin index, so we can skip the
+  // encoding step during scoring
+  const levelBins = new Map();
+  binEdges.forEach((code, b) => {
+    levelBins.set(String(levelDecoder[code]), b);
+  });
+
+  return { isCont, edges: null, levelBins };
+};
+
+/**
+ * Precompute the bin index of an interaction dimension for every bin of the
+ * corresponding main effect, so we can skip the second bin search.
+ * @param {object} mainDim Compiled main effect dimension
+ * @param {object} interDim Compiled interaction dimension
+ * @returns {Int32Array} Interaction bin index for each main effect bin. -1
+ *  means the level is unseen, and -2 means the main effect bin spans multiple
+ *  interaction bins (we need to search the value).
+ */
+const mapMainBins = (mainDim, interDim) => {
+  if (!mainDim.isCont) {
+    const mainBinMap = new Int32Array(mainDim.levelBins.size);
+    mainDim.levelBins.forEach((b, level) => {
+      const interBin = interDim.levelBins.get(level);
+      mainBinMap[b] = interBin === undefined ? -1 : interBin;
+    });
+    return mainBinMap;
+  }
+
+  const mainEdges = mainDim.edges;
+  const interEdges = interDim.edges;
+  const mainBinMap = new Int32Array(mainEdges.length);
+
+  for (let b = 0; b < mainEdges.length; b++) {
+    // The first and last bins also cover out-of-bound values
+    const low = b === 0 ? -Infinity : mainEdges[b];
+    const high = b + 1 < mainEdges.length ? mainEdges[b + 1] : Infinity;
+
+    // The interaction bin is fixed if no interaction edge falls inside
+    mainBinMap[b] = searchSortedLowerIndex(interEdges, mainEdges[b]);
+    for (let m = 1; m < interEdges.length; m++) {
+      if (interEdges[m] > low && interEdges[m] < high) {
+        mainBinMap[b] = -2;
+        break;
+      }
+    }
+  }
+
+  return mainBinMap;
+};
+
+/**
+ * Flatten a (nested) array of scores into a typed array in row-major order.
+ * @param {number | number[]} scores Nested score array
+ * @param {number[]} out A flat array to push the values to
+ * @returns {number[]}
+ */
+const flattenScores = (scores, out = []) => {
+  if (Array.isArray(scores)) {
+    scores.forEach((d) => flattenScores(d, out));
+  } else {
+    out.push(scores);
+  }
+  return out;
+};
+
+/**
+ * An EBM scoring engine compiled from an `EBM` object. All bin edges and
+ * scores are stored in `Float64Array` lookup tables, and categorical levels are
+ * mapped to bin indexes once, so scoring a batch of samples does not allocate
+ * per-sample objects.
+ */
+export class CompiledEBM {
+  /**
+   * Compile an EBM model.
+   * @param {EBM} ebm An initialized EBM object
+   */
+  constructor(ebm) {
+    // Number of raw scores per sample (1 unless the model is multiclass)
+    this.scoreSize = ebm.isMulticlass ? ebm.numClasses : 1;
+    this.numFeatures = ebm.featureNames.length;
+
+    this.intercept = Float64Array.from(
+      ebm.isMulticlass ? ebm.intercept : [ebm.intercept]
+    );
+
+    // Step 1: Main effects
+    this.mainDims = [];
+    this.mainScores = [];
+    this.mainErrors = [];
+    this.missingScores = [];
+    this.missingErrors = [];
+    this.unknownScores = [];
+    this.unknownErrors = [];
+
+    for (let j = 0; j < this.numFeatures; j++) {
+      const isCont = ebm.featureTypes[j] === 'continuous';
+      this.mainDims.push(
+        compileDimension(
+          isCont,
+          ebm.binEdges[j],
+          ebm.labelDecoder[ebm.featureNames[j]]
+        )
+      );
+      this.mainScores.push(Float64Array.from(flattenScores(ebm.scores[j])));
+      this.mainErrors.push(Float64Array.from(flattenScores(ebm.errors[j])));
+      this.missingScores.push(
+        Float64Array.from(flattenScores(ebm.missingScores[j]))
+      );
+      this.missingErrors.push(
+        Float64Array.from(flattenScores(ebm.missingErrors[j]))
+      );
+      this.unknownScores.push(
+        Float64Array.from(flattenScores(ebm.unknownScores[j]))
+      );
+      this.unknownErrors.push(
+        Float64Array.from(flattenScores(ebm.unknownErrors[j]))
+      );
+    }
+
+    // Step 2: Interaction effects. The score tensor of each term is flattened,
+    // and we use strides to locate the cell of a combination of bins
+    this.interactions = ebm.interactionIndexes.map((indexes, t) => {
+      const dims = indexes.map((featureIndex, d) => {
+        const dim = compileDimension(
+          ebm.featureTypes[featureIndex] === 'continuous',
+          ebm.interactionBinEdges[t][d],
+          ebm.labelDecoder[ebm.featureNames[featureIndex]]
+        );
+        dim.mainBinMap = mapMainBins(this.mainDims[featureIndex], dim);
+        return dim;
+      });
+
+      const strides = new Int32Array(indexes.length);
+      let stride = this.scoreSize;
+      for (let d = indexes.length - 1; d >= 0; d--) {
+        strides[d] = stride;
+        stride *= ebm.interactionBinEdges[t][d].length;
+      }
+
+      return {
+        featureIndexes: Int32Array.from(indexes),
+        dims,
+        strides,
+        scores: Float64Array.from(flattenScores(ebm.interactionScores[t])),
+        errors: Float64Array.from(flattenScores(ebm.interactionErrors[t]))
+      };
+    });
+  }
+
+  /**
+   * Find the bin index of a value in one compiled dimension.
+   * @param {object} dim A compiled dimension
+   * @param {object} value Feature value (level string for categorical)
+   * @returns {number} Bin index, or -1 if the value is missing or the level is
+   *  unseen
+   */
+  lookUpBin(dim, value) {
+    if (isMissing(value)) {
+      return -1;
+    }
+
+    if (dim.isCont) {
+      return searchSortedLowerIndex(dim.edges, value);
+    }
+
+    const bin = dim.levelBins.get(String(value));
+    return bin === undefined ? -1 : bin;
+  }
+
+  /**
+   * Compute the raw scores of a batch of samples.
+   * @param {object[][]} samples 2D array of samples (n_samples, n_features)
+   * @returns {Float64Array} Raw scores with shape (n_samples * scoreSize),
+   *  where scoreSize is the number of classes for multiclass models and 1
+   *  otherwise
+   */
+  scoreBatch(samples) {
+    return this.runBatch(samples, false).predScores;
+  }
+
+  /**
+   * Compute the raw scores and their standard errors of a batch of samples.
+   * The standard error is propagated from the errors of all active bins,
+   * assuming they are independent.
+   * @param {object[][]} samples 2D array of samples (n_samples, n_features)
+   * @returns {object} {predScores, predStds}, both with shape
+   *  (n_samples * scoreSize)
+   */
+  scoreBatchWithStd(samples) {
+    return this.runBatch(samples, true);
+  }
+
+  /**
+   * Score a batch of samples.
+   * @param {object[][]} samples 2D array of samples (n_samples, n_features)
+   * @param {boolean} withStd True to also accumulate the standard errors
+   * @returns {object} {predScores, predStds}. `predStds` is null if `withStd`
+   *  is false.
+   */
+  runBatch(samples, withStd) {
+    const k = this.scoreSize;
+    const predScores = new Float64Array(samples.length * k);
+    const predStds = withStd ? new Float64Array(samples.length * k) : null;
+
+    // Reuse buffers for the main effect bins and term scores of each sample
+    const mainBins = new Int32Array(this.numFeatures);
+    const termScores = new Float64Array(k);
+    const termVariances = new Float64Array(k);
+
+    for (let i = 0; i < samples.length; i++) {
+      const sample = samples[i];
+      termScores.fill(0);
+      termVariances.fill(0);
+
+      // Step 1: Main effects
+      for (let j = 0; j < this.numFeatures; j++) {
+        const bin = this.lookUpBin(this.mainDims[j], sample[j]);
+        mainBins[j] = bin;
+
+        // Missing values use the missing bin, and unseen levels the unknown bin
+        let curScores = this.mainScores[j];
+        let curErrors = this.mainErrors[j];
+        if (bin < 0) {
+          const isValueMissing = isMissing(sample[j]);
+          curScores = isValueMissing
+            ? this.missingScores[j]
+            : this.unknownScores[j];
+          curErrors = isValueMissing
+            ? this.missingErrors[j]
+            : this.unknownErrors[j];
+        }
+        const offset = bin >= 0 ? bin * k : 0;
+        for (let c = 0; c < k; c++) {
+          termScores[c] += curScores[offset + c];
+        }
+
+        if (withStd) {
+          for (let c = 0; c < k; c++) {
+            termVariances[c] += curErrors[offset + c] ** 2;
+          }
+        }
+      }
+
+      // Step 2: Interaction effects
+      for (let t = 0; t < this.interactions.length; t++) {
+        const term = this.interactions[t];
+        let offset = 0;
+
+        for (let d = 0; d < term.dims.length; d++) {
+          const dim = term.dims[d];
+          const featureIndex = term.featureIndexes[d];
+          const value = sample[featureIndex];
+
+          // Reuse the main effect bin unless it spans multiple interaction
+          // bins. Missing values and unseen levels zero out the term.
+          let bin = -1;
+          if (mainBins[featureIndex] >= 0) {
+            bin = dim.mainBinMap[mainBins[featureIndex]];
+            if (bin === -2) {
+              bin = this.lookUpBin(dim, value);
+            }
+          }
+
+          if (bin < 0) {
+            offset = -1;
+            break;
+          }
+          offset += bin * term.strides[d];
+        }
+
+        if (offset >= 0) {
+          for (let c = 0; c < k; c++) {
+            termScores[c] += term.scores[offset + c];
+          }
+
+          if (withStd) {
+            for (let c = 0; c < k; c++) {
+              termVariances[c] += term.errors[offset + c] ** 2;
+            }
+          }
+        }
+      }
+
+      // Step 3: Add the intercept
+      for (let c = 0; c < k; c++) {
+        predScores[i * k + c] = termScores[c] + this.intercept[c];
+      }
+
+      if (withStd) {
+        for (let c = 0; c < k; c++) {
+          predStds[i * k + c] = Math.sqrt(termVariances[c]);
+        }
+      }
+    }
+
+    return { predScores, predStds };
+  }
+}
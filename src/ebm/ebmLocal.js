@@ -5,7 +5,7 @@
  * License: MIT
  */
 
-import { EBM, sigmoid, searchSortedLowerIndex } from './ebm';
+import { EBM } from './ebm.js';
 
 /**
  * A unique EBM class designed to predict only one fixed sample point. It can
@@ -16,6 +16,8 @@ export class EBMLocal extends EBM {
   predScore;
   predProb;
   pred;
+  predScoreBounds;
+  predProbBounds;
 
   /**
    * Initialize the EBMLocal object.
@@ -27,145 +29,190 @@ export class EBMLocal extends EBM {
     super(model);
 
     this.sample = sample.slice();
+    this.originalSample = sample.slice();
+    this.encodedSample = this.encodeSample(sample);
+
+    // The interaction terms that use each feature, so an update only needs to
+    // look up the affected terms
+    this.featureInteractions = this.featureNames.map(() => []);
+    this.interactionIndexes.forEach((indexes, j) => {
+      indexes.forEach((index) => this.featureInteractions[index].push(j));
+    });
+
+    // Each history entry is {before, after}, two maps from feature name to
+    // value. `undo()` moves entries from `undoStack` to `redoStack`
+    this.undoStack = [];
+    this.redoStack = [];
 
     // Make an initial prediction on this sample and record the predictions
-    this.countedScores = this.countScore(sample);
-    this.predScore =
-      Object.values(this.countedScores).reduce((a, b) => a + b) +
-      this.intercept;
-    this.predProb = this.isClassifier
-      ? sigmoid(this.predScore)
-      : this.predScore;
-    this.pred = this.isClassifier
-      ? this.predProb >= 0.5
-        ? 1
-        : 0
-      : this.predScore;
+    this.countedErrors = {};
+    this.countedScores = this.countScore(sample, this.countedErrors);
+    this.updatePredictions();
+  }
+
+  /**
+   * Recompute the predictions from the counted scores. For multiclass models,
+   * `predScore` and `predProb` are arrays with one entry per class, and `pred`
+   * is the predicted class index. `predScoreBounds` and `predProbBounds` are
+   * the [lower, upper] bounds propagated from the errors of the active bins.
+   */
+  updatePredictions() {
+    this.predScore = this.sumScores(this.countedScores);
+    this.predProb = this.scoreToProb(this.predScore);
+    this.pred = this.probToPred(this.predProb);
+
+    this.predScoreStd = this.sumErrors(this.countedErrors);
+    this.predScoreBounds = this.getScoreBounds(
+      this.predScore,
+      this.predScoreStd
+    );
+    this.predProbBounds = this.scoreBoundsToProb(this.predScoreBounds);
+  }
+
+  /**
+   * Explain the prediction on the current sample.
+   * @param {object[]} sample One data point to explain (default to `sample`)
+   * @param {number | null} classIndex The class to explain for multiclass
+   *  models. It defaults to the predicted class.
+   * @returns {object} See `EBM.explain()`
+   */
+  explain(sample = this.sample, classIndex = null) {
+    return super.explain(sample, classIndex);
   }
 
   /**
    * Update a feature of `sample` and the its predictions
    * @param {string} name Feature name.
    * @param {object} value New feature value. For categorical features, it is a
-   * string corresponding to the new level.
+   * string corresponding to the new level. Use null to mark it as missing.
    */
   updateFeature(name, value) {
-    const index = this.featureNames.indexOf(name);
-    const curType = this.featureTypes[index];
+    this.updateFeatures({ [name]: value });
+  }
 
-    if (curType !== 'continuous' && curType !== 'categorical') {
-      throw new Error(
-        'Only continuous and categorical features can be updated'
-      );
-    }
+  /**
+   * Update several features of `sample` at once and recompute the predictions.
+   * The update is atomic: if any feature name is invalid, nothing is changed.
+   * It is recorded as one step in the undo history.
+   * @param {object} changes A map from feature name to its new value (see
+   *  `updateFeature()`)
+   */
+  updateFeatures(changes) {
+    const before = {};
 
-    // Step 1: Update the value in the sample attribute (keep the original level
-    // string)
-    this.sample[index] = value;
-    const encodedSample = this.sample.slice();
-
-    // Step 2: Encode all categorical values
-    for (let j = 0; j < encodedSample.length; j++) {
-      if (this.featureTypes[j] === 'categorical') {
-        const curEncoder = this.labelEncoder[this.featureNames[j]];
-
-        if (curEncoder[encodedSample[j]] !== undefined) {
-          encodedSample[j] = parseInt(curEncoder[encodedSample[j]], 10);
-        } else {
-          // Unseen level
-          // Because level code starts at index 1, 0 would trigger a miss
-          // during inference => 0 score
-          encodedSample[j] = 0;
-        }
-      }
-    }
+    Object.keys(changes).forEach((name) => {
+      const index = this.featureNames.indexOf(name);
+      const curType = this.featureTypes[index];
 
-    // Step 3: Look up the new value
-    const curFeature = encodedSample[index];
-    let binIndex = -1;
-    let binScore = 0;
-
-    if (curType === 'continuous') {
-      binIndex = searchSortedLowerIndex(this.binEdges[index], curFeature);
-      binScore = this.scores[index][binIndex];
-    } else {
-      binIndex = this.binEdges[index].indexOf(curFeature);
-
-      if (binIndex < 0) {
-        // Unseen level during training => use 0 as score instead
-        console.log(
-          `Unseen categorical level: ${name}, ${index}, ${curFeature}`
+      if (curType !== 'continuous' && curType !== 'categorical') {
+        throw new Error(
+          `Only continuous and categorical features can be updated, got ${name}`
         );
-        binScore = 0;
-      } else {
-        binScore = this.scores[index][binIndex];
       }
+
+      before[name] = this.sample[index];
+    });
+
+    this.applyChanges(changes);
+
+    // A new change invalidates the redo history
+    this.undoStack.push({ before, after: { ...changes } });
+    this.redoStack = [];
+  }
+
+  /**
+   * Revert the last update.
+   * @returns {boolean} True if there was an update to revert
+   */
+  undo() {
+    const step = this.undoStack.pop();
+    if (step === undefined) {
+      return false;
     }
 
-    this.countedScores[name] = binScore;
-
-    // Step 3: Trigger an interaction look up if necessary
-    for (let j = 0; j < this.interactionIndexes.length; j++) {
-      const curIndexes = this.interactionIndexes[j];
-
-      // Look up the names and types
-      const name1 = this.featureNames[curIndexes[0]];
-      const name2 = this.featureNames[curIndexes[1]];
-
-      if (name1 === name || name2 === name) {
-        const type1 = this.featureTypes[curIndexes[0]];
-        const type2 = this.featureTypes[curIndexes[1]];
-
-        const value1 = encodedSample[curIndexes[0]];
-        const value2 = encodedSample[curIndexes[1]];
-
-        // Figure out which bin to query along two dimensions
-        let binIndex1 = -1;
-        let binIndex2 = -1;
-
-        if (type1 === 'continuous') {
-          binIndex1 = searchSortedLowerIndex(
-            this.interactionBinEdges[j][0],
-            value1
-          );
-        } else {
-          binIndex1 = this.interactionBinEdges[j][0].indexOf(value1);
-        }
-
-        if (type2 === 'continuous') {
-          binIndex2 = searchSortedLowerIndex(
-            this.interactionBinEdges[j][1],
-            value2
-          );
-        } else {
-          binIndex2 = this.interactionBinEdges[j][1].indexOf(value2);
-        }
-
-        // Query the bin scores
-        let interBinScore = 0;
-
-        if (binIndex1 < 0 || binIndex2 < 0) {
-          interBinScore = 0;
-        } else {
-          interBinScore = this.interactionScores[j][binIndex1][binIndex2];
-        }
-
-        // Record the current feature score
-        this.countedScores[`${name1} x ${name2}`] = interBinScore;
+    this.applyChanges(step.before);
+    this.redoStack.push(step);
+    return true;
+  }
+
+  /**
+   * Re-apply the last reverted update.
+   * @returns {boolean} True if there was an update to re-apply
+   */
+  redo() {
+    const step = this.redoStack.pop();
+    if (step === undefined) {
+      return false;
+    }
+
+    this.applyChanges(step.after);
+    this.undoStack.push(step);
+    return true;
+  }
+
+  /**
+   * Restore all features to the sample this object was created with. The
+   * reset is recorded as one update, so it can be undone.
+   */
+  reset() {
+    const changes = {};
+    this.featureNames.forEach((name, j) => {
+      if (this.sample[j] !== this.originalSample[j]) {
+        changes[name] = this.originalSample[j];
       }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      this.updateFeatures(changes);
     }
+  }
+
+  /** True if there is an update to undo */
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /** True if there is an update to redo */
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Apply validated changes to `sample` and recompute the scores of the
+   * affected terms only.
+   * @param {object} changes A map from feature name to its new value
+   */
+  applyChanges(changes) {
+    const changedTerms = new Set();
+
+    // Step 1: Update the values in the sample attribute (keep the original
+    // level strings) and look up the new main effect scores
+    Object.entries(changes).forEach(([name, value]) => {
+      const index = this.featureNames.indexOf(name);
+      this.sample[index] = value;
+      this.encodedSample[index] = this.encodeValue(index, value);
+
+      const [binScore, binError] = this.lookUpMainScore(
+        index,
+        this.encodedSample[index]
+      );
+      this.countedScores[name] = binScore;
+      this.countedErrors[name] = binError;
+
+      this.featureInteractions[index].forEach((j) => changedTerms.add(j));
+    });
+
+    // Step 2: Look up each affected interaction term once
+    changedTerms.forEach((j) => {
+      const [interBinScore, interBinError] = this.lookUpInteractionScore(
+        j,
+        this.encodedSample
+      );
+      this.countedScores[this.interactionNames[j]] = interBinScore;
+      this.countedErrors[this.interactionNames[j]] = interBinError;
+    });
 
-    // Step 4: Update all predictions
-    this.predScore =
-      Object.values(this.countedScores).reduce((a, b) => a + b) +
-      this.intercept;
-    this.predProb = this.isClassifier
-      ? sigmoid(this.predScore)
-      : this.predScore;
-    this.pred = this.isClassifier
-      ? this.predProb >= 0.5
-        ? 1
-        : 0
-      : this.predScore;
+    // Step 3: Update all predictions
+    this.updatePredictions();
   }
 }
@@ -5,504 +5,32 @@
  * License: MIT
  */
 
-/**
- * Find the lower bound of a pair between where inserting `value` into `sorted`
- * would keep `sorted` in order.
- * @param sorted a sorted array (ascending order)
- * @param value a number to insert into `sorted`
- * @returns the lower bound index in the sorted array to insert
- */
-function searchSortedLowerIndex(sorted, value) {
-  let left = 0;
-  let right = sorted.length - 1;
-
-  while (right - left > 1) {
-    let i = left + Math.floor((right - left) / 2);
-
-    if (value > sorted[i]) {
-      left = i;
-    } else if (value < sorted[i]) {
-      right = i;
-    } else {
-      return i;
-    }
-  }
-
-  // Handle out of bound issue
-  if (value >= sorted[right]) {
-    return right;
-  }
-  if (value < sorted[left]) {
-    return left;
-  }
-  return right - 1;
-}
-
-function round(num, decimal) {
-  return Math.round((num + 2e-16) * 10 ** decimal) / 10 ** decimal;
-}
-
-function sigmoid(logit) {
-  let odd = Math.exp(logit);
-
-  // Round the prob for more stable ROC AUC computation
-  return round(odd / (1 + odd), 5);
-}
-
-class EBM {
-  /**
-   * Initialize an EBM model from a trained EBM model.
-   * @param {object} model Trained EBM model in JSON format
-   */
-  constructor(model) {
-    /**
-     * Pre-process the feature data
-     *
-     * Feature data includes the main effect and also the interaction effect, and
-     * we want to split those two.
-     */
-
-    // Step 1: For the main effect, we only need bin edges and scores stored with the same order
-    // of `featureNames` and `featureTypes`.
-
-    // Create an index map from feature name to their index in featureData
-    let featureDataNameMap = new Map();
-    model.features.forEach((d, i) => featureDataNameMap.set(d.name, i));
-
-    // Create two 2D arrays for binEdge ([feature, bin]) and score ([feature, bin]) respectively
-    // We mix continuous and categorical together (assume the categorical features
-    // have been encoded)
-    let binEdges = [];
-    let scores = [];
-
-    // This loop won't encounter interaction terms
-    for (let i = 0; i < model.featureNames.length; i++) {
-      let curName = model.featureNames[i];
-      let curIndex = featureDataNameMap.get(curName);
-
-      let curScore = model.features[curIndex].additive.slice();
-      let curBinEdge;
-
-      // Different formats for the categorical data
-      if (model.featureTypes[i] === 'categorical') {
-        curBinEdge = model.features[curIndex].binLabel.slice();
-      } else {
-        curBinEdge = model.features[curIndex].binEdge.slice(0, -1);
-      }
-
-      binEdges.push(curBinEdge);
-      scores.push(curScore);
-
-      console.assert((binEdges.length = scores.length));
-    }
-
-    /**
-     * Step 2: For the interaction effect, we want to store the feature
-     * indexes and the score.
-     *
-     * Here we store arrays of indexes(2D), edges(3D), and scores(3D)
-     */
-    let interactionIndexes = [];
-    let interactionScores = [];
-    let interactionBinEdges = [];
-
-    model.features.forEach((d) => {
-      if (d.type === 'interaction') {
-        // Parse the feature name
-        let index1 = model.featureNames.indexOf(d.name1);
-        let index2 = model.featureNames.indexOf(d.name2);
-
-        let curIndexes = [index1, index2];
-        interactionIndexes.push(curIndexes);
-
-        // Collect two bin edges
-        let binEdge1 = [];
-        let binEdge2 = [];
-
-        // Have to skip the max edge if it is continuous
-        if (model.featureTypes[index1] === 'categorical') {
-          binEdge1 = d.binLabel1.slice();
-        } else {
-          binEdge1 = d.binLabel1.slice(0, -1);
-        }
-
-        if (model.featureTypes[index2] === 'categorical') {
-          binEdge2 = d.binLabel2.slice();
-        } else {
-          binEdge2 = d.binLabel2.slice(0, -1);
-        }
-
-        let curBinEdges = [binEdge1, binEdge2];
-        interactionBinEdges.push(curBinEdges);
-
-        // Add the scores
-        let curScore2D = d.additive;
-        interactionScores.push(curScore2D);
-
-        console.assert(binEdge1.length === curScore2D.length);
-        console.assert(binEdge2.length === curScore2D[0].length);
-      }
-    });
-
-    // Step 3: Deal with categorical encodings
-    // int => string
-    let labelDecoder = model.labelEncoder;
-
-    let labelEncoder = {};
-    Object.keys(labelDecoder).forEach((f) => {
-      labelEncoder[f] = {};
-      Object.keys(labelDecoder[f]).forEach((l) => {
-        labelEncoder[f][labelDecoder[f][l]] = l;
-      });
-    });
-
-    // Initialize attributes
-    this.featureNames = model.featureNames;
-    this.featureTypes = model.featureTypes;
-    this.binEdges = binEdges;
-    this.scores = scores;
-    this.intercept = model.intercept;
-    this.interactionIndexes = interactionIndexes;
-    this.interactionBinEdges = interactionBinEdges;
-    this.interactionScores = interactionScores;
-    this.isClassifier = model.isClassifier;
-    this.labelDecoder = labelDecoder;
-    this.labelEncoder = labelEncoder;
-  }
-
-  /**
-   * Count the score of all features for the given sample
-   * @param {[object]} sample One data point to predict on
-   */
-  countScore(sample) {
-    let binScores = {};
-
-    // Step 1: Encode categorical level strings to integers
-    let encodedSample = sample.slice();
-    for (let j = 0; j < sample.length; j++) {
-      if (this.featureTypes[j] === 'categorical') {
-        let curEncoder = this.labelEncoder[this.featureNames[j]];
-
-        if (curEncoder[sample[j]] !== undefined) {
-          encodedSample[j] = parseInt(curEncoder[sample[j]], 10);
-        } else {
-          // Unseen level
-          // Because level code starts at index 1, 0 would trigger a miss
-          // during inference => 0 score
-          encodedSample[j] = 0;
-        }
-      }
-    }
-
-    // Step 1: Iterate through all columns to count for main effect
-    for (let j = 0; j < encodedSample.length; j++) {
-      let curFeatureName = this.featureNames[j];
-      let curFeatureType = this.featureTypes[j];
-      let curFeature = encodedSample[j];
-
-      // Use the feature value to find the corresponding bin
-      let binIndex = -1;
-      let binScore = 0;
-
-      if (curFeatureType === 'continuous') {
-        binIndex = searchSortedLowerIndex(this.binEdges[j], curFeature);
-        binScore = this.scores[j][binIndex];
-      } else {
-        binIndex = this.binEdges[j].indexOf(curFeature);
-
-        if (binIndex < 0) {
-          // Unseen level during training => use 0 as score instead
-          console.log(
-            `Unseen categorical level: ${curFeatureName}, ${j}, ${curFeature}`
-          );
-          binScore = 0;
-        } else {
-          binScore = this.scores[j][binIndex];
-        }
-      }
-
-      // Record the current feature score
-      binScores[curFeatureName] = binScore;
-    }
-
-    // Step 2: Add interaction effect scores
-    for (let j = 0; j < this.interactionIndexes.length; j++) {
-      let curIndexes = this.interactionIndexes[j];
-
-      // Look up the names and types
-      let name1 = this.featureNames[curIndexes[0]];
-      let name2 = this.featureNames[curIndexes[1]];
-
-      let type1 = this.featureTypes[curIndexes[0]];
-      let type2 = this.featureTypes[curIndexes[1]];
-
-      let value1 = encodedSample[curIndexes[0]];
-      let value2 = encodedSample[curIndexes[1]];
-
-      // Figure out which bin to query along two dimensions
-      let binIndex1 = -1;
-      let binIndex2 = -1;
-
-      if (type1 === 'continuous') {
-        binIndex1 = searchSortedLowerIndex(
-          this.interactionBinEdges[j][0],
-          value1
-        );
-      } else {
-        binIndex1 = this.interactionBinEdges[j][0].indexOf(value1);
-      }
-
-      if (type2 === 'continuous') {
-        binIndex2 = searchSortedLowerIndex(
-          this.interactionBinEdges[j][1],
-          value2
-        );
-      } else {
-        binIndex2 = this.interactionBinEdges[j][1].indexOf(value2);
-      }
-
-      // Query the bin scores
-      let binScore = 0;
-
-      if (binIndex1 < 0 || binIndex2 < 0) {
-        binScore = 0;
-      } else {
-        binScore = this.interactionScores[j][binIndex1][binIndex2];
-      }
-
-      // Record the current feature score
-      binScores[`${name1} x ${name2}`] = binScore;
-    }
-
-    return binScores;
-  }
-
-  /**
-   * Get the predictions on the given samples.
-   * @param {[[object]]} samples 2D array of samples (n_samples, n_features)
-   * @param {bool} rawScore True if you want to get the original score (log odd
-   * for binary classification)
-   */
-  predict(samples, rawScore = false) {
-    console.assert(samples.length > 0 && samples[0].length > 0);
-
-    let predictions = [];
-
-    for (let i = 0; i < samples.length; i++) {
-      let curSample = samples[i];
-      let binScores = this.countScore(curSample);
-
-      // Get the additive prediction by summing up scores and intercept
-      let predScore = Object.values(binScores).reduce((a, b) => a + b);
-      predScore += this.intercept;
-
-      // Convert the prediction to 1/0 if it is binary classification
-      if (this.isClassifier && !rawScore) {
-        predScore = sigmoid(predScore) >= 0.5 ? 1 : 0;
-      }
-      predictions.push(predScore);
-    }
-
-    return predictions;
-  }
-
-  /**
-   * Get the predicted probabilities on the given samples.
-   * @param {*} samples 2D array of samples (n_samples, n_features)
-   */
-  predictProb(samples) {
-    console.assert(samples.length > 0 && samples[0].length > 0);
-
-    let predictions = [];
-
-    for (let i = 0; i < samples.length; i++) {
-      let curSample = samples[i];
-      let binScores = this.countScore(curSample);
-
-      // Get the additive prediction by summing up scores and intercept
-      let predScore = Object.values(binScores).reduce((a, b) => a + b);
-      predScore += this.intercept;
-
-      // Convert the prediction to 1/0 if it is binary classification
-      if (this.isClassifier) {
-        predScore = sigmoid(predScore);
-      }
-      predictions.push(predScore);
-    }
-
-    return predictions;
-  }
-}
-
-/**
- * The EBM sub-class designed for one single sample point
- *
- * Author: Jay Wang (jayw@gatech.edu)
- * License: MIT
- */
-
-/**
- * A unique EBM class designed to predict only one fixed sample point. It can
- * efficiently update the prediction when a feature of this point is changed.
- */
-class EBMLocal extends EBM {
-  sample;
-  predScores;
-  predProb;
-  pre;
-
-  /**
-   * Initialize the EBMLocal object.
-   * @param {object} model Trained EBM model in JSON format
-   * @param {[object]} sample A single data point of interest
-   */
-  constructor(model, sample) {
-    // Init the ancestor EBM class
-    super(model);
-
-    this.sample = sample.slice();
-
-    // Make an initial prediction on this sample and record the predictions
-    this.countedScores = this.countScore(sample);
-    this.predScore =
-      Object.values(this.countedScores).reduce((a, b) => a + b) +
-      this.intercept;
-    this.predProb = this.isClassifier
-      ? sigmoid(this.predScore)
-      : this.predScore;
-    this.pred = this.isClassifier
-      ? this.predProb >= 0.5
-        ? 1
-        : 0
-      : this.predScore;
-  }
-
-  /**
-   * Update a feature of `sample` and the its predictions
-   * @param {string} name Feature name.
-   * @param {object} value New feature value. For categorical features, it is a string
-   * corresponding to the new level.
-   */
-  updateFeature(name, value) {
-    let index = this.featureNames.indexOf(name);
-    let curType = this.featureTypes[index];
-
-    if (curType !== 'continuous' && curType !== 'categorical') {
-      throw new Error(
-        'Only continuous and categorical features can be updated'
-      );
-    }
-
-    // Step 1: Update the value in the sample attribute (keep the original level
-    // string)
-    this.sample[index] = value;
-    let encodedSample = this.sample.slice();
-
-    // Step 2: Encode all categorical values
-    for (let j = 0; j < encodedSample.length; j++) {
-      if (this.featureTypes[j] === 'categorical') {
-        let curEncoder = this.labelEncoder[this.featureNames[j]];
-
-        if (curEncoder[encodedSample[j]] !== undefined) {
-          encodedSample[j] = parseInt(curEncoder[encodedSample[j]], 10);
-        } else {
-          // Unseen level
-          // Because level code starts at index 1, 0 would trigger a miss
-          // during inference => 0 score
-          encodedSample[j] = 0;
-        }
-      }
-    }
-
-    // Step 3: Look up the new value
-    let curFeature = encodedSample[index];
-    let binIndex = -1;
-    let binScore = 0;
-
-    if (curType === 'continuous') {
-      binIndex = searchSortedLowerIndex(this.binEdges[index], curFeature);
-      binScore = this.scores[index][binIndex];
-    } else {
-      binIndex = this.binEdges[index].indexOf(curFeature);
-
-      if (binIndex < 0) {
-        // Unseen level during training => use 0 as score instead
-        console.log(
-          `Unseen categorical level: ${name}, ${index}, ${curFeature}`
-        );
-        binScore = 0;
-      } else {
-        binScore = this.scores[index][binIndex];
-      }
-    }
-
-    this.countedScores[name] = binScore;
-
-    // Step 3: Trigger an interaction look up if necessary
-    for (let j = 0; j < this.interactionIndexes.length; j++) {
-      let curIndexes = this.interactionIndexes[j];
-
-      // Look up the names and types
-      let name1 = this.featureNames[curIndexes[0]];
-      let name2 = this.featureNames[curIndexes[1]];
-
-      if (name1 === name || name2 === name) {
-        let type1 = this.featureTypes[curIndexes[0]];
-        let type2 = this.featureTypes[curIndexes[1]];
-
-        let value1 = encodedSample[curIndexes[0]];
-        let value2 = encodedSample[curIndexes[1]];
-
-        // Figure out which bin to query along two dimensions
-        let binIndex1 = -1;
-        let binIndex2 = -1;
-
-        if (type1 === 'continuous') {
-          binIndex1 = searchSortedLowerIndex(
-            this.interactionBinEdges[j][0],
-            value1
-          );
-        } else {
-          binIndex1 = this.interactionBinEdges[j][0].indexOf(value1);
-        }
-
-        if (type2 === 'continuous') {
-          binIndex2 = searchSortedLowerIndex(
-            this.interactionBinEdges[j][1],
-            value2
-          );
-        } else {
-          binIndex2 = this.interactionBinEdges[j][1].indexOf(value2);
-        }
-
-        // Query the bin scores
-        let interBinScore = 0;
-
-        if (binIndex1 < 0 || binIndex2 < 0) {
-          interBinScore = 0;
-        } else {
-          interBinScore = this.interactionScores[j][binIndex1][binIndex2];
-        }
-
-        // Record the current feature score
-        this.countedScores[`${name1} x ${name2}`] = interBinScore;
-      }
-    }
-
-    // Step 4: Update all predictions
-    this.predScore =
-      Object.values(this.countedScores).reduce((a, b) => a + b) +
-      this.intercept;
-    this.predProb = this.isClassifier
-      ? sigmoid(this.predScore)
-      : this.predScore;
-    this.pred = this.isClassifier
-      ? this.predProb >= 0.5
-        ? 1
-        : 0
-      : this.predScore;
-  }
-}
+import { EBM, isMissing, searchSortedLowerIndex } from './ebm.js';
+import { EBMLocal } from './ebmLocal.js';
+import { assertValidModel } from './modelValidator.js';
+import { resolveDistanceMetrics } from './distanceMetrics.js';
+import { createCostCurveMetric, findCostCurveIssue } from './costCurves.js';
+import {
+  compileCrossConstraints,
+  findCrossConstraintIssue
+} from './crossConstraints.js';
+import {
+  findDiversityIssue,
+  getDiversityExclusion,
+  getDiversityScore,
+  getPlanFeatures
+} from './diversity.js';
+import {
+  createGroupModel,
+  getGroupCandidates,
+  getGroupInteractions,
+  groupObjectives
+} from './groupRecourse.js';
+import {
+  findMinimalConflict,
+  getRelaxableConstraints,
+  relaxConstraints
+} from './infeasibility.js';
 
 /*! pako 2.0.4 https://github.com/nodeca/pako @license (MIT AND Zlib) */
 function t(t) {
@@ -2042,8 +1570,12 @@ class MILP {
    * number of features.
    * @param {Array<string>} mutedVariables Variables that this MILP should not
    * use. This is useful to mute optimal variables so we can explore diverse
-   * solutions. This list should not include interaction variables.
+   * solutions. This list should not include interaction variables. Variables
+   * can also be muted after the model is created, see `muteVariables()`.
    * @param {number} verbose Verbose level: 0, 1, 2
+   * @param {object[]} crossConstraintRows Rows compiled from cross-feature
+   * constraints (see `compileCrossConstraints()`). Variables that this MILP
+   * does not have are fixed to 0.
    */
   constructor(
     cfDirection,
@@ -2052,7 +1584,8 @@ class MILP {
     options,
     maxNumFeaturesToVary = null,
     mutedVariables = [],
-    verbose = 0
+    verbose = 0,
+    crossConstraintRows = []
   ) {
     // Init attributes
     this.cfDirection = cfDirection;
@@ -2062,9 +1595,21 @@ class MILP {
     this.maxNumFeaturesToVary = maxNumFeaturesToVary;
     this.mutedVariables = new Set(mutedVariables);
     this.verbose = verbose;
+    this.crossConstraintRows = crossConstraintRows;
+
+    // True if the last solve ran out of time before finding any solution
+    this.isTimedOut = false;
+
+    // True once the GLPK worker is stopped
+    this.isTerminated = false;
   }
 
-  async initGLPK() {
+  /**
+   * Start a GLPK worker and create the model
+   * @param {number | null} timeLimit Time limit of each solve in seconds. When
+   * the time runs out, the solver returns the best solution found so far
+   */
+  async initGLPK(timeLimit = null) {
     this.glpk = await He();
 
     // Arguments for the GLPK solver
@@ -2076,6 +1621,10 @@ class MILP {
       this.modelOptions.msglev = this.glpk.GLP_MSG_ALL;
     }
 
+    if (timeLimit !== null) {
+      this.modelOptions.tmlim = timeLimit;
+    }
+
     // Create the MILP model
     this.model = null;
     this.variables = null;
@@ -2172,88 +1721,100 @@ class MILP {
       model.subjectTo.push(maxNumConstraint);
     }
 
+    // Constraints between features, only on the variables of this model (the
+    // other variables are never active)
+    const binarySet = new Set(model.binaries);
+    this.crossConstraintRows.forEach((row) => {
+      model.subjectTo.push(this.createRow(row, binarySet));
+    });
+
     // Create variables for interaction effects
     Object.keys(this.options).forEach((optName) => {
       if (optName.includes(' x ')) {
-        // console.log(optName);
-        let f1Name = optName.replace(/(.+)\sx\s.+/, '$1');
-        let f2Name = optName.replace(/.+\sx\s(.+)/, '$1');
+        let fNames = optName.split(' x ');
+        let curVariables = [];
+
+        // Iterate through all possible options of this interaction term
+        this.options[optName].forEach((option) => {
+          // Each option uses a subset of the features in this term (null for
+          // other features)
+          let usedPositions = [];
+          option[3].forEach((mainBins, d) => {
+            if (mainBins !== null) usedPositions.push(d);
+          });
 
-        if (
-          this.featuresToVary.includes(f1Name) &&
-          this.featuresToVary.includes(f2Name)
-        ) {
-          let curVariables = [];
+          if (
+            !usedPositions.every((d) => this.featuresToVary.includes(fNames[d]))
+          ) {
+            return;
+          }
 
-          // We need to include this interaction term, iterate through all possible options
-          this.options[optName].forEach((option) => {
-            // Recover the main effect variables
-            let zName = `${optName}:${option[3][0]},${option[3][1]}`;
+          let zName = `${optName}:${option[0]
+            .map((interBin) => (interBin === null ? '*' : interBin))
+            .join(',')}`;
 
-            // Only consider these two options if either of them is muted
-            let xF1Name = `${f1Name}:${option[3][0]}`;
-            let xF2Name = `${f2Name}:${option[3][1]}`;
+          // Recover the main effect variables of each feature, skipping the
+          // muted ones
+          let xNameGroups = usedPositions.map((d) =>
+            option[3][d]
+              .map((binId) => `${fNames[d]}:${binId}`)
+              .filter((xName) => !this.mutedVariables.has(xName))
+          );
 
-            if (
-              !this.mutedVariables.has(xF1Name) &&
-              !this.mutedVariables.has(xF2Name)
-            ) {
-              console.assert(model.binaries.includes(xF2Name));
-              console.assert(model.binaries.includes(xF1Name));
-
-              // The interaction variable is the product of two binary main effect
-              // variables
-              // It can be linearized to three linear constraints
-
-              // z <= x1
-              model.subjectTo.push({
-                name: `${zName}-1`,
-                vars: [
-                  { name: zName, coef: 1.0 },
-                  { name: xF1Name, coef: -1.0 }
-                ],
-                bnds: { type: this.glpk.GLP_UP, ub: 0.0 }
-              });
-
-              // z <= x2
-              model.subjectTo.push({
-                name: `${zName}-2`,
-                vars: [
-                  { name: zName, coef: 1.0 },
-                  { name: xF2Name, coef: -1.0 }
-                ],
-                bnds: { type: this.glpk.GLP_UP, ub: 0.0 }
-              });
-
-              // z >= x1 + x2 - 1
-              // x1 + x2 - z <= 1
-              model.subjectTo.push({
-                name: `${zName}-3`,
-                vars: [
-                  { name: xF1Name, coef: 1.0 },
-                  { name: xF2Name, coef: 1.0 },
-                  { name: zName, coef: -1.0 }
-                ],
-                bnds: { type: this.glpk.GLP_UP, ub: 1.0 }
-              });
-
-              // z can be a continuous variable (easier to solve), bounded in 0 an 1
-              model.bounds.push({
-                name: zName,
-                type: this.glpk.GLP_DB,
-                lb: 0.0,
-                ub: 1.0
-              });
-
-              // Add to the model-level CF constraint
-              cfConstraint.vars.push({ name: zName, coef: option[1] });
-
-              curVariables.push(zName);
-            }
+          // Only consider this option if every feature still has a variable
+          if (xNameGroups.some((xNames) => xNames.length === 0)) {
+            return;
+          }
+
+          xNameGroups.flat().forEach((xName) => {
+            console.assert(model.binaries.includes(xName));
           });
 
-          variables[optName] = curVariables;
-        }
+          // The interaction variable is the product of n binary indicators,
+          // where the indicator of each feature is the sum of its variables in
+          // this group (at most one of them is active). It can be linearized
+          // to n + 1 linear constraints
+
+          // z <= sum(x_k)
+          xNameGroups.forEach((xNames, k) => {
+            model.subjectTo.push({
+              name: `${zName}-${k + 1}`,
+              vars: [
+                { name: zName, coef: 1.0 },
+                ...xNames.map((xName) => ({ name: xName, coef: -1.0 }))
+              ],
+              bnds: { type: this.glpk.GLP_UP, ub: 0.0 }
+            });
+          });
+
+          // z >= sum(x_1) + ... + sum(x_n) - (n - 1)
+          // sum(x_1) + ... + sum(x_n) - z <= n - 1
+          model.subjectTo.push({
+            name: `${zName}-${xNameGroups.length + 1}`,
+            vars: [
+              ...xNameGroups
+                .flat()
+                .map((xName) => ({ name: xName, coef: 1.0 })),
+              { name: zName, coef: -1.0 }
+            ],
+            bnds: { type: this.glpk.GLP_UP, ub: xNameGroups.length - 1 }
+          });
+
+          // z can be a continuous variable (easier to solve), bounded in 0 an 1
+          model.bounds.push({
+            name: zName,
+            type: this.glpk.GLP_DB,
+            lb: 0.0,
+            ub: 1.0
+          });
+
+          // Add to the model-level CF constraint
+          cfConstraint.vars.push({ name: zName, coef: option[1] });
+
+          curVariables.push(zName);
+        });
+
+        variables[optName] = curVariables;
       }
     });
 
@@ -2265,19 +1826,160 @@ class MILP {
     this.model = model;
   }
 
+  /**
+   * Convert a row into a GLPK constraint
+   * @param {object} row {name, vars: [{name, coef}], lb, ub}, where a missing
+   * bound is null
+   * @param {Set<string>} binarySet Variables to keep in the row, the other
+   * variables are never active
+   * @returns {object} GLPK constraint
+   */
+  createRow(row, binarySet) {
+    let bnds;
+    if (row.lb !== null && row.ub !== null) {
+      bnds = {
+        type: row.lb === row.ub ? this.glpk.GLP_FX : this.glpk.GLP_DB,
+        lb: row.lb,
+        ub: row.ub
+      };
+    } else if (row.lb !== null) {
+      bnds = { type: this.glpk.GLP_LO, lb: row.lb };
+    } else {
+      bnds = { type: this.glpk.GLP_UP, ub: row.ub };
+    }
+
+    return {
+      name: row.name,
+      vars: row.vars.filter((v) => binarySet.has(v.name)),
+      bnds
+    };
+  }
+
+  /**
+   * Add rows to the model, e.g. to keep the next solutions away from a plan
+   * (see `getDiversityExclusion()`). Rows that the model already has are
+   * skipped.
+   * @param {object[]} rows Rows {name, vars: [{name, coef}], lb, ub}
+   */
+  addRows(rows) {
+    const binarySet = new Set(this.model.binaries);
+    const rowNames = new Set(this.model.subjectTo.map((d) => d.name));
+    rows
+      .filter((row) => !rowNames.has(row.name))
+      .forEach((row) => {
+        this.model.subjectTo.push(this.createRow(row, binarySet));
+      });
+  }
+
+  /**
+   * Mute more variables of the model, so the next solve finds the next-optimal
+   * solution in the same GLPK worker without rebuilding the JSON model. glpk.js
+   * still builds its problem from the whole JSON model on every solve, so this
+   * only saves the worker start and the model construction (see
+   * src/utils/bench-plans.cjs). A muted variable is fixed to 0 instead of being
+   * removed, which has the same feasible solutions: the interaction variables
+   * that need it are forced to 0 by their linearization rows.
+   * @param {Array<string>} varNames Variables to mute, the ones that are already
+   * muted or that are not main effect variables of this model are skipped
+   */
+  muteVariables(varNames) {
+    const binarySet = new Set(this.model.binaries);
+    const newNames = varNames.filter(
+      (name) => binarySet.has(name) && !this.mutedVariables.has(name)
+    );
+    if (newNames.length === 0) {
+      return;
+    }
+
+    // GLPK resets the bounds of binary variables to [0, 1], so a muted variable
+    // has to become a fixed continuous variable
+    const newNameSet = new Set(newNames);
+    this.model.binaries = this.model.binaries.filter(
+      (name) => !newNameSet.has(name)
+    );
+    newNames.forEach((name) => {
+      this.mutedVariables.add(name);
+      this.model.bounds.push({
+        name,
+        type: this.glpk.GLP_FX,
+        lb: 0.0,
+        ub: 0.0
+      });
+    });
+  }
+
+  /**
+   * Stop the GLPK worker. The MILP cannot be solved afterwards.
+   */
+  terminate() {
+    this.glpk?.terminate();
+    this.isTerminated = true;
+  }
+
+  /**
+   * Solve the model in the GLPK worker. Aborting stops the worker, as GLPK
+   * cannot be interrupted otherwise.
+   * @param {AbortSignal | null} signal
+   * @returns {Promise<object>} The GLPK result
+   */
+  async solveGLPK(signal) {
+    signal?.throwIfAborted();
+    const solving = this.glpk.solve(this.model, this.modelOptions);
+    if (signal === null) {
+      return solving;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.terminate();
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      solving
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Check if a solve ran out of time before finding any solution
+   * @param {object} result The GLPK result
+   * @returns {boolean}
+   */
+  isOutOfTime(result) {
+    // GLPK reports the same undefined status when the presolver finds no
+    // solution, so compare the solve time with the limit
+    return (
+      this.modelOptions.tmlim !== undefined &&
+      result.result.status === this.glpk.GLP_UNDEF &&
+      result.time >= this.modelOptions.tmlim
+    );
+  }
+
   /**
    * Solve the MILP model
+   * @param {AbortSignal | null} signal Signal to stop solving, the returned
+   * promise then rejects with the abort reason
+   * @returns {Promise<object[] | null>} [active variables, distance,
+   * isOptimal], where isOptimal is false if the time limit stopped the solver
+   * at a feasible solution. Null if no solution is found
    */
-  async solveMILP() {
+  async solveMILP(signal = null) {
     if (this.model !== null) {
-      const result = await this.glpk.solve(this.model, this.modelOptions);
+      const result = await this.solveGLPK(signal);
+      this.isTimedOut = this.isOutOfTime(result);
 
       // Identify active variable
       let activeVariables = [];
+      const status = result.result.status;
 
-      if (result.result.status === this.glpk.GLP_OPT) {
+      if (status === this.glpk.GLP_OPT || status === this.glpk.GLP_FEAS) {
         if (this.verbose > 0) {
-          console.log(`Found optimal solution in ${result.time}s.`);
+          console.log(
+            status === this.glpk.GLP_OPT
+              ? `Found optimal solution in ${result.time}s.`
+              : `Found a feasible solution in the time limit (${result.time}s).`
+          );
         }
 
         Object.keys(result.result.vars).forEach((varName) => {
@@ -2286,7 +1988,7 @@ class MILP {
           }
         });
 
-        return [activeVariables, result.result.z];
+        return [activeVariables, result.result.z, status === this.glpk.GLP_OPT];
       } else {
         console.log(`Fail to find solution with code ${result.result.status}`);
         return null;
@@ -2294,21 +1996,166 @@ class MILP {
     }
     return null;
   }
-}
-
-/* eslint-disable lines-around-comment */
 
-/**
- * Main class to generate counterfactual explanations for GAMs
- */
-class GAMCoach {
   /**
-   * Create a GAM Coach object
-   * @param {object} ebmModel Trained ebm object in JSON format
-   * @param {object} contMads MAD distances for continuous variables (optional)
+   * Find the largest score gain (in the CF direction) that the variables can
+   * reach under the other constraints, ignoring the CF constraint.
+   * @param {AbortSignal | null} signal Signal to stop solving
+   * @returns {Promise<number | null>} The best score gain (the best one found
+   *  in the time limit), or null if the other constraints have no solution or
+   *  the time runs out before any is found (then `isTimedOut` is set)
+   */
+  async solveBestScoreGain(signal = null) {
+    if (this.model === null) {
+      return null;
+    }
+
+    // Move the score gain from the CF constraint to the objective
+    const cfConstraint = this.model.subjectTo.find(
+      (d) => d.name === 'cf-constraint'
+    );
+    this.model.subjectTo = this.model.subjectTo.filter(
+      (d) => d !== cfConstraint
+    );
+    this.model.objective = {
+      direction: this.cfDirection === 1 ? this.glpk.GLP_MAX : this.glpk.GLP_MIN,
+      name: 'score-gain',
+      vars: cfConstraint.vars
+    };
+
+    const result = await this.solveGLPK(signal);
+    this.isTimedOut = this.isOutOfTime(result);
+
+    const status = result.result.status;
+    if (status !== this.glpk.GLP_OPT && status !== this.glpk.GLP_FEAS) {
+      return null;
+    }
+    return result.result.z;
+  }
+}
+
+/**
+ * Mixed-integer linear programming model of one plan shared by a cohort of
+ * samples (see groupRecourse.js). It solves in a GLPK worker like the
+ * single-sample MILP, with the same time limit and cancellation.
+ */
+class GroupMILP extends MILP {
+  /**
+   * Create a group MILP model
+   * @param {object} problem {candidates, products, scores, scoreRange}
+   * @param {number | null} maxNumFeaturesToVary Max number of features that
+   * the plan can change
+   * @param {object[]} crossConstraintRows Rows compiled from cross-feature
+   * constraints on every sample
+   * @param {number} verbose Verbose level: 0, 1, 2
+   */
+  constructor(problem, maxNumFeaturesToVary, crossConstraintRows, verbose) {
+    super(
+      null,
+      null,
+      [],
+      {},
+      maxNumFeaturesToVary,
+      [],
+      verbose,
+      crossConstraintRows
+    );
+    this.problem = problem;
+  }
+
+  /**
+   * Create the group MILP model through the JSON format of GLPK.
+   */
+  createMILP() {
+    this.model = createGroupModel(
+      this.problem,
+      this.glpk,
+      this.maxNumFeaturesToVary,
+      0
+    );
+    this.addRows(this.crossConstraintRows);
+  }
+
+  /**
+   * Solve the group MILP model
+   * @param {string} objective `coverage` to cover as many samples as possible
+   * (with the cheapest plan among them), or `cost` for the cheapest plan that
+   * covers `minCoverage` samples
+   * @param {number} minCoverage Number of samples to cover with `cost`
+   * @param {AbortSignal | null} signal Signal to stop solving
+   * @returns {Promise<object[] | null>} [active variables, distance,
+   * isOptimal] as in `solveMILP()`, null if no plan is found
+   */
+  async solveGroup(objective, minCoverage, signal = null) {
+    const coverageConstraint = this.model.subjectTo.find(
+      (d) => d.name === 'coverage-cons'
+    );
+
+    // Find the best coverage first, then the cheapest plan that reaches it
+    let coverageSolution = null;
+    if (objective === 'coverage') {
+      const costObjective = this.model.objective;
+      this.model.objective = {
+        direction: this.glpk.GLP_MAX,
+        name: 'coverage',
+        vars: coverageConstraint.vars
+      };
+      coverageSolution = await this.solveMILP(signal);
+      this.model.objective = costObjective;
+
+      if (coverageSolution === null) {
+        return null;
+      }
+      minCoverage = Math.round(coverageSolution[1]);
+    }
+
+    coverageConstraint.bnds.lb = minCoverage;
+    const solution = await this.solveMILP(signal);
+
+    // Keep the plan of the best coverage if the solver runs out of time
+    // before finding a cheaper one
+    if (solution === null && coverageSolution !== null) {
+      const distances = new Map(
+        this.model.objective.vars.map((d) => [d.name, d.coef])
+      );
+      const distance = coverageSolution[0].reduce(
+        (a, name) => a + (distances.get(name) ?? 0),
+        0
+      );
+      return [coverageSolution[0], distance, false];
+    }
+    return solution;
+  }
+}
+
+/* eslint-disable lines-around-comment */
+
+/**
+ * Main class to generate counterfactual explanations for GAMs
+ */
+class GAMCoach {
+  /**
+   * Create a GAM Coach object
+   * @param {object} ebmModel Trained ebm object in JSON format
+   * @param {object} contMads MAD distances for continuous variables (optional)
    * @param {object} catDistances Distances for categorical variables (optional)
+   * @param {object} distanceMetrics Distance metrics that override the ones
+   *  set in the model, {continuous, categorical, features} (optional). See
+   *  `resolveDistanceMetrics()` in distanceMetrics.js
    */
-  constructor(ebmModel, contMads = null, catDistances = null) {
+  constructor(
+    ebmModel,
+    contMads = null,
+    catDistances = null,
+    distanceMetrics = null
+  ) {
+    assertValidModel(ebmModel, { forCoach: true });
+
+    // The MILP formulation only works with a single raw score
+    if (Array.isArray(ebmModel.intercept)) {
+      throw Error('GAMCoach does not support multiclass models.');
+    }
+
     this.contMads = contMads;
     this.catDistances = catDistances;
 
@@ -2327,6 +2174,17 @@ class GAMCoach {
     if (this.catDistances === null) {
       this.catDistances = ebmModel.catDistances;
     }
+
+    // The distance metric of each feature, a map from feature name to
+    // (fromValue, toValue) => distance
+    this.distanceMetrics = resolveDistanceMetrics(
+      ebmModel,
+      { contMads: this.contMads, catDistances: this.catDistances },
+      distanceMetrics
+    );
+
+    // The distance of filling in a missing value (in MADs)
+    this.missingDistance = 1;
   }
 
   /**
@@ -2335,7 +2193,12 @@ class GAMCoach {
    * @param {object} config
    * @param {object[][]} config.curExample Point of interest (2D array, (1, k))
    * @param {number} [config.totalCfs] Number of CFs to generate
-   * @param {number[]} [config.targetRange] Target range for regression problems
+   * @param {number[]} [config.targetRange] Target range for regression problems,
+   * in response units (it is converted to the link scale of the raw score)
+   * @param {number} [config.targetProb] Target probability of the positive
+   * class for binary classifiers (calibrated if the model has a calibration).
+   * It defaults to the decision threshold of the model (0.5 unless the model
+   * sets `decisionThreshold`), and a value past it asks for a margin
    * @param {number} [config.simThresholdFactor] The similarity threshold factor
    * for continuous features
    * @param {number} [config.simThreshold] The similarity threshold for cont
@@ -2351,14 +2214,42 @@ class GAMCoach {
    * @param {object} [config.featureWeightMultipliers] The numbers that are
    *  multiplied to each feature's final computed distances. By default, the
    *  number is 1 for all features
+   * @param {object} [config.costCurves] Cost curve of continuous features,
+   *  {feature name: curve} (see costCurves.js). A curve replaces the distance
+   *  metric of its feature, and the weight multipliers do not apply to it. It
+   *  defaults to the `costCurve` in the config of each feature in the model
    * @param {string[]} [config.continuousIntegerFeatures] Name of cont features
    * that should have integer values
+   * @param {object[]} [config.crossConstraints] Linear, implication, and
+   * exclusion constraints between features (see crossConstraints.js). It
+   * defaults to the `crossConstraints` of the model
+   * @param {object} [config.pinnedValues] Features that the user will set to
+   * a value, {feature name: value}. The CFs start from the sample with the
+   * pinned values and optimize the other features, so the pinned features do
+   * not vary and count towards `maxNumFeaturesToVary` if they change. The
+   * CFs list the pinned changes in `pinnedChanges`, and their distances are
+   * part of `distances`
+   * @param {number} [config.timeLimit] Time limit of each MILP solve in
+   * seconds. When the time runs out, the best plan found so far is returned
+   * and marked as not optimal in `isOptimal`. If there is no plan yet, the
+   * generation fails with `isTimedOut` set
+   * @param {AbortSignal} [config.signal] Signal to cancel the generation, the
+   * returned promise then rejects with the abort reason
+   * @param {boolean} [config.keepSession] Keep the GLPK worker and the MILP
+   * model in `nextCfConfig`, so `generateSubCfs()` continues the same solver
+   * session instead of rebuilding it for every CF. The caller then has to end
+   * the session with `endSession()`. Errors end it too
+   * @param {object} [config.diversity] How the next CFs differ from the
+   * earlier ones, {strategy: 'mute' | 'hamming' | 'feature', minDistance} (see
+   * diversity.js). Each CF gets a score in `diversityScores`, and when no
+   * further distinct CF exists, the generation stops with `isExhausted` set
    * @param {number} [config.verbose] 0, 1, 2, controlling the logging details
    */
   async generateCfs({
     curExample,
     totalCfs = 1,
     targetRange = null,
+    targetProb = null,
     simThresholdFactor = 0.005,
     simThreshold = null,
     categoricalWeight = 'auto',
@@ -2366,11 +2257,40 @@ class GAMCoach {
     maxNumFeaturesToVary = null,
     featureRanges = null,
     featureWeightMultipliers = null,
+    costCurves = null,
     continuousIntegerFeatures = null,
+    crossConstraints = null,
+    pinnedValues = null,
+    timeLimit = null,
+    signal = null,
+    keepSession = false,
+    diversity = { strategy: 'mute' },
     verbose = 0
   }) {
+    signal?.throwIfAborted();
+
+    const diversityIssue = findDiversityIssue(diversity);
+    if (diversityIssue !== null) {
+      throw Error(`diversity: ${diversityIssue}`);
+    }
+
     // Generate an EBMLocal object fixing on the current example
     this.ebm = new EBMLocal(this.ebmModel, curExample[0]);
+    const originalScore = this.ebm.predScore;
+    const originalPred = this.ebm.pred;
+
+    crossConstraints = this.resolveCrossConstraints(crossConstraints);
+    costCurves = this.resolveCostCurves(costCurves);
+    const distanceMetrics = this.getDistanceMetrics(costCurves);
+    featureWeightMultipliers = this.getWeightMultipliers(
+      featureWeightMultipliers,
+      costCurves
+    );
+
+    // Step 0: Apply the pinned values to the EBMLocal, the options and the
+    // score gains below start from the pinned sample
+    pinnedValues = pinnedValues ?? {};
+    const pinnedChanges = this.applyPinnedValues(pinnedValues);
 
     // Default to use all features
     // ?: if I'm using every features every time am I going to get
@@ -2381,8 +2301,19 @@ class GAMCoach {
         return this.ebm.featureTypes[i] !== 'interaction';
       });
     }
+    featuresToVary = featuresToVary.filter(
+      (d) => !Object.hasOwn(pinnedValues, d)
+    );
+    if (maxNumFeaturesToVary !== null) {
+      maxNumFeaturesToVary = Math.max(
+        0,
+        maxNumFeaturesToVary - pinnedChanges.length
+      );
+    }
 
-    // Step 1: Identify CF direction and score needed to gain
+    // Step 1: Identify CF direction and score needed to gain. The direction
+    // comes from the original sample, and the score gain from the pinned one,
+    // which can already reach the target
     let totalScore = this.ebm.predScore;
     let cfDirection = null;
     let neededScoreGain = null;
@@ -2392,8 +2323,24 @@ class GAMCoach {
     // Predicted 0 => +1
     // Predicted 1 => -1
     if (this.ebm.isClassifier) {
-      cfDirection = this.ebm.pred * -2 + 1;
-      neededScoreGain = -1 * totalScore;
+      cfDirection = originalPred * -2 + 1;
+
+      // The MILP works on the raw score, so convert the (calibrated) target
+      // probability back to the score it needs to reach
+      const targetScore = this.ebm.probToScore(
+        targetProb ?? this.ebm.decisionThreshold
+      );
+      neededScoreGain = targetScore - totalScore;
+
+      if (
+        targetProb !== null &&
+        cfDirection * (targetScore - originalScore) <= 0
+      ) {
+        throw Error('The current prediction already reaches the targetProb.');
+      }
+      if (!Number.isFinite(neededScoreGain)) {
+        throw Error('The model cannot reach the target probability.');
+      }
     } else {
       // Regression
       // Increase => +1
@@ -2404,11 +2351,14 @@ class GAMCoach {
         );
       }
 
-      if (totalScore >= targetRange[0] && totalScore <= targetRange[1]) {
+      // The MILP works on the additive raw score
+      targetRange = targetRange.map((d) => this.ebm.responseToScore(d));
+
+      if (originalScore >= targetRange[0] && originalScore <= targetRange[1]) {
         throw Error('The targetRange cannot cover the current prediction.');
       }
 
-      if (totalScore < targetRange[0]) {
+      if (originalScore < targetRange[0]) {
         cfDirection = 1;
         neededScoreGain = targetRange[0] - totalScore;
         scoreGainBound = targetRange[1] - totalScore;
@@ -2427,23 +2377,7 @@ class GAMCoach {
     // Step 2.0: First generate a similarity threshold if it is not provided. The similarity
     // threshold is used to filter out redundant options
     if (simThreshold === null) {
-      let additiveRanges = [];
-
-      // We compute the average ranges across all continuous features
-      for (let i = 0; i < this.ebm.featureNames.length; i++) {
-        if (this.ebm.featureTypes[i] === 'continuous') {
-          let curScores = this.ebm.scores[i];
-
-          // Count the max and min score for each score array
-          let maxScore = curScores.reduce((a, b) => Math.max(a, b));
-          let minScore = curScores.reduce((a, b) => Math.min(a, b));
-          additiveRanges.push(maxScore - minScore);
-        }
-      }
-
-      simThreshold =
-        additiveRanges.reduce((a, b) => a + b) / additiveRanges.length;
-      simThreshold *= simThresholdFactor;
+      simThreshold = this.getSimThreshold(this.ebm, simThresholdFactor);
     }
 
     // Step 2.1: Find all good options from continuous and categorical features
@@ -2451,7 +2385,7 @@ class GAMCoach {
       let curFeatureName = this.ebm.featureNames[i];
       let curFeatureType = this.ebm.featureTypes[i];
       let curFeatureScore = this.ebm.countedScores[curFeatureName];
-      let curFeatureValue = curExample[0][i];
+      let curFeatureValue = this.ebm.sample[i];
 
       // Skip interaction terms
       if (curFeatureType === 'continuous') {
@@ -2471,8 +2405,8 @@ class GAMCoach {
           curFeatureName,
           curFeatureValue,
           curFeatureScore,
-          this.contMads,
-          curExample[0],
+          distanceMetrics.get(curFeatureName),
+          this.ebm.sample,
           scoreGainBound,
           simThreshold,
           needToBeInt,
@@ -2485,8 +2419,8 @@ class GAMCoach {
           i,
           curFeatureValue,
           curFeatureScore,
-          this.catDistances[curFeatureName],
-          curExample[0],
+          distanceMetrics.get(curFeatureName),
+          this.ebm.sample,
           scoreGainBound,
           true
         );
@@ -2523,24 +2457,22 @@ class GAMCoach {
 
     // Step 2.3: Find all interaction offsets
     for (let i = 0; i < this.ebm.interactionIndexes.length; i++) {
-      let curInteractionId = i;
-      let curIndexes = this.ebm.interactionIndexes[i];
-      let name1 = this.ebm.featureNames[curIndexes[0]];
-      let name2 = this.ebm.featureNames[curIndexes[1]];
-      let interName = `${name1} x ${name2}`;
-      let curFeatureScore = this.ebm.countedScores[interName];
-
-      options[interName] = this.generateInterOptions(
-        curInteractionId,
-        curIndexes[0],
-        curIndexes[1],
-        curFeatureScore,
-        options
-      );
+      let interName = this.ebm.interactionNames[i];
+      options[interName] = this.generateInterOptions(i, options);
     }
 
     // Step 2.4: Rescale the categorical distances so that they have the same
-    // mean score as continuous variables (default way to scale it)
+    // mean score as continuous variables (default way to scale it). Filling in
+    // a missing value already costs `missingDistance` in the continuous units,
+    // so those options are not rescaled
+    const isRescaledCat = (name) => {
+      const index = this.ebm.featureNames.indexOf(name);
+      return (
+        this.ebm.featureTypes[index] === 'categorical' &&
+        !isMissing(this.ebm.sample[index])
+      );
+    };
+
     if (categoricalWeight === 'auto') {
       // Count the current average scores for cont and cat features
       let contDistances = [];
@@ -2554,7 +2486,7 @@ class GAMCoach {
           options[name].forEach((option) => {
             contDistances.push(option[2]);
           });
-        } else if (curType === 'categorical') {
+        } else if (isRescaledCat(name)) {
           options[name].forEach((option) => {
             catDistances.push(option[2]);
           });
@@ -2574,9 +2506,7 @@ class GAMCoach {
 
     // Rescaling categorical options
     Object.keys(options).forEach((name) => {
-      let curType = this.ebm.featureTypes[this.ebm.featureNames.indexOf(name)];
-
-      if (curType === 'categorical') {
+      if (isRescaledCat(name)) {
         for (let i = 0; i < options[name].length; i++) {
           options[name][i][2] *= categoricalWeight;
         }
@@ -2597,42 +2527,107 @@ class GAMCoach {
       });
     }
 
+    // Step 2.6: Compile the cross-feature constraints into MILP rows on the
+    // final options
+    const curValues = new Map(
+      this.ebm.featureNames.map((name, i) => [name, this.ebm.sample[i]])
+    );
+    const crossConstraintRows = compileCrossConstraints(
+      crossConstraints,
+      curValues,
+      options
+    );
+
+    // Step 2.7: Price the pinned changes like the options
+    pinnedChanges.forEach((change) => {
+      const index = this.ebm.featureNames.indexOf(change.feature);
+      const fromValue = curExample[0][index];
+      if (isMissing(fromValue)) {
+        change.distance = this.missingDistance;
+      } else {
+        change.distance = distanceMetrics.get(change.feature)(
+          fromValue,
+          change.value
+        );
+        if (this.ebm.featureTypes[index] === 'categorical') {
+          change.distance *= categoricalWeight;
+        }
+      }
+      change.distance *= featureWeightMultipliers?.[change.feature] ?? 1;
+    });
+
     // Step 3: Formulate an MILP model and solve it
-    // Here we generate diverse solutions by accumulatively muting optimal solutions
+    // Here we generate diverse solutions by accumulatively keeping the next
+    // solutions away from the optimal ones, in one GLPK worker and one model
     let solutions = [];
     let mutedVariables = [];
+    let diversityRows = [];
+    let planFeatures = [];
+    let diversityScores = [];
     let isSuccessful = true;
+    let isTimedOut = false;
 
-    for (let i = 0; i < totalCfs; i++) {
-      let milp = new MILP(
-        cfDirection,
-        neededScoreGain,
-        featuresToVary,
-        options,
-        maxNumFeaturesToVary,
-        mutedVariables,
-        verbose
-      );
+    const milp = new MILP(
+      cfDirection,
+      neededScoreGain,
+      featuresToVary,
+      options,
+      maxNumFeaturesToVary,
+      mutedVariables,
+      verbose,
+      crossConstraintRows
+    );
+    await milp.initGLPK(timeLimit);
+
+    try {
+      for (let i = 0; i < totalCfs; i++) {
+        milp.muteVariables(mutedVariables);
+        milp.addRows(diversityRows);
+        const solution = await milp.solveMILP(signal);
+
+        if (solution === null) {
+          isSuccessful = false;
+          isTimedOut = milp.isTimedOut;
+          console.log('Failed to generate all CFs.');
+          break;
+        }
 
-      await milp.initGLPK();
-      let solution = await milp.solveMILP();
+        solutions.push(solution);
+        const curFeatures = getPlanFeatures(solution[0], featuresToVary);
+        diversityScores.push(getDiversityScore(curFeatures, planFeatures));
 
-      if (solution === null) {
-        isSuccessful = false;
-        console.log('Failed to generate all CFs.');
-        break;
+        const exclusion = getDiversityExclusion(
+          diversity,
+          solution[0],
+          featuresToVary,
+          options,
+          planFeatures.length
+        );
+        exclusion.mutedVariables.forEach((v) => {
+          mutedVariables.push(v);
+        });
+        exclusion.rows.forEach((row) => {
+          diversityRows.push(row);
+        });
+        planFeatures.push(curFeatures);
       }
+    } catch (error) {
+      milp.terminate();
+      throw error;
+    }
 
-      solutions.push(solution);
-      solution[0].forEach((v) => {
-        mutedVariables.push(v);
-      });
-
-      milp = null;
+    if (!keepSession) {
+      milp.terminate();
     }
 
     // Step 4: Convert the solutions into formatted CFs
     let cfs = this.convertCfToData(options, solutions, isSuccessful);
+    this.addPinnedChanges(cfs, pinnedChanges);
+    cfs.isTimedOut = isTimedOut;
+    cfs.diversityScores = diversityScores;
+
+    // After a first CF, the problem only becomes infeasible by the diversity
+    cfs.isExhausted = !isSuccessful && !isTimedOut && solutions.length > 0;
 
     cfs.nextCfConfig = {
       cfDirection,
@@ -2641,7 +2636,16 @@ class GAMCoach {
       options,
       maxNumFeaturesToVary,
       mutedVariables,
-      verbose
+      verbose,
+      crossConstraintRows,
+      timeLimit,
+      signal,
+      keepSession,
+      milp: keepSession ? milp : null,
+      diversity,
+      diversityRows,
+      planFeatures,
+      pinnedChanges
     };
 
     return cfs;
@@ -2659,6 +2663,20 @@ class GAMCoach {
    * @param {number} config.maxNumFeaturesToVary
    * @param {string[]} config.mutedVariables
    * @param {number} config.verbose
+   * @param {object[]} config.crossConstraintRows
+   * @param {number} config.timeLimit Time limit of the MILP solve in seconds
+   * @param {AbortSignal} config.signal Signal to cancel the generation
+   * @param {boolean} config.keepSession True to keep the solver session for
+   * the next call
+   * @param {MILP | null} config.milp The solver session of the previous call.
+   * It is continued if it runs on the same options and all its muted variables
+   * are still muted, otherwise a new one starts
+   * @param {object} config.diversity
+   * @param {object[]} config.diversityRows Rows that keep the next CFs away
+   * from the earlier ones
+   * @param {string[][]} config.planFeatures Features that each earlier CF
+   * changes
+   * @param {object[]} config.pinnedChanges Changes of the pinned features
    */
   async generateSubCfs({
     cfDirection,
@@ -2667,39 +2685,89 @@ class GAMCoach {
     options,
     maxNumFeaturesToVary,
     mutedVariables,
-    verbose
+    verbose,
+    crossConstraintRows = [],
+    timeLimit = null,
+    signal = null,
+    keepSession = false,
+    milp = null,
+    diversity = { strategy: 'mute' },
+    diversityRows = [],
+    planFeatures = [],
+    pinnedChanges = []
   }) {
-    let milp = new MILP(
-      cfDirection,
-      neededScoreGain,
-      featuresToVary,
-      options,
-      maxNumFeaturesToVary,
-      mutedVariables,
-      verbose
-    );
+    const mutedVariableSet = new Set(mutedVariables);
+    const canContinue =
+      milp !== null &&
+      !milp.isTerminated &&
+      milp.options === options &&
+      [...milp.mutedVariables].every((v) => mutedVariableSet.has(v));
+
+    if (!canContinue) {
+      milp = new MILP(
+        cfDirection,
+        neededScoreGain,
+        featuresToVary,
+        options,
+        maxNumFeaturesToVary,
+        mutedVariables,
+        verbose,
+        crossConstraintRows
+      );
+      await milp.initGLPK(timeLimit);
+    }
 
-    await milp.initGLPK();
-    let solution = await milp.solveMILP();
+    let solution;
+    try {
+      milp.muteVariables(mutedVariables);
+      milp.addRows(diversityRows);
+      solution = await milp.solveMILP(signal);
+    } catch (error) {
+      milp.terminate();
+      throw error;
+    }
+
+    if (!keepSession) {
+      milp.terminate();
+    }
 
     let isSuccessful = true;
     let solutions;
+    let diversityScores;
 
     if (solution === null) {
       isSuccessful = false;
       solutions = [];
+      diversityScores = [];
       console.log('Failed to generate all CFs.');
     } else {
-      solution[0].forEach((v) => {
+      const curFeatures = getPlanFeatures(solution[0], featuresToVary);
+      diversityScores = [getDiversityScore(curFeatures, planFeatures)];
+
+      const exclusion = getDiversityExclusion(
+        diversity,
+        solution[0],
+        featuresToVary,
+        options,
+        planFeatures.length
+      );
+      exclusion.mutedVariables.forEach((v) => {
         mutedVariables.push(v);
       });
+      exclusion.rows.forEach((row) => {
+        diversityRows.push(row);
+      });
+      planFeatures.push(curFeatures);
       solutions = [solution];
     }
 
-    milp = null;
-
     // Step 4: Convert the solutions into formatted CFs
     let cfs = this.convertCfToData(options, solutions, isSuccessful);
+    this.addPinnedChanges(cfs, pinnedChanges);
+    cfs.isTimedOut = milp.isTimedOut;
+    cfs.diversityScores = diversityScores;
+    cfs.isExhausted =
+      !isSuccessful && !milp.isTimedOut && planFeatures.length > 0;
 
     cfs.nextCfConfig = {
       cfDirection,
@@ -2708,12 +2776,541 @@ class GAMCoach {
       options,
       maxNumFeaturesToVary,
       mutedVariables,
-      verbose
+      verbose,
+      crossConstraintRows,
+      timeLimit,
+      signal,
+      keepSession,
+      milp: keepSession ? milp : null,
+      diversity,
+      diversityRows,
+      planFeatures,
+      pinnedChanges
     };
 
     return cfs;
   }
 
+  /**
+   * End a solver session kept by `generateCfs()` or `generateSubCfs()` with
+   * `keepSession`, and stop its GLPK worker.
+   * @param {object} nextCfConfig The `nextCfConfig` of the last generated CFs
+   */
+  endSession(nextCfConfig) {
+    nextCfConfig.milp?.terminate();
+  }
+
+  /**
+   * Find out why `generateCfs()` cannot find any plan under a config. The
+   * candidates are the locked features, the feature ranges,
+   * `maxNumFeaturesToVary`, the margin of the target, the cross-feature
+   * constraints, and the pinned values (see infeasibility.js).
+   * @param {object} config The same config as `generateCfs()`
+   * @param {number} [config.probeTimeLimit] Time limit of each solve of the
+   *  diagnosis in seconds, 2 by default (or the `timeLimit` if it is shorter).
+   *  The diagnosis solves the MILP once per candidate and once per constraint
+   *  in the conflict, so this keeps it from taking that many full time limits
+   * @returns {Promise<object | null>} Null if there are plans, otherwise
+   *  {conflict, isTargetReachable, bestScore, isInconclusive}. `conflict` is a
+   *  minimal set of conflicting constraints, where `isSufficient` is true if
+   *  relaxing only that constraint is enough to find plans. `isTargetReachable`
+   *  is false if no plan reaches the target even after relaxing every
+   *  candidate, and `bestScore` is the best raw score that plans reach under
+   *  the current constraints (null if the constraints contradict each other).
+   *  If a solve runs out of time, the diagnosis stops with `isInconclusive`
+   *  set, an empty `conflict`, and null `isTargetReachable` and `bestScore`
+   */
+  async diagnoseInfeasibility(config) {
+    const probeTimeLimit = Math.min(
+      config.probeTimeLimit ?? 2,
+      config.timeLimit ?? Infinity
+    );
+    const inconclusive = {
+      conflict: [],
+      isTargetReachable: null,
+      bestScore: null,
+      isInconclusive: true
+    };
+
+    const cfs = await this.generateCfs({
+      ...config,
+      totalCfs: 1,
+      timeLimit: probeTimeLimit,
+      keepSession: true
+    });
+    if (cfs.isSuccessful) {
+      this.endSession(cfs.nextCfConfig);
+      return null;
+    }
+    if (cfs.isTimedOut) {
+      this.endSession(cfs.nextCfConfig);
+      return inconclusive;
+    }
+
+    // The best score under the current constraints, without the CF constraint,
+    // in the model of the failed solve
+    const milp = cfs.nextCfConfig.milp;
+    let bestScoreGain;
+    try {
+      bestScoreGain = await milp.solveBestScoreGain(config.signal ?? null);
+    } finally {
+      this.endSession(cfs.nextCfConfig);
+    }
+    if (milp.isTimedOut) {
+      return inconclusive;
+    }
+    const bestScore =
+      bestScoreGain === null ? null : this.ebm.predScore + bestScoreGain;
+
+    // Search the conflict among the constraints in use
+    const baseConfig = {
+      ...config,
+      totalCfs: 1,
+      timeLimit: probeTimeLimit,
+      keepSession: false,
+      crossConstraints:
+        config.crossConstraints ?? this.ebmModel.crossConstraints ?? []
+    };
+    const candidates = getRelaxableConstraints(baseConfig, this.ebm);
+
+    // A probe that runs out of time does not tell if there is a plan
+    const isFeasible = async (relaxed) => {
+      const relaxedCfs = await this.generateCfs(
+        relaxConstraints(baseConfig, relaxed)
+      );
+      return relaxedCfs.isTimedOut ? null : relaxedCfs.isSuccessful;
+    };
+
+    const isAllRelaxedFeasible = await isFeasible(candidates);
+    if (isAllRelaxedFeasible === null) {
+      return inconclusive;
+    }
+    if (!isAllRelaxedFeasible) {
+      return {
+        conflict: [],
+        isTargetReachable: false,
+        bestScore,
+        isInconclusive: false
+      };
+    }
+
+    const conflict = await findMinimalConflict(candidates, isFeasible);
+    if (conflict === null) {
+      return inconclusive;
+    }
+    for (const candidate of conflict) {
+      candidate.isSufficient = await isFeasible([candidate]);
+      if (candidate.isSufficient === null) {
+        return inconclusive;
+      }
+    }
+
+    return {
+      conflict,
+      isTargetReachable: true,
+      bestScore,
+      isInconclusive: false
+    };
+  }
+
+  /**
+   * Generate one plan shared by a cohort of samples (group recourse): a set of
+   * feature changes that every sample applies. Each changed feature is set to
+   * the same target value for the whole cohort (see groupRecourse.js).
+   * @param {object} config
+   * @param {object[][]} config.curExamples The cohort (2D array, (n, k))
+   * @param {string} [config.objective] `coverage` (default) to move as many
+   *  samples as possible to the target, with the cheapest plan among the ones
+   *  that do, or `cost` for the cheapest plan that moves `minCoverage` samples
+   * @param {number} [config.minCoverage] Number of samples that a `cost` plan
+   *  has to move to the target, all samples by default
+   * @param {number[]} [config.targetRange] Target range for regression
+   *  problems, in response units. A range with two finite bounds makes the
+   *  MILP much harder to solve, so it is worth setting a `timeLimit`
+   * @param {number} [config.targetProb] Target probability of the positive
+   *  class for binary classifiers, the decision threshold by default. The
+   *  target class is the one that most of the cohort is not predicted in
+   * @param {number} [config.simThresholdFactor] The similarity threshold factor
+   *  of score gains
+   * @param {string[]} [config.featuresToVary] Names of features that can be
+   *  changed
+   * @param {number} [config.maxNumFeaturesToVary] Max number of features that
+   *  the plan can change
+   * @param {object} [config.featureRanges] The allowed range for different
+   *  features
+   * @param {object} [config.featureWeightMultipliers] The numbers that are
+   *  multiplied to each feature's distances
+   * @param {object} [config.costCurves] Cost curve of continuous features, as
+   *  in `generateCfs()`
+   * @param {string[]} [config.continuousIntegerFeatures] Name of cont features
+   *  that should have integer values
+   * @param {object[]} [config.crossConstraints] Constraints between features
+   *  that the plan has to respect on every sample. It defaults to the
+   *  `crossConstraints` of the model
+   * @param {number} [config.timeLimit] Time limit of each MILP solve in seconds
+   * @param {AbortSignal} [config.signal] Signal to cancel the generation
+   * @param {number} [config.verbose] 0, 1, 2, controlling the logging details
+   * @returns {Promise<object>} {isSuccessful, isTimedOut, isOptimal, changes,
+   *  data, coverage, totalDistance, samples}. `changes` lists the plan's
+   *  {feature, value}, `data` has the samples after the plan, `coverage` is
+   *  the number of samples in the target after the plan, and `samples` has
+   *  the per-sample {isSuccessful, wasSuccessful, prediction, distance}, where
+   *  `wasSuccessful` is true if the sample was already in the target
+   */
+  async generateGroupCf({
+    curExamples,
+    objective = 'coverage',
+    minCoverage = null,
+    targetRange = null,
+    targetProb = null,
+    simThresholdFactor = 0.005,
+    featuresToVary = null,
+    maxNumFeaturesToVary = null,
+    featureRanges = null,
+    featureWeightMultipliers = null,
+    costCurves = null,
+    continuousIntegerFeatures = null,
+    crossConstraints = null,
+    timeLimit = null,
+    signal = null,
+    verbose = 0
+  }) {
+    signal?.throwIfAborted();
+
+    if (!groupObjectives.includes(objective)) {
+      throw Error(`objective must be one of ${groupObjectives.join(', ')}`);
+    }
+    if (minCoverage === null) {
+      minCoverage = curExamples.length;
+    } else if (
+      !Number.isInteger(minCoverage) ||
+      minCoverage < 0 ||
+      minCoverage > curExamples.length
+    ) {
+      throw Error(
+        'minCoverage must be an integer between 0 and the cohort size.'
+      );
+    }
+    crossConstraints = this.resolveCrossConstraints(crossConstraints);
+    costCurves = this.resolveCostCurves(costCurves);
+    const distanceMetrics = this.getDistanceMetrics(costCurves);
+    featureWeightMultipliers = this.getWeightMultipliers(
+      featureWeightMultipliers,
+      costCurves
+    );
+
+    const ebm = new EBM(this.ebmModel);
+    if (featuresToVary === null) {
+      featuresToVary = ebm.featureNames.filter(
+        (d, i) => ebm.featureTypes[i] !== 'interaction'
+      );
+    }
+
+    // Step 1: Find the target score range shared by the cohort
+    const scores = Array.from(ebm.predict(curExamples, true));
+    let scoreRange;
+
+    if (ebm.isClassifier) {
+      const targetScore = ebm.probToScore(targetProb ?? ebm.decisionThreshold);
+      const numPositive = ebm
+        .predict(curExamples)
+        .filter((d) => d === 1).length;
+      scoreRange =
+        numPositive * 2 <= curExamples.length
+          ? [targetScore, Infinity]
+          : [-Infinity, targetScore];
+    } else {
+      if (targetRange === null) {
+        throw Error(
+          'targetRange cannot be null when the model is a regressor.'
+        );
+      }
+      scoreRange = targetRange.map((d) => ebm.responseToScore(d));
+    }
+
+    // Step 2: Generate the candidates and the interaction corrections
+    const epsilon = this.getSimThreshold(ebm, simThresholdFactor);
+    const candidates = getGroupCandidates({
+      ebm,
+      samples: curExamples,
+      scores,
+      scoreRange,
+      featuresToVary,
+      featureRanges: featureRanges ?? {},
+      continuousIntegerFeatures: continuousIntegerFeatures ?? [],
+      distanceMetrics,
+      missingDistance: this.missingDistance,
+      featureWeightMultipliers: featureWeightMultipliers ?? {},
+      epsilon
+    });
+    const products = getGroupInteractions(
+      ebm,
+      curExamples,
+      candidates,
+      epsilon
+    );
+
+    // The plan has to respect the cross-feature constraints on every sample
+    const candidateOptions = {};
+    Object.entries(candidates).forEach(([name, featureCandidates]) => {
+      candidateOptions[name] = featureCandidates.map((c) => [
+        c.target,
+        0,
+        0,
+        c.binIndex
+      ]);
+    });
+    const crossConstraintRows = curExamples.flatMap((sample, s) => {
+      const curValues = new Map(
+        ebm.featureNames.map((name, i) => [name, sample[i]])
+      );
+      return compileCrossConstraints(
+        crossConstraints,
+        curValues,
+        candidateOptions
+      ).map((row) => ({ ...row, name: `${row.name}-${s}` }));
+    });
+
+    // Step 3: Formulate the MILP model and solve it
+    const milp = new GroupMILP(
+      { candidates, products, scores, scoreRange },
+      maxNumFeaturesToVary,
+      crossConstraintRows,
+      verbose
+    );
+    await milp.initGLPK(timeLimit);
+    let solution;
+    try {
+      solution = await milp.solveGroup(objective, minCoverage, signal);
+    } finally {
+      milp.terminate();
+    }
+
+    // Step 4: Apply the plan to every sample and check the predictions
+    const activeSet = new Set(solution === null ? [] : solution[0]);
+    const activeCandidates = Object.values(candidates)
+      .flat()
+      .filter((c) => activeSet.has(c.name));
+
+    const changes = activeCandidates.map((c) => ({
+      feature: c.name.slice(0, c.name.lastIndexOf(':')),
+      value: c.target
+    }));
+    const data = curExamples.map((sample) => {
+      const newSample = sample.slice();
+      changes.forEach(({ feature, value }) => {
+        newSample[ebm.featureNames.indexOf(feature)] = value;
+      });
+      return newSample;
+    });
+
+    const isInRange = (score) =>
+      score >= scoreRange[0] && score <= scoreRange[1];
+    const newScores = ebm.predict(data, true);
+    const predictions = ebm.predictProb(data);
+    const samples = data.map((sample, s) => ({
+      isSuccessful: isInRange(newScores[s]),
+      wasSuccessful: isInRange(scores[s]),
+      prediction: predictions[s],
+      distance: activeCandidates.reduce((a, c) => a + c.distances[s], 0)
+    }));
+
+    return {
+      isSuccessful: solution !== null,
+      isTimedOut: milp.isTimedOut,
+      isOptimal: solution === null ? false : solution[2],
+      changes,
+      data,
+      coverage: samples.filter((d) => d.isSuccessful).length,
+      totalDistance: samples.reduce((a, d) => a + d.distance, 0),
+      samples
+    };
+  }
+
+  /**
+   * Get the default similarity threshold of score gains: a fraction of the
+   * average score range of the continuous features
+   * @param {EBM} ebm
+   * @param {number} simThresholdFactor
+   * @returns {number}
+   */
+  getSimThreshold(ebm, simThresholdFactor) {
+    let additiveRanges = [];
+
+    // We compute the average ranges across all continuous features
+    for (let i = 0; i < ebm.featureNames.length; i++) {
+      if (ebm.featureTypes[i] === 'continuous') {
+        let curScores = ebm.scores[i];
+
+        // Count the max and min score for each score array
+        let maxScore = curScores.reduce((a, b) => Math.max(a, b));
+        let minScore = curScores.reduce((a, b) => Math.min(a, b));
+        additiveRanges.push(maxScore - minScore);
+      }
+    }
+
+    return (
+      (additiveRanges.reduce((a, b) => a + b) / additiveRanges.length) *
+      simThresholdFactor
+    );
+  }
+
+  /**
+   * Get the cross-feature constraints in use. Constraints from the model are
+   * validated with the model, and the others are validated here.
+   * @param {object[] | null} crossConstraints Constraints given by the caller,
+   *  null for the ones of the model
+   * @returns {object[]}
+   */
+  resolveCrossConstraints(crossConstraints) {
+    if (crossConstraints === null) {
+      return this.ebmModel.crossConstraints ?? [];
+    }
+
+    const mainFeatureTypes = new Map(
+      this.ebmModel.featureNames
+        .map((name, i) => [name, this.ebmModel.featureTypes[i]])
+        .filter(([, type]) => type !== 'interaction')
+    );
+    crossConstraints.forEach((constraint, i) => {
+      const issue = findCrossConstraintIssue(constraint, mainFeatureTypes);
+      if (issue !== null) {
+        throw Error(`crossConstraints[${i}]: ${issue}`);
+      }
+    });
+    return crossConstraints;
+  }
+
+  /**
+   * Get the cost curves in use. Curves from the model are validated with the
+   * model, and the others are validated here.
+   * @param {object | null} costCurves {feature name: curve} given by the
+   *  caller, null for the `costCurve` in the config of each model feature
+   * @returns {object} {feature name: curve}
+   */
+  resolveCostCurves(costCurves) {
+    if (costCurves === null) {
+      costCurves = {};
+      this.ebmModel.features.forEach((f) => {
+        if (f.config?.costCurve) {
+          costCurves[f.name] = f.config.costCurve;
+        }
+      });
+    } else {
+      Object.entries(costCurves).forEach(([name, curve]) => {
+        const i = this.ebmModel.featureNames.indexOf(name);
+        if (i < 0) {
+          throw Error(`costCurves.${name}: Unknown feature`);
+        }
+        if (this.ebmModel.featureTypes[i] !== 'continuous') {
+          throw Error(
+            `costCurves.${name}: Cost curves only apply to continuous features`
+          );
+        }
+        const issue = findCostCurveIssue(curve);
+        if (issue !== null) {
+          throw Error(`costCurves.${name}: ${issue}`);
+        }
+      });
+    }
+    return costCurves;
+  }
+
+  /**
+   * Get the distance metric of each feature, where the cost curves replace
+   * the metrics of their features.
+   * @param {object} costCurves {feature name: curve} from `resolveCostCurves()`
+   * @returns {Map<string, function>} A map from feature name to its metric
+   */
+  getDistanceMetrics(costCurves) {
+    const metrics = new Map(this.distanceMetrics);
+    Object.entries(costCurves).forEach(([name, curve]) => {
+      metrics.set(name, createCostCurveMetric(curve));
+    });
+    return metrics;
+  }
+
+  /**
+   * Get the weight multipliers of the features without a cost curve. A curve
+   * already sets the final cost of its feature.
+   * @param {object | null} featureWeightMultipliers {feature name: multiplier}
+   * @param {object} costCurves {feature name: curve} from `resolveCostCurves()`
+   * @returns {object | null} The multipliers, null if there are none
+   */
+  getWeightMultipliers(featureWeightMultipliers, costCurves) {
+    if (featureWeightMultipliers === null) {
+      return null;
+    }
+    return Object.fromEntries(
+      Object.entries(featureWeightMultipliers).filter(
+        ([name]) => !Object.hasOwn(costCurves, name)
+      )
+    );
+  }
+
+  /**
+   * Validate the pinned values and apply them to `this.ebm` in one update.
+   * @param {object} pinnedValues {feature name: value}, where categorical
+   *  values are level names
+   * @returns {object[]} [{feature, value, scoreGain}] for each pinned value
+   *  that changes the sample, where `scoreGain` is the score gain of that
+   *  change on its own
+   */
+  applyPinnedValues(pinnedValues) {
+    const changes = {};
+    const pinnedChanges = [];
+
+    Object.entries(pinnedValues).forEach(([name, value]) => {
+      const index = this.ebm.featureNames.indexOf(name);
+      const type = this.ebm.featureTypes[index];
+
+      if (type !== 'continuous' && type !== 'categorical') {
+        throw Error(`pinnedValues.${name}: Unknown feature`);
+      }
+      if (type === 'continuous' && !Number.isFinite(value)) {
+        throw Error(`pinnedValues.${name}: The value must be a number`);
+      }
+      if (
+        type === 'categorical' &&
+        this.ebm.labelEncoder[name][value] === undefined
+      ) {
+        throw Error(`pinnedValues.${name}: Unknown level \`${value}\``);
+      }
+
+      if (value !== this.ebm.sample[index]) {
+        changes[name] = value;
+        pinnedChanges.push({ feature: name, value });
+      }
+    });
+
+    // Score each change on its own from the original sample
+    const samples = pinnedChanges.map(({ feature, value }) => {
+      const sample = this.ebm.sample.slice();
+      sample[this.ebm.featureNames.indexOf(feature)] = value;
+      return sample;
+    });
+    if (samples.length > 0) {
+      const scores = this.ebm.predict(samples, true);
+      pinnedChanges.forEach((change, i) => {
+        change.scoreGain = scores[i] - this.ebm.predScore;
+      });
+      this.ebm.updateFeatures(changes);
+    }
+
+    return pinnedChanges;
+  }
+
+  /**
+   * Add the pinned changes to the CFs, their distances count in every CF.
+   * @param {object} cfs CFs from `convertCfToData()`
+   * @param {object[]} pinnedChanges [{feature, value, scoreGain, distance}]
+   */
+  addPinnedChanges(cfs, pinnedChanges) {
+    const pinnedDistance = pinnedChanges.reduce((a, d) => a + d.distance, 0);
+    cfs.distances = cfs.distances.map((d) => d + pinnedDistance);
+    cfs.pinnedChanges = pinnedChanges;
+  }
+
   /**
    * Generate all alternative options for this continuous variable. You can read
    * the GAM Coach documentation page for more details.
@@ -2722,7 +3319,8 @@ class GAMCoach {
    * @param {string} curFeatureName Name of the current features
    * @param {number} curFeatureValue Value of the current features
    * @param {number} curFeatureScore Corresponding score for the value
-   * @param {number} contMads MAD score for the current features
+   * @param {function} distanceMetric (fromValue, toValue) => distance of the
+   *  current feature
    * @param {object[]} curExample The current sample values
    * @param {number} scoreGainBound The bound for the score gain
    * @param {number} epsilon Similarity threshold
@@ -2738,7 +3336,7 @@ class GAMCoach {
     curFeatureName,
     curFeatureValue,
     curFeatureScore,
-    contMads,
+    distanceMetric,
     curExample,
     scoreGainBound = null,
     epsilon = 0.005,
@@ -2751,83 +3349,15 @@ class GAMCoach {
 
     let contOptions = [];
 
-    // Identify which bin this value falls into
+    // Identify which bin this value falls into (-1 if the value is missing)
     let curBinId = searchSortedLowerIndex(binStarts, curFeatureValue);
-    console.assert(additives[curBinId] === curFeatureScore);
+    console.assert(curBinId < 0 || additives[curBinId] === curFeatureScore);
 
     // Identify interaction terms that we need to consider
-    let associatedInteractions = [];
-
-    this.ebm.interactionIndexes.forEach((indexes, curInteractionId) => {
-      if (indexes.includes(curFeatureIndex)) {
-        const featurePosition = indexes[0] === curFeatureIndex ? 0 : 1;
-
-        // Need to query which bin is used for the other feature
-        const otherPosition = 1 - featurePosition;
-        const otherIndex = indexes[otherPosition];
-
-        // Get sub-types for this other feature term
-        const otherType = this.ebm.featureTypes[otherIndex];
-        const otherName = this.ebm.featureNames[otherIndex];
-
-        // Get the current additive scores and bin edges
-        let interactionAdditives = this.ebm.interactionScores[curInteractionId];
-        let interactionBinEdges =
-          this.ebm.interactionBinEdges[curInteractionId];
-
-        // Get the current score on this interaction term
-        let otherBin = -1;
-        if (otherType === 'continuous') {
-          otherBin = searchSortedLowerIndex(
-            interactionBinEdges[otherPosition],
-            curExample[otherIndex]
-          );
-        } else {
-          // Need to encode the categorical level first
-          let otherLevel = parseInt(
-            this.ebm.labelEncoder[otherName][curExample[otherIndex]],
-            10
-          );
-          otherBin = interactionBinEdges[otherPosition].indexOf(otherLevel);
-        }
-
-        const featureBin = searchSortedLowerIndex(
-          interactionBinEdges[featurePosition],
-          curFeatureValue
-        );
-
-        let featureInterScore = 0;
-        if (featurePosition === 0) {
-          featureInterScore = interactionAdditives[featureBin][otherBin];
-        } else {
-          featureInterScore = interactionAdditives[otherBin][featureBin];
-        }
-
-        // Extract the row or column where we fix the other feature and vary the
-        // current feature
-        let featureInterBinEdges = interactionBinEdges[featurePosition];
-        const featureInterAdditives = [];
-
-        if (featurePosition === 0) {
-          for (let i = 0; i < interactionAdditives.length; i++) {
-            featureInterAdditives.push(interactionAdditives[i][otherBin]);
-          }
-        } else {
-          for (let i = 0; i < interactionAdditives[0].length; i++) {
-            featureInterAdditives.push(interactionAdditives[otherBin][i]);
-          }
-        }
-
-        // Register this interaction term
-        associatedInteractions.push({
-          interIndex: indexes,
-          curInteractionId,
-          featureInterScore,
-          featureInterBinEdges,
-          featureInterAdditives
-        });
-      }
-    });
+    let associatedInteractions = this.getAssociatedInteractions(
+      curFeatureIndex,
+      curExample
+    );
 
     // Iterate all bins to collect useful ones
     for (let i = 0; i < additives.length; i++) {
@@ -2840,8 +3370,18 @@ class GAMCoach {
       let target = curFeatureValue;
       let distance = 0;
 
-      // Bins on the left
-      if (i < curBinId) {
+      // Missing value: any bin fills it in with the same distance
+      if (curBinId < 0) {
+        target = needToBeInt ? Math.ceil(binStarts[i]) : binStarts[i];
+
+        // Skip this option if it is out of bin
+        if (i + 1 < additives.length && target >= binStarts[i + 1]) {
+          continue;
+        }
+
+        distance = this.missingDistance;
+      } else if (i < curBinId) {
+        // Bins on the left
         // First check if it needs to be an integer, and if so we need to find
         // the closest integer to the right point
         if (needToBeInt) {
@@ -2855,11 +3395,11 @@ class GAMCoach {
             continue;
           }
 
-          distance = Math.abs(target - curFeatureValue);
+          distance = distanceMetric(curFeatureValue, target);
         } else {
           // Does not need to be an integer
           target = binStarts[i + 1];
-          distance = Math.abs(target - curFeatureValue);
+          distance = distanceMetric(curFeatureValue, target);
 
           // Subtract a very small value to make the target technically fall
           // into the left bin
@@ -2880,20 +3420,14 @@ class GAMCoach {
             continue;
           }
 
-          distance = Math.abs(target - curFeatureValue);
+          distance = distanceMetric(curFeatureValue, target);
         } else {
           // No need to be an integer value
           target = binStarts[i];
-          distance = Math.abs(target - curFeatureValue);
+          distance = distanceMetric(curFeatureValue, target);
         }
       }
 
-      // Scale the distance based on the deviation of the feature on the training
-      // data
-      if (contMads[curFeatureName] > 0) {
-        distance /= contMads[curFeatureName];
-      }
-
       /**
        * Compute score gain which has two parts:
        * (1) gain from the change of main effect
@@ -2968,7 +3502,8 @@ class GAMCoach {
    * @param {number} curFeatureIndex The index of the current features
    * @param {string} curFeatureValue The level of the current categorical feature
    * @param {number} curFeatureScore The current score for this feature
-   * @param {number} curCatDistance The distances for all levels in this feature
+   * @param {function} distanceMetric (fromValue, toValue) => distance of the
+   *  current feature
    * @param {object[]} curExample The current sample values
    * @param {number} scoreGainBound The bound for the score gain
    * @param {boolean} skipUnhelpfulMainOption True if to skip options from main
@@ -2981,7 +3516,7 @@ class GAMCoach {
     curFeatureIndex,
     curFeatureValue,
     curFeatureScore,
-    curCatDistance,
+    distanceMetric,
     curExample,
     scoreGainBound = null,
     skipUnhelpfulMainOption = true
@@ -2991,9 +3526,13 @@ class GAMCoach {
     let levels = this.ebm.binEdges[curFeatureIndex];
     let curFeatureName = this.ebm.featureNames[curFeatureIndex];
 
-    // Encode the current feature value
-    let curFeatureValueEncoded = 0;
-    if (this.ebm.labelEncoder[curFeatureName][curFeatureValue] !== undefined) {
+    // Encode the current feature value (missing values and unseen levels are
+    // encoded as null, so every level is an option to fill them in)
+    let curFeatureValueEncoded = null;
+    if (
+      !isMissing(curFeatureValue) &&
+      this.ebm.labelEncoder[curFeatureName][curFeatureValue] !== undefined
+    ) {
       curFeatureValueEncoded = parseInt(
         this.ebm.labelEncoder[curFeatureName][curFeatureValue],
         10
@@ -3003,77 +3542,10 @@ class GAMCoach {
     let catOptions = [];
 
     // Identify interaction terms that we need to consider
-    let associatedInteractions = [];
-
-    this.ebm.interactionIndexes.forEach((indexes, curInteractionId) => {
-      if (indexes.includes(curFeatureIndex)) {
-        const featurePosition = indexes[0] === curFeatureIndex ? 0 : 1;
-
-        // Need to query which bin is used for the other feature
-        const otherPosition = 1 - featurePosition;
-        const otherIndex = indexes[otherPosition];
-
-        // Get sub-types for this other feature term
-        const otherType = this.ebm.featureTypes[otherIndex];
-        const otherName = this.ebm.featureNames[otherIndex];
-
-        // Get the current additive scores and bin edges
-        let interactionAdditives = this.ebm.interactionScores[curInteractionId];
-        let interactionBinEdges =
-          this.ebm.interactionBinEdges[curInteractionId];
-
-        // Get the current score on this interaction term
-        let otherBin = -1;
-        if (otherType === 'continuous') {
-          otherBin = searchSortedLowerIndex(
-            interactionBinEdges[otherPosition],
-            curExample[otherIndex]
-          );
-        } else {
-          // Need to encode the categorical level first
-          let otherLevel = parseInt(
-            this.ebm.labelEncoder[otherName][curExample[otherIndex]],
-            10
-          );
-          otherBin = interactionBinEdges[otherPosition].indexOf(otherLevel);
-        }
-
-        const featureBin = interactionBinEdges[featurePosition].indexOf(
-          curFeatureValueEncoded
-        );
-
-        let featureInterScore = 0;
-        if (featurePosition === 0) {
-          featureInterScore = interactionAdditives[featureBin][otherBin];
-        } else {
-          featureInterScore = interactionAdditives[otherBin][featureBin];
-        }
-
-        // Extract the row or column where we fix the other feature and vary the
-        // current feature
-        let featureInterBinEdges = interactionBinEdges[featurePosition];
-        const featureInterAdditives = [];
-
-        if (featurePosition === 0) {
-          for (let i = 0; i < interactionAdditives.length; i++) {
-            featureInterAdditives.push(interactionAdditives[i][otherBin]);
-          }
-        } else {
-          for (let i = 0; i < interactionAdditives[0].length; i++) {
-            featureInterAdditives.push(interactionAdditives[otherBin][i]);
-          }
-        }
-
-        // Register this interaction term
-        associatedInteractions.push({
-          interIndex: indexes,
-          curInteractionId,
-          featureInterScore,
-          featureInterBinEdges,
-          featureInterAdditives
-        });
-      }
-    });
+    let associatedInteractions = this.getAssociatedInteractions(
+      curFeatureIndex,
+      curExample
+    );
 
     for (let i = 0; i < additives.length; i++) {
       if (levels[i] !== curFeatureValueEncoded) {
@@ -3122,8 +3594,12 @@ class GAMCoach {
           }
         }
 
+        // Filling in a missing value costs the same for every level, as for
+        // continuous features
         let targetDecoded = this.ebm.labelDecoder[curFeatureName][target];
-        let distance = curCatDistance[targetDecoded];
+        let distance = isMissing(curFeatureValue)
+          ? this.missingDistance
+          : distanceMetric(curFeatureValue, targetDecoded);
 
         catOptions.push([
           targetDecoded,
@@ -3139,124 +3615,198 @@ class GAMCoach {
   }
 
   /**
-   * Generate options for interaction effects.
-   * @param {number} curInteractionId The index of the interaction feature
-   * @param {number} curFeatureIndex1 The index for the first main effect
-   * @param {number} curFeatureIndex2 The index for the second main effect
-   * @param {number} curFeatureScore The current score for the interaction term
-   * @param {object} options Existing options for cont and cat features
+   * Find the bin of a feature value along one dimension of an interaction term.
+   * @param {number} curInteractionId The index of the interaction term
+   * @param {number} dimension The dimension of the feature in this term
+   * @param {object} value Feature value (level string for categorical)
+   * @returns {number} The bin index, or -1 if the value is missing or an
+   *  unseen level
    */
-  generateInterOptions(
-    curInteractionId,
-    curFeatureIndex1,
-    curFeatureIndex2,
-    curFeatureScore,
-    options
-  ) {
-    // Get sub-types for this interaction term
-    let curFeatureType1 = this.ebm.featureTypes[curFeatureIndex1];
-    let curFeatureType2 = this.ebm.featureTypes[curFeatureIndex2];
-
-    // Get the sub-names for this interaction term
-    let curFeatureName1 = this.ebm.featureNames[curFeatureIndex1];
-    let curFeatureName2 = this.ebm.featureNames[curFeatureIndex2];
+  getInterBin(curInteractionId, dimension, value) {
+    const featureIndex =
+      this.ebm.interactionIndexes[curInteractionId][dimension];
+    const featureName = this.ebm.featureNames[featureIndex];
+    const binEdges = this.ebm.interactionBinEdges[curInteractionId][dimension];
+
+    if (this.ebm.featureTypes[featureIndex] === 'continuous') {
+      return searchSortedLowerIndex(binEdges, value);
+    }
 
-    // Get the current additive scores and bin edges
-    let interactionAdditives = this.ebm.interactionScores[curInteractionId];
-    let interactionBinEdges = this.ebm.interactionBinEdges[curInteractionId];
+    // Need to encode the categorical level first
+    const level = isMissing(value)
+      ? undefined
+      : this.ebm.labelEncoder[featureName][value];
+    return level === undefined ? -1 : binEdges.indexOf(parseInt(level, 10));
+  }
 
-    // Encode the current example
-    let encodedSample = this.ebm.sample.slice();
+  /**
+   * Look up the score of an interaction term. The term scores 0 if any of its
+   * values is missing.
+   * @param {number} curInteractionId The index of the interaction term
+   * @param {number[]} bins The bin index along each dimension
+   * @returns {number} The score
+   */
+  getInterScore(curInteractionId, bins) {
+    if (bins.some((b) => b < 0)) {
+      return 0;
+    }
+    return bins.reduce(
+      (a, b) => a[b],
+      this.ebm.interactionScores[curInteractionId]
+    );
+  }
 
-    for (let j = 0; j < encodedSample.length; j++) {
-      if (this.ebm.featureTypes[j] === 'categorical') {
-        let curEncoder = this.ebm.labelEncoder[this.ebm.featureNames[j]];
+  /**
+   * Collect the interaction terms that use the current feature. For each term,
+   * we fix all other features at their current values and extract the scores
+   * along the current feature.
+   * @param {number} curFeatureIndex The index of the current feature
+   * @param {object[]} curExample The current sample values
+   * @returns {object[]} One {interIndex, curInteractionId, featureInterScore,
+   *  featureInterBinEdges, featureInterAdditives} for each term
+   */
+  getAssociatedInteractions(curFeatureIndex, curExample) {
+    const associatedInteractions = [];
 
-        if (curEncoder[encodedSample[j]] !== undefined) {
-          encodedSample[j] = parseInt(curEncoder[encodedSample[j]], 10);
-        } else {
-          // Unseen level
-          // Because level code starts at index 1, 0 would trigger a miss
-          // during inference => 0 score
-          encodedSample[j] = 0;
-        }
+    this.ebm.interactionIndexes.forEach((indexes, curInteractionId) => {
+      const featurePosition = indexes.indexOf(curFeatureIndex);
+      if (featurePosition < 0) {
+        return;
       }
-    }
-
-    let interOptions = [];
 
-    // Iterate through all combinations of values of two main effects
-    options[curFeatureName1].forEach((opt1) => {
-      options[curFeatureName2].forEach((opt2) => {
-        // Locate the index for each main effect
-        let bin1 = -1;
-        let bin2 = -1;
+      // Get the current bin along each dimension
+      const curBins = indexes.map((index, d) =>
+        this.getInterBin(curInteractionId, d, curExample[index])
+      );
+      const featureInterScore = this.getInterScore(curInteractionId, curBins);
+
+      // Extract the scores where we fix the other features and vary the
+      // current feature
+      const featureInterBinEdges =
+        this.ebm.interactionBinEdges[curInteractionId][featurePosition];
+      const featureInterAdditives = featureInterBinEdges.map((_, i) => {
+        const bins = curBins.slice();
+        bins[featurePosition] = i;
+        return this.getInterScore(curInteractionId, bins);
+      });
 
-        if (curFeatureType1 === 'continuous') {
-          bin1 = searchSortedLowerIndex(interactionBinEdges[0], opt1[0]);
-        } else {
-          // Need to encode the categorical level first
-          let curLevel = parseInt(
-            this.ebm.labelEncoder[curFeatureName1][opt1[0]],
-            10
-          );
-          bin1 = interactionBinEdges[0].indexOf(curLevel);
-        }
+      // Register this interaction term
+      associatedInteractions.push({
+        interIndex: indexes,
+        curInteractionId,
+        featureInterScore,
+        featureInterBinEdges,
+        featureInterAdditives
+      });
+    });
 
-        if (curFeatureType2 === 'continuous') {
-          bin2 = searchSortedLowerIndex(interactionBinEdges[1], opt2[0]);
-        } else {
-          // Need to encode the categorical level first
-          let curLevel = parseInt(
-            this.ebm.labelEncoder[curFeatureName2][opt2[0]],
-            10
-          );
-          bin2 = interactionBinEdges[1].indexOf(curLevel);
-        }
+    return associatedInteractions;
+  }
 
-        // Look up the score
-        let newScore = 0;
-        if (bin1 < 0 || bin2 < 0) {
+  /**
+   * Generate options for interaction effects.
+   *
+   * The options of the main effects already count the score gain of changing
+   * one feature of this term. For every subset of two or more features, we
+   * add one option for each combination of their interaction bins, whose
+   * score gain is the Möbius coefficient of this subset (the part of the
+   * score gain that is not counted by any smaller subset). Main effect options
+   * that fall into the same interaction bin share one option, and the MILP
+   * activates it when every feature in the subset uses one of them.
+   * @param {number} curInteractionId The index of the interaction feature
+   * @param {object} options Existing options for cont and cat features
+   * @returns {object[]} Options [interBins, scoreGain, 0, mainBins, 0], with
+   *  one entry per feature of this term (null for features not in the
+   *  subset). `mainBins` lists the bin indexes of the main effect options in
+   *  each interaction bin.
+   */
+  generateInterOptions(curInteractionId, options) {
+    const indexes = this.ebm.interactionIndexes[curInteractionId];
+    const names = indexes.map((index) => this.ebm.featureNames[index]);
+    const numDims = indexes.length;
+
+    // Score of this term on the current example
+    const curBins = indexes.map((index, d) =>
+      this.getInterBin(curInteractionId, d, this.ebm.sample[index])
+    );
+    const curScore = this.getInterScore(curInteractionId, curBins);
+
+    // Group the main effect options by their interaction bins
+    const binGroups = names.map((name, d) => {
+      const groups = new Map();
+      options[name].forEach((option) => {
+        const bin = this.getInterBin(curInteractionId, d, option[0]);
+        if (bin < 0) {
           throw Error(
             `Unseen features for interaction term ${curInteractionId}.`
           );
-        } else {
-          newScore = interactionAdditives[bin1][bin2];
         }
+        if (!groups.has(bin)) groups.set(bin, []);
+        groups.get(bin).push(option[3]);
+      });
+      return [...groups.entries()];
+    });
 
-        let scoreGain = newScore - curFeatureScore;
+    const countBits = (mask) => {
+      let count = 0;
+      for (let m = mask; m > 0; m &= m - 1) count++;
+      return count;
+    };
 
-        // The score gain on the interaction term need to offset the interaction
-        // score gain we have already counted on the main effect options. That
-        // score is saved in the option tuple.
+    let interOptions = [];
 
-        // We first need to find the common interaction id
-        let commonIndex = [-1, -1];
+    // Iterate through all subsets (bit masks) of two or more features
+    for (let mask = 1; mask < 1 << numDims; mask++) {
+      const subsetSize = countBits(mask);
+      if (subsetSize < 2) {
+        continue;
+      }
 
-        for (let m = 0; m < opt1[4].length; m++) {
-          for (let n = 0; n < opt2[4].length; n++) {
-            if (opt1[4][m][0] === opt2[4][n][0]) {
-              commonIndex = [m, n];
-              break;
-            }
-          }
-          if (commonIndex[0] !== -1 && commonIndex[1] !== -1) {
-            break;
+      const positions = [];
+      for (let d = 0; d < numDims; d++) {
+        if (mask & (1 << d)) positions.push(d);
+      }
+
+      // Iterate through all combinations of the bin groups of these features
+      const choices = new Array(numDims).fill(-1);
+
+      const visit = (p) => {
+        if (p < positions.length) {
+          binGroups[positions[p]].forEach((_, g) => {
+            choices[positions[p]] = g;
+            visit(p + 1);
+          });
+          return;
+        }
+
+        // Inclusion–exclusion over all non-empty subsets of this subset
+        let scoreGain = 0;
+        for (let sub = mask; sub > 0; sub = (sub - 1) & mask) {
+          const bins = curBins.slice();
+          for (const d of positions) {
+            if (sub & (1 << d)) bins[d] = binGroups[d][choices[d]][0];
           }
+          const sign = (subsetSize - countBits(sub)) % 2 === 0 ? 1 : -1;
+          scoreGain +=
+            sign * (this.getInterScore(curInteractionId, bins) - curScore);
         }
 
-        scoreGain -= opt1[4][commonIndex[0]][1];
-        scoreGain -= opt2[4][commonIndex[1]][1];
+        // Options that do not change the score do not affect the MILP
+        if (Math.abs(scoreGain) < 1e-12) {
+          return;
+        }
 
-        interOptions.push([
-          [opt1[0], opt2[0]],
-          scoreGain,
-          0.0,
-          [opt1[3], opt2[3]],
-          0.0
-        ]);
-      });
-    });
+        const interBins = new Array(numDims).fill(null);
+        const mainBins = new Array(numDims).fill(null);
+        for (const d of positions) {
+          [interBins[d], mainBins[d]] = binGroups[d][choices[d]];
+        }
+
+        interOptions.push([interBins, scoreGain, 0.0, mainBins, 0.0]);
+      };
+
+      visit(0);
+    }
 
     return interOptions;
   }
@@ -3266,6 +3816,9 @@ class GAMCoach {
    * @param {object} options All possible options
    * @param {object[]} solutions Generated solutions
    * @param {boolean} isSuccessful If we can generate all requested CFs
+   * @returns {object} {data, distances, targetRanges, scoreGains,
+   *  isSuccessful, activeVariables, isOptimal}, where `isOptimal[i]` is false
+   *  if the time limit stopped the solver before it proved the i-th CF optimal
    */
   convertCfToData(options, solutions, isSuccessful) {
     let data = [];
@@ -3347,7 +3900,8 @@ class GAMCoach {
       targetRanges,
       scoreGains,
       isSuccessful,
-      activeVariables
+      activeVariables,
+      isOptimal: solutions.map((sol) => sol[2])
     };
   }
 
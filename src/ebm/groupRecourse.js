@@ -0,0 +1,478 @@
+/**
+ * Group recourse: one plan (a set of feature changes) shared by a cohort of
+ * samples, formulated as an MILP over the same kind of variables as the
+ * single-sample GAMCoach MILP.
+ *
+ * A candidate sets a feature to one target value for every sample. Its
+ * variable is named `{feature name}:{bin id}` and at most one candidate of a
+ * feature is active. The score gain of a sample is exact: each candidate
+ * carries the sample's gain when only that feature changes, and each
+ * interaction term adds a product variable (linearized as in the
+ * single-sample MILP) that corrects the gain when several of its features
+ * change together.
+ *
+ * The binary variable `covered:{sample index}` can only be 1 if the sample's
+ * score after the plan is in the target score range.
+ *
+ * License: MIT
+ */
+
+import { isMissing, searchSortedLowerIndex } from './ebm.js';
+
+export const groupObjectives = ['coverage', 'cost'];
+
+/**
+ * Get the candidate target values of a continuous feature, one per bin. The
+ * target is the bin edge closest to the cohort's median value, so most samples
+ * move the least to reach the bin.
+ * @param {number[]} binStarts Bin starts of the feature
+ * @param {number[]} values Current values of the cohort
+ * @param {boolean} needToBeInt True if the feature needs integer values
+ * @returns {object[]} [{target, binIndex}]
+ */
+const getContTargets = (binStarts, values, needToBeInt) => {
+  const known = values.filter((d) => !isMissing(d)).sort((a, b) => a - b);
+  const median = known.length > 0 ? known[Math.floor(known.length / 2)] : null;
+
+  const targets = [];
+  for (let i = 0; i < binStarts.length; i++) {
+    const binEnd = i + 1 < binStarts.length ? binStarts[i + 1] : Infinity;
+    let target;
+
+    if (median !== null && binEnd <= median) {
+      // Bins on the left of the median: the right end of the bin
+      if (needToBeInt) {
+        target = Math.floor(binEnd);
+        if (target === binEnd) {
+          target -= 1;
+        }
+        if (target < binStarts[i]) {
+          continue;
+        }
+      } else {
+        target = binEnd - 1e-4;
+      }
+    } else {
+      // Other bins: the left end of the bin
+      target = needToBeInt ? Math.ceil(binStarts[i]) : binStarts[i];
+      if (target >= binEnd) {
+        continue;
+      }
+    }
+
+    targets.push({ target, binIndex: i });
+  }
+  return targets;
+};
+
+/**
+ * Generate the candidates of every feature that can change, with their score
+ * gain and distance on each sample. Candidates that bring no sample closer to
+ * the target range are skipped, and so are candidates that a cheaper
+ * candidate of the same feature beats (or matches) on every sample.
+ * @param {object} config
+ * @param {EBM} config.ebm
+ * @param {object[][]} config.samples The cohort
+ * @param {number[]} config.scores Current raw score of each sample
+ * @param {number[]} config.scoreRange Target raw score range [low, high]
+ * @param {string[]} config.featuresToVary
+ * @param {object} config.featureRanges Allowed range of each feature
+ * @param {string[]} config.continuousIntegerFeatures
+ * @param {Map<string, function>} config.distanceMetrics
+ * @param {number} config.missingDistance Distance of filling in a missing value
+ * @param {object} config.featureWeightMultipliers Distance multiplier of each
+ *  feature
+ * @param {number} config.epsilon Similarity threshold of score gains
+ * @returns {object} {feature name: [{name, target, binIndex, gains, distances,
+ *  distance}]}, where `gains` and `distances` have one value per sample and
+ *  `distance` is their total distance
+ */
+export const getGroupCandidates = ({
+  ebm,
+  samples,
+  scores,
+  scoreRange,
+  featuresToVary,
+  featureRanges,
+  continuousIntegerFeatures,
+  distanceMetrics,
+  missingDistance,
+  featureWeightMultipliers,
+  epsilon
+}) => {
+  const candidates = {};
+
+  // The direction in which each score should move: up, down, or nowhere if it
+  // is already in a target range with two bounds
+  const isInRange = scores.map(
+    (score) => score >= scoreRange[0] && score <= scoreRange[1]
+  );
+  const directions = scores.map((score, s) => {
+    if (score < scoreRange[0] || (isInRange[s] && scoreRange[1] === Infinity)) {
+      return 1;
+    }
+    if (
+      score > scoreRange[1] ||
+      (isInRange[s] && scoreRange[0] === -Infinity)
+    ) {
+      return -1;
+    }
+    return 0;
+  });
+
+  featuresToVary.forEach((name) => {
+    const featureIndex = ebm.featureNames.indexOf(name);
+    const type = ebm.featureTypes[featureIndex];
+    const values = samples.map((sample) => sample[featureIndex]);
+    const range = featureRanges[name] ?? null;
+
+    let targets;
+    if (type === 'continuous') {
+      targets = getContTargets(
+        ebm.binEdges[featureIndex],
+        values,
+        continuousIntegerFeatures.includes(name)
+      ).filter(
+        ({ target }) =>
+          range === null || (target >= range[0] && target <= range[1])
+      );
+    } else {
+      targets = ebm.binEdges[featureIndex]
+        .map((level, i) => ({
+          target: ebm.labelDecoder[name][level],
+          binIndex: i
+        }))
+        .filter(({ target }) => range === null || range.includes(target));
+    }
+    if (targets.length === 0) {
+      candidates[name] = [];
+      return;
+    }
+
+    // Score every sample with every target in one batch
+    const batch = targets.flatMap(({ target }) =>
+      samples.map((sample) => {
+        const newSample = sample.slice();
+        newSample[featureIndex] = target;
+        return newSample;
+      })
+    );
+    const newScores = ebm.predict(batch, true);
+
+    const distanceMetric = distanceMetrics.get(name);
+    const multiplier = featureWeightMultipliers[name] ?? 1;
+
+    const featureCandidates = targets.map(({ target, binIndex }, t) => {
+      const gains = scores.map(
+        (score, s) => newScores[t * samples.length + s] - score
+      );
+      const distances = values.map((value) => {
+        if (isMissing(value)) {
+          return missingDistance * multiplier;
+        }
+        return value === target
+          ? 0
+          : distanceMetric(value, target) * multiplier;
+      });
+      return {
+        name: `${name}:${binIndex}`,
+        target,
+        binIndex,
+        gains,
+        distances,
+        distance: distances.reduce((a, b) => a + b, 0)
+      };
+    });
+
+    // Keep the candidates that help at least one sample, from the cheapest
+    const isHelpful = (candidate) =>
+      candidate.gains.some(
+        (gain, s) => !isInRange[s] && directions[s] * gain > epsilon
+      );
+    const isAsGood = (gain, otherGain, s) =>
+      directions[s] === 0
+        ? Math.abs(gain - otherGain) < epsilon
+        : directions[s] * (gain - otherGain) > -epsilon;
+
+    const kept = [];
+    featureCandidates
+      .filter(isHelpful)
+      .sort((a, b) => a.distance - b.distance)
+      .forEach((candidate) => {
+        const isDominated = kept.some((d) =>
+          d.gains.every((gain, s) => isAsGood(gain, candidate.gains[s], s))
+        );
+        if (!isDominated) {
+          kept.push(candidate);
+        }
+      });
+
+    candidates[name] = kept;
+  });
+
+  return candidates;
+};
+
+/**
+ * Find the bin of a value along one dimension of an interaction term.
+ * @param {EBM} ebm
+ * @param {number} interactionIndex
+ * @param {number} d Dimension of the term
+ * @param {object} value Raw feature value
+ * @returns {number} Bin index, -1 for missing values and unseen levels
+ */
+const getInteractionBin = (ebm, interactionIndex, d, value) => {
+  const featureIndex = ebm.interactionIndexes[interactionIndex][d];
+  const binEdges = ebm.interactionBinEdges[interactionIndex][d];
+  const encoded = ebm.encodeValue(featureIndex, value);
+
+  if (isMissing(encoded)) {
+    return -1;
+  }
+  return ebm.featureTypes[featureIndex] === 'continuous'
+    ? searchSortedLowerIndex(binEdges, encoded)
+    : binEdges.indexOf(encoded);
+};
+
+/**
+ * Generate the product variables that correct the score gains when several
+ * features of an interaction term change together. For the features `D` of a
+ * product and their new bins, the correction on a sample is the inclusion
+ * exclusion sum over the subsets `T` of `D`: (-1)^(|D| - |T|) times the term's
+ * score with the features in `T` in their new bins and the other features at
+ * the sample's values. Products whose corrections are all below `epsilon` are
+ * skipped.
+ * @param {EBM} ebm
+ * @param {object[][]} samples The cohort
+ * @param {object} candidates Candidates from `getGroupCandidates()`
+ * @param {number} epsilon Similarity threshold of score gains
+ * @returns {object[]} [{name, groups, gains}], where `groups` lists the
+ *  candidate variables of each changed feature (the product is 1 if one
+ *  variable in every group is active), and `gains` has one value per sample
+ */
+export const getGroupInteractions = (ebm, samples, candidates, epsilon) => {
+  const products = [];
+
+  ebm.interactionIndexes.forEach((featureIndexes, j) => {
+    const termName = ebm.interactionNames[j];
+    const lookUp = (bins) =>
+      bins.some((b) => b < 0)
+        ? 0
+        : bins.reduce((a, b) => a[b], ebm.interactionScores[j]);
+
+    // Current bins of each sample
+    const curBins = samples.map((sample) =>
+      featureIndexes.map((featureIndex, d) =>
+        getInteractionBin(ebm, j, d, sample[featureIndex])
+      )
+    );
+
+    // Candidate variables of each dimension, grouped by their bin in the term
+    const binGroups = featureIndexes.map((featureIndex, d) => {
+      const groups = new Map();
+      (candidates[ebm.featureNames[featureIndex]] ?? []).forEach((c) => {
+        const bin = getInteractionBin(ebm, j, d, c.target);
+        if (!groups.has(bin)) {
+          groups.set(bin, []);
+        }
+        groups.get(bin).push(c.name);
+      });
+      return groups;
+    });
+
+    const dims = binGroups
+      .map((groups, d) => d)
+      .filter((d) => binGroups[d].size > 0);
+
+    // Every subset of at least two changing dimensions
+    for (let mask = 1; mask < 1 << dims.length; mask++) {
+      const subset = dims.filter((d, k) => mask & (1 << k));
+      if (subset.length < 2) {
+        continue;
+      }
+
+      // Every combination of new bins of the subset
+      const visit = (k, newBins) => {
+        if (k < subset.length) {
+          binGroups[subset[k]].forEach((group, bin) => {
+            visit(k + 1, [...newBins, bin]);
+          });
+          return;
+        }
+
+        const gains = curBins.map((bins) => {
+          let correction = 0;
+          for (let tMask = 0; tMask < 1 << subset.length; tMask++) {
+            const binsT = bins.slice();
+            let size = 0;
+            subset.forEach((d, i) => {
+              if (tMask & (1 << i)) {
+                binsT[d] = newBins[i];
+                size++;
+              }
+            });
+            const sign = (subset.length - size) % 2 === 0 ? 1 : -1;
+            correction += sign * lookUp(binsT);
+          }
+          return correction;
+        });
+
+        if (gains.every((gain) => Math.abs(gain) < epsilon)) {
+          return;
+        }
+
+        const binNames = featureIndexes.map((f, d) => {
+          const i = subset.indexOf(d);
+          return i < 0 ? '*' : newBins[i];
+        });
+        products.push({
+          name: `${termName}:${binNames.join(',')}`,
+          groups: subset.map((d, i) => binGroups[d].get(newBins[i])),
+          gains
+        });
+      };
+      visit(0, []);
+    }
+  });
+
+  return products;
+};
+
+/**
+ * Create the MILP model of a group plan through the JSON format of the GLPK
+ * solver. It minimizes the total distance over the cohort, and the
+ * `coverage-cons` row asks for at least `minCoverage` covered samples.
+ * @param {object} problem {candidates, products, scores, scoreRange}
+ * @param {object} glpk GLPK instance for the constants
+ * @param {number | null} maxNumFeaturesToVary
+ * @param {number} minCoverage
+ * @returns {object} The model
+ */
+export const createGroupModel = (
+  problem,
+  glpk,
+  maxNumFeaturesToVary,
+  minCoverage
+) => {
+  const { candidates, products, scores, scoreRange } = problem;
+  const model = {
+    name: 'ebmGroupCounterfactual',
+    subjectTo: [],
+    binaries: [],
+    bounds: []
+  };
+  const objective = { direction: glpk.GLP_MIN, name: 'obj', vars: [] };
+  const allCandidates = Object.values(candidates).flat();
+
+  // At most one candidate per feature
+  Object.entries(candidates).forEach(([name, featureCandidates]) => {
+    if (featureCandidates.length === 0) {
+      return;
+    }
+    model.subjectTo.push({
+      name: `bound-cons-${name}`,
+      vars: featureCandidates.map((c) => ({ name: c.name, coef: 1.0 })),
+      bnds: { type: glpk.GLP_UP, ub: 1.0 }
+    });
+    featureCandidates.forEach((c) => {
+      model.binaries.push(c.name);
+      objective.vars.push({ name: c.name, coef: c.distance });
+    });
+  });
+
+  if (maxNumFeaturesToVary !== null) {
+    model.subjectTo.push({
+      name: 'max-num-cons',
+      vars: allCandidates.map((c) => ({ name: c.name, coef: 1.0 })),
+      bnds: { type: glpk.GLP_UP, ub: maxNumFeaturesToVary }
+    });
+  }
+
+  // z = the product of the group indicators, linearized as in the
+  // single-sample MILP
+  products.forEach((product) => {
+    product.groups.forEach((group, k) => {
+      model.subjectTo.push({
+        name: `${product.name}-${k + 1}`,
+        vars: [
+          { name: product.name, coef: 1.0 },
+          ...group.map((xName) => ({ name: xName, coef: -1.0 }))
+        ],
+        bnds: { type: glpk.GLP_UP, ub: 0.0 }
+      });
+    });
+    model.subjectTo.push({
+      name: `${product.name}-${product.groups.length + 1}`,
+      vars: [
+        ...product.groups.flat().map((xName) => ({ name: xName, coef: 1.0 })),
+        { name: product.name, coef: -1.0 }
+      ],
+      bnds: { type: glpk.GLP_UP, ub: product.groups.length - 1 }
+    });
+    model.bounds.push({
+      name: product.name,
+      type: glpk.GLP_DB,
+      lb: 0.0,
+      ub: 1.0
+    });
+  });
+
+  // A sample is covered only if its score gain g reaches the target range.
+  // With the bounds gMin <= g <= gMax, the big-M rows are
+  // g - (low - gMin) * covered >= gMin and g + (gMax - high) * covered <= gMax
+  const coveredVars = [];
+  scores.forEach((score, s) => {
+    const coveredName = `covered:${s}`;
+    const gainVars = [
+      ...allCandidates.map((c) => ({ name: c.name, coef: c.gains[s] })),
+      ...products.map((p) => ({ name: p.name, coef: p.gains[s] }))
+    ];
+
+    // Only the features that the plan can change at once add up
+    const featureMins = [];
+    const featureMaxs = [];
+    Object.values(candidates).forEach((featureCandidates) => {
+      const gains = featureCandidates.map((c) => c.gains[s]);
+      featureMins.push(Math.min(0, ...gains));
+      featureMaxs.push(Math.max(0, ...gains));
+    });
+    featureMins.sort((a, b) => a - b);
+    featureMaxs.sort((a, b) => b - a);
+    const numFeatures = maxNumFeaturesToVary ?? featureMins.length;
+    let gainMin = featureMins.slice(0, numFeatures).reduce((a, b) => a + b, 0);
+    let gainMax = featureMaxs.slice(0, numFeatures).reduce((a, b) => a + b, 0);
+    products.forEach((p) => {
+      gainMin += Math.min(0, p.gains[s]);
+      gainMax += Math.max(0, p.gains[s]);
+    });
+
+    const low = scoreRange[0] - score;
+    const high = scoreRange[1] - score;
+    if (low > gainMin) {
+      model.subjectTo.push({
+        name: `cover-low-${s}`,
+        vars: [...gainVars, { name: coveredName, coef: -(low - gainMin) }],
+        bnds: { type: glpk.GLP_LO, lb: gainMin }
+      });
+    }
+    if (high < gainMax) {
+      model.subjectTo.push({
+        name: `cover-high-${s}`,
+        vars: [...gainVars, { name: coveredName, coef: gainMax - high }],
+        bnds: { type: glpk.GLP_UP, ub: gainMax }
+      });
+    }
+
+    model.binaries.push(coveredName);
+    coveredVars.push({ name: coveredName, coef: 1.0 });
+  });
+
+  model.subjectTo.push({
+    name: 'coverage-cons',
+    vars: coveredVars,
+    bnds: { type: glpk.GLP_LO, lb: minCoverage }
+  });
+  model.objective = objective;
+
+  return model;
+};
@@ -0,0 +1,180 @@
+/**
+ * Find out why GAMCoach cannot find any plan: list the constraints of a
+ * `generateCfs()` config that can be relaxed, and narrow them down to a
+ * minimal set of conflicting constraints with a deletion filter.
+ *
+ * A relaxable constraint is {type, feature, index, value}:
+ * - `lock`: `feature` is not in `featuresToVary`
+ * - `range`: `feature` has to stay in `featureRanges[feature]` (`value`)
+ * - `maxNumFeaturesToVary`: plans can change at most `value` features
+ * - `target`: the target probability `value` of a classifier (relaxed to the
+ *   decision threshold), or the far bound `value` of a regression target range
+ *   at `index` (relaxed to an open range)
+ * - `crossConstraint`: the cross-feature constraint at `index` (`value`)
+ * - `pin`: `feature` is pinned to `value` in `pinnedValues`
+ *
+ * License: MIT
+ */
+
+/**
+ * List the constraints of a config that can be relaxed.
+ * @param {object} config `generateCfs()` config, with the cross-feature
+ *  constraints in use
+ * @param {EBMLocal} ebm EBMLocal on the current example, which can have the
+ *  pinned values applied
+ * @returns {object[]} Relaxable constraints
+ */
+export const getRelaxableConstraints = (config, ebm) => {
+  const candidates = [];
+  const mainFeatureNames = ebm.featureNames.filter(
+    (d, i) => ebm.featureTypes[i] !== 'interaction'
+  );
+
+  if (config.featuresToVary !== null && config.featuresToVary !== undefined) {
+    mainFeatureNames
+      .filter((name) => !config.featuresToVary.includes(name))
+      .forEach((name) => candidates.push({ type: 'lock', feature: name }));
+  }
+
+  Object.entries(config.featureRanges ?? {}).forEach(([name, range]) => {
+    candidates.push({ type: 'range', feature: name, value: range });
+  });
+
+  if (
+    config.maxNumFeaturesToVary !== null &&
+    config.maxNumFeaturesToVary !== undefined
+  ) {
+    candidates.push({
+      type: 'maxNumFeaturesToVary',
+      value: config.maxNumFeaturesToVary
+    });
+  }
+
+  // The target itself is not relaxable, only its margin or its far bound
+  if (ebm.isClassifier) {
+    if (config.targetProb !== null && config.targetProb !== undefined) {
+      candidates.push({ type: 'target', value: config.targetProb });
+    }
+  } else if (config.targetRange) {
+    // The plans move away from the prediction before the pins
+    const originalScore = ebm.predict([ebm.originalSample], true)[0];
+    const isIncreasing =
+      originalScore < ebm.responseToScore(config.targetRange[0]);
+    const index = isIncreasing ? 1 : 0;
+    if (Number.isFinite(config.targetRange[index])) {
+      candidates.push({
+        type: 'target',
+        index,
+        value: config.targetRange[index]
+      });
+    }
+  }
+
+  config.crossConstraints.forEach((constraint, i) => {
+    candidates.push({ type: 'crossConstraint', index: i, value: constraint });
+  });
+
+  Object.entries(config.pinnedValues ?? {}).forEach(([name, value]) => {
+    candidates.push({ type: 'pin', feature: name, value });
+  });
+
+  return candidates;
+};
+
+/**
+ * Relax some constraints of a config.
+ * @param {object} config `generateCfs()` config, with the cross-feature
+ *  constraints in use
+ * @param {object[]} relaxed Constraints from `getRelaxableConstraints()`
+ * @returns {object} A new config
+ */
+export const relaxConstraints = (config, relaxed) => {
+  const newConfig = { ...config };
+
+  relaxed.forEach((candidate) => {
+    switch (candidate.type) {
+      case 'lock': {
+        newConfig.featuresToVary = [
+          ...newConfig.featuresToVary,
+          candidate.feature
+        ];
+        break;
+      }
+      case 'range': {
+        newConfig.featureRanges = { ...newConfig.featureRanges };
+        delete newConfig.featureRanges[candidate.feature];
+        break;
+      }
+      case 'maxNumFeaturesToVary': {
+        newConfig.maxNumFeaturesToVary = null;
+        break;
+      }
+      case 'target': {
+        if (candidate.index === undefined) {
+          newConfig.targetProb = null;
+        } else {
+          newConfig.targetRange = newConfig.targetRange.slice();
+          newConfig.targetRange[candidate.index] =
+            candidate.index === 0 ? -Infinity : Infinity;
+        }
+        break;
+      }
+      case 'crossConstraint': {
+        break;
+      }
+      case 'pin': {
+        newConfig.pinnedValues = { ...newConfig.pinnedValues };
+        delete newConfig.pinnedValues[candidate.feature];
+        break;
+      }
+      default: {
+        throw Error(`Unknown constraint type ${candidate.type}`);
+      }
+    }
+  });
+
+  // Remove the relaxed cross-feature constraints at once, so the indexes stay
+  // valid
+  const relaxedIndexes = new Set(
+    relaxed.filter((d) => d.type === 'crossConstraint').map((d) => d.index)
+  );
+  newConfig.crossConstraints = config.crossConstraints.filter(
+    (d, i) => !relaxedIndexes.has(i)
+  );
+
+  return newConfig;
+};
+
+/**
+ * Find a minimal set of conflicting constraints with a deletion filter: relax
+ * the constraints one by one, and keep a constraint relaxed if the problem
+ * stays infeasible without it. The problem has to be feasible when every
+ * candidate is relaxed.
+ * @param {object[]} candidates Constraints from `getRelaxableConstraints()`
+ * @param {function} isFeasible async (relaxed) => true if there is a plan when
+ *  the `relaxed` constraints are relaxed, false if there is none, and null if
+ *  it is not known (e.g., the solver ran out of time)
+ * @returns {Promise<object[] | null>} The conflicting constraints. Relaxing
+ *  any one of them solves this conflict, but other constraints can still
+ *  conflict. Null if a check is not known, as the deletion filter would then
+ *  keep the wrong constraints
+ */
+export const findMinimalConflict = async (candidates, isFeasible) => {
+  const relaxed = [];
+  const conflict = [];
+
+  for (const candidate of candidates) {
+    const feasible = await isFeasible([...relaxed, candidate]);
+    if (feasible === null) {
+      return null;
+    }
+
+    if (feasible) {
+      conflict.push(candidate);
+    } else {
+      relaxed.push(candidate);
+    }
+  }
+
+  return conflict;
+};
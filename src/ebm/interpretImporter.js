@@ -0,0 +1,520 @@
+/**
+ * Convert the native JSON export of an InterpretML EBM (`ebm.to_json()`) into
+ * the model format of this app.
+ *
+ * License: MIT
+ */
+
+import { regressionLinks } from './ebm.js';
+import { validateModel } from './modelValidator.js';
+
+// InterpretML feature types and their types in this app
+const featureTypeMap = {
+  continuous: 'continuous',
+  nominal: 'categorical',
+  ordinal: 'categorical'
+};
+
+const defaultConfig = {
+  difficulty: 3,
+  requiresInt: false,
+  requiresIncreasing: false,
+  requiresDecreasing: false,
+  usesTransform: null,
+  acceptableRange: null
+};
+
+/**
+ * Get the cut points of a continuous feature that match a term dimension.
+ * InterpretML can bin a feature differently for main effects and
+ * interactions, so `cuts` is either one list or a list of lists.
+ * @param {object} feature Feature object of the export
+ * @param {number} numBins Size of the term dimension, including the missing
+ *  and unknown bins. If it is null, return the main effect cuts.
+ * @returns {number[]} Cut points
+ */
+const getCuts = (feature, numBins = null) => {
+  const allCuts = Array.isArray(feature.cuts?.[0])
+    ? feature.cuts
+    : [feature.cuts ?? []];
+
+  if (numBins === null) {
+    return allCuts[0];
+  }
+
+  const cuts = allCuts.find((d) => d.length + 3 === numBins);
+
+  if (cuts === undefined) {
+    throw Error(
+      `Feature \`${feature.name}\` has no cuts for a term with ${numBins} bins`
+    );
+  }
+  return cuts;
+};
+
+/**
+ * Get the level names of a categorical feature in bin order. InterpretML
+ * lists them either in an array or in an object from level to bin index
+ * (starting at 1, as 0 is the missing bin).
+ * @param {object} feature Feature object of the export
+ * @returns {string[]} Level names
+ */
+const getCategories = (feature) => {
+  const categories = feature.categories ?? [];
+  if (Array.isArray(categories)) {
+    return categories.map(String);
+  }
+  return Object.entries(categories)
+    .sort((a, b) => a[1] - b[1])
+    .map((d) => String(d[0]));
+};
+
+/**
+ * Get the bin starts and the max edge of a continuous feature. The min and
+ * max come from the feature bounds, the histogram, or are extrapolated from
+ * the cuts.
+ * @param {object} feature Feature object of the export
+ * @param {number[]} cuts Cut points
+ * @returns {number[]} Bin edges, one more than the number of bins
+ */
+const getBinEdges = (feature, cuts) => {
+  const step = cuts.length > 1 ? cuts[1] - cuts[0] : 1;
+  const lastStep =
+    cuts.length > 1 ? cuts[cuts.length - 1] - cuts[cuts.length - 2] : 1;
+
+  let min = feature.min ?? feature.bounds?.[0] ?? feature.histogram_edges?.[0];
+  let max =
+    feature.max ??
+    feature.bounds?.[1] ??
+    feature.histogram_edges?.[feature.histogram_edges.length - 1];
+
+  if (cuts.length === 0) {
+    min = min ?? 0;
+    return [min, max !== undefined && max > min ? max : min + 1];
+  }
+
+  if (min === undefined || min >= cuts[0]) {
+    min = cuts[0] - step;
+  }
+  if (max === undefined || max <= cuts[cuts.length - 1]) {
+    max = cuts[cuts.length - 1] + lastStep;
+  }
+  return [min, ...cuts, max];
+};
+
+/**
+ * Drop the first (missing) and the last (unknown) bin of each dimension of a
+ * score tensor. The scores of a multiclass model have one more dimension that
+ * is kept.
+ * @param {number[]} tensor Nested score array
+ * @param {number} numDims Number of feature dimensions
+ * @returns {number[]} Scores of the known bins
+ */
+const trimBins = (tensor, numDims) => {
+  if (numDims === 0) {
+    return tensor;
+  }
+  return tensor.slice(1, -1).map((d) => trimBins(d, numDims - 1));
+};
+
+/**
+ * Flatten a nested array.
+ * @param {number | number[]} values Nested array
+ * @returns {number[]} Flat array
+ */
+const flatten = (values) =>
+  Array.isArray(values) ? values.flatMap((d) => flatten(d)) : [values];
+
+/**
+ * Compute the weighted median of values.
+ * @param {number[]} values Values
+ * @param {number[]} weights Weight of each value
+ * @returns {number} Weighted median
+ */
+const weightedMedian = (values, weights) => {
+  const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+  const half = weights.reduce((a, b) => a + b, 0) / 2;
+
+  let cumulative = 0;
+  for (const i of order) {
+    cumulative += weights[i];
+    if (cumulative >= half) {
+      return values[i];
+    }
+  }
+  return values[order[order.length - 1]];
+};
+
+/**
+ * Average the absolute scores of each bin over the classes of a multiclass
+ * model, so a term has one score per bin like its bin weights.
+ * @param {number[]} flatScores Flat scores, where the classes of a bin are
+ *  next to each other
+ * @param {number} numClasses Number of classes
+ * @returns {number[]} One score per bin
+ */
+const averageOverClasses = (flatScores, numClasses) => {
+  const binScores = [];
+  for (let b = 0; b < flatScores.length; b += numClasses) {
+    const classScores = flatScores.slice(b, b + numClasses);
+    binScores.push(
+      classScores.reduce((a, c) => a + Math.abs(c), 0) / numClasses
+    );
+  }
+  return binScores;
+};
+
+/**
+ * Check if a score tensor has a nonzero score in one bin of one dimension.
+ * @param {number[]} tensor Nested score array
+ * @param {number} d The dimension to check
+ * @param {number} bin Index of the bin, 0 for the missing bin and -1 for the
+ *  last (unknown) bin
+ * @returns {boolean}
+ */
+const hasBinScore = (tensor, d, bin) => {
+  if (d === 0) {
+    return flatten(tensor.at(bin)).some((value) => value !== 0);
+  }
+  return tensor.some((sub) => hasBinScore(sub, d - 1, bin));
+};
+
+/**
+ * Weighted mean absolute score of a term, the same importance as InterpretML.
+ * @param {number[]} scores Flat scores of the known bins
+ * @param {number[]} weights Flat bin weights. Bins are weighted equally if it
+ *  is null or does not match the scores.
+ * @returns {number} Importance
+ */
+const getImportance = (scores, weights) => {
+  const curWeights =
+    weights !== null && weights.length === scores.length
+      ? weights
+      : scores.map(() => 1);
+  const totalWeight = curWeights.reduce((a, b) => a + b, 0);
+  if (totalWeight === 0) {
+    return 0;
+  }
+  return (
+    scores.reduce((a, b, i) => a + Math.abs(b) * curWeights[i], 0) /
+    totalWeight
+  );
+};
+
+/**
+ * Get the output block of the export. Newer exports have an `outputs` list,
+ * older ones keep the fields at the top level.
+ * @param {object} ebmJson The `ebm` object of the export
+ * @returns {object} {isClassifier, classes, link}
+ */
+const getOutput = (ebmJson) => {
+  const output = ebmJson.outputs?.[0] ?? ebmJson;
+  const classes = output.classes ?? null;
+  const link = output.link ?? (classes !== null ? 'logit' : 'identity');
+  const isClassifier =
+    output.output_type === 'classification' ||
+    (output.output_type === undefined && classes !== null);
+
+  return { isClassifier, classes, link };
+};
+
+/**
+ * Convert an InterpretML EBM JSON export into the model format of this app,
+ * and validate the converted model.
+ * @param {object} exportJson Parsed JSON from InterpretML's `ebm.to_json()`
+ * @param {object} options Optional settings: `regressionName` (the name of
+ *  the target of a regressor), `contMads` and `catDistances` (to replace the
+ *  distances estimated from the bin weights)
+ * @returns {object} {model, report}, where `report` comes from
+ *  `validateModel()` with `forCoach`
+ */
+export const importInterpretModel = (exportJson, options = {}) => {
+  const ebmJson = exportJson.ebm ?? exportJson;
+
+  if (!Array.isArray(ebmJson.features) || !Array.isArray(ebmJson.terms)) {
+    throw Error('The export has no `features` or `terms` list');
+  }
+
+  // Step 1: Model output
+  const { isClassifier, classes, link } = getOutput(ebmJson);
+  const supportedLinks = isClassifier
+    ? ['logit']
+    : Object.keys(regressionLinks);
+  if (!supportedLinks.includes(link)) {
+    throw Error(`Link function \`${link}\` is not supported`);
+  }
+
+  if (isClassifier && !Array.isArray(classes)) {
+    throw Error('The export of a classifier has no `classes` list');
+  }
+
+  const isMulticlass = isClassifier && classes.length > 2;
+  let intercept = ebmJson.intercept;
+  if (!isMulticlass && Array.isArray(intercept)) {
+    intercept = intercept[0];
+  }
+
+  const model = {
+    intercept,
+    isClassifier,
+    link,
+    modelInfo: isClassifier
+      ? { classes: classes.map(String) }
+      : { regressionName: options.regressionName ?? 'prediction' },
+    features: [],
+    labelEncoder: {},
+    scoreRange: null,
+    featureNames: [],
+    featureTypes: [],
+    contMads: {},
+    catDistances: {}
+  };
+
+  const exportFeatures = new Map();
+  ebmJson.features.forEach((f) => {
+    const curType = featureTypeMap[f.type];
+    if (curType === undefined) {
+      throw Error(
+        `Feature \`${f.name}\` has an unsupported type \`${f.type}\``
+      );
+    }
+    exportFeatures.set(f.name, f);
+    model.featureNames.push(f.name);
+    model.featureTypes.push(curType);
+  });
+
+  // Step 2: Main effects (features without a term get zero scores)
+  const mainTerms = new Map();
+  const interactionTerms = [];
+  ebmJson.terms.forEach((term) => {
+    const names = term.term_features;
+    names.forEach((name) => {
+      if (!exportFeatures.has(name)) {
+        throw Error(`Term uses an unknown feature \`${name}\``);
+      }
+    });
+
+    if (names.length === 1) {
+      mainTerms.set(names[0], term);
+    } else {
+      interactionTerms.push(term);
+    }
+  });
+
+  const getZeroScore = () => (isMulticlass ? classes.map(() => 0) : 0);
+  const allScores = [];
+
+  model.featureNames.forEach((name, i) => {
+    const f = exportFeatures.get(name);
+    const term = mainTerms.get(name) ?? null;
+    const isCont = model.featureTypes[i] === 'continuous';
+
+    // Number of known bins
+    let numBins = 0;
+    let edges = null;
+    let categories = null;
+    if (isCont) {
+      const cuts = getCuts(f, term === null ? null : term.scores.length);
+      edges = getBinEdges(f, cuts);
+      numBins = edges.length - 1;
+    } else {
+      categories = getCategories(f);
+      numBins = categories.length;
+    }
+
+    const scores =
+      term?.scores ?? Array.from({ length: numBins + 2 }, getZeroScore);
+    const errors =
+      term?.standard_deviations ?? scores.map(() => getZeroScore());
+    const weights =
+      term?.bin_weights?.slice(1, -1) ?? new Array(numBins).fill(1);
+
+    if (scores.length !== numBins + 2) {
+      throw Error(
+        `Term \`${name}\` has ${scores.length} scores, expected ${numBins + 2}`
+      );
+    }
+
+    const additive = scores.slice(1, -1);
+    allScores.push(...flatten(additive));
+
+    // Average the absolute scores over classes for multiclass models
+    const binScores = isMulticlass
+      ? averageOverClasses(flatten(additive), classes.length)
+      : additive;
+
+    const feature = {
+      importance: getImportance(binScores, weights),
+      name,
+      type: model.featureTypes[i],
+      additive,
+      error: errors.slice(1, -1),
+      missingAdditive: scores[0],
+      missingError: errors[0],
+      id: [i],
+      count: weights
+    };
+
+    // Levels that InterpretML has not seen use the unknown (last) bin
+    if (!isCont) {
+      feature.unknownAdditive = scores[scores.length - 1];
+      feature.unknownError = errors[errors.length - 1];
+    }
+
+    if (isCont) {
+      feature.binEdge = edges;
+
+      // MAD of the bin midpoints, weighted by the bin weights
+      const midpoints = edges
+        .slice(0, -1)
+        .map((d, b) => (d + edges[b + 1]) / 2);
+      const median = weightedMedian(midpoints, weights);
+      model.contMads[name] =
+        options.contMads?.[name] ??
+        weightedMedian(
+          midpoints.map((d) => Math.abs(d - median)),
+          weights
+        );
+    } else {
+      feature.binLabel = categories.map((_, b) => b);
+      model.labelEncoder[name] = {};
+      categories.forEach((level, b) => {
+        model.labelEncoder[name][b] = level;
+      });
+
+      // Rare levels are more costly to switch to
+      const totalWeight = weights.reduce((a, b) => a + b, 0);
+      model.catDistances[name] = options.catDistances?.[name] ?? {};
+      if (options.catDistances?.[name] === undefined) {
+        categories.forEach((level, b) => {
+          model.catDistances[name][level] =
+            totalWeight > 0 ? 1 - weights[b] / totalWeight : 1;
+        });
+      }
+    }
+
+    // Histogram for the density plots, as a density value at each edge
+    let histEdges = categories?.map((_, b) => b);
+    if (isCont) {
+      histEdges = f.histogram_edges ?? edges;
+    }
+    const histWeights = f.histogram_weights ?? f.histogram_counts ?? weights;
+    const totalHist = histWeights.reduce((a, b) => a + b, 0) || 1;
+    feature.histEdge = histEdges.slice();
+    feature.histCount = histEdges.map((d, b) => {
+      const k = Math.min(b, histWeights.length - 1);
+      const width =
+        isCont && histEdges.length > 1
+          ? histEdges[Math.min(k + 1, histEdges.length - 1)] - histEdges[k]
+          : 1;
+      return histWeights[k] / totalHist / (width > 0 ? width : 1);
+    });
+
+    feature.description = { displayName: name, description: '' };
+    if (!isCont) {
+      feature.description.levelDescription = {};
+      categories.forEach((level, b) => {
+        feature.description.levelDescription[b] = {
+          displayName: level,
+          description: ''
+        };
+      });
+    }
+    feature.config = { ...defaultConfig };
+
+    model.features.push(feature);
+  });
+
+  // Step 3: Interaction effects
+  interactionTerms.forEach((term) => {
+    const names = term.term_features;
+    const featureIndexes = names.map((name) =>
+      model.featureNames.indexOf(name)
+    );
+    const types = featureIndexes.map((i) => model.featureTypes[i]);
+
+    // The size of each dimension tells which binning the term uses
+    const shape = [];
+    let level = term.scores;
+    names.forEach(() => {
+      shape.push(level.length);
+      level = level[0];
+    });
+
+    // Interactions score missing values and unseen levels as 0 in this app
+    names.forEach((name, d) => {
+      if (hasBinScore(term.scores, d, 0)) {
+        throw Error(
+          `Interaction \`${names.join(' x ')}\` scores missing values of ` +
+            `\`${name}\`, which is not supported`
+        );
+      }
+      if (types[d] === 'categorical' && hasBinScore(term.scores, d, -1)) {
+        throw Error(
+          `Interaction \`${names.join(' x ')}\` scores unseen levels of ` +
+            `\`${name}\`, which is not supported`
+        );
+      }
+    });
+
+    const binLabels = names.map((name, d) => {
+      const f = exportFeatures.get(name);
+      if (types[d] === 'continuous') {
+        return getBinEdges(f, getCuts(f, shape[d]));
+      }
+      return getCategories(f).map((_, b) => b);
+    });
+
+    const additive = trimBins(term.scores, names.length);
+    const error =
+      term.standard_deviations !== undefined
+        ? trimBins(term.standard_deviations, names.length)
+        : undefined;
+    const weights =
+      term.bin_weights !== undefined
+        ? flatten(trimBins(term.bin_weights, names.length))
+        : null;
+    const flatScores = flatten(additive);
+    allScores.push(...flatScores);
+
+    const feature = {
+      importance: getImportance(
+        isMulticlass
+          ? averageOverClasses(flatScores, classes.length)
+          : flatScores,
+        weights
+      ),
+      type: 'interaction',
+      id: featureIndexes,
+      name: names.join(' x ')
+    };
+
+    // Pairs use the same keys as the existing models
+    if (names.length === 2) {
+      feature.name1 = names[0];
+      feature.name2 = names[1];
+      feature.type1 = types[0];
+      feature.type2 = types[1];
+      feature.binLabel1 = binLabels[0];
+      feature.binLabel2 = binLabels[1];
+    } else {
+      feature.names = names;
+      feature.types = types;
+      feature.binLabels = binLabels;
+    }
+
+    feature.additive = additive;
+    if (error !== undefined) {
+      feature.error = error;
+    }
+
+    model.features.push(feature);
+  });
+
+  model.scoreRange =
+    allScores.length > 0
+      ? [Math.min(...allScores), Math.max(...allScores)]
+      : [0, 0];
+
+  return { model, report: validateModel(model, { forCoach: true }) };
+};
@@ -0,0 +1,539 @@
+/**
+ * Compare two EBM models: shape functions, bins, importance, configs,
+ * interactions, and the intercept.
+ *
+ * License: MIT
+ */
+
+import { EBM, getInteractionNames } from './ebm.js';
+
+/**
+ * Flatten a score (a number, or an array for multiclass models).
+ * @param {number | number[]} score
+ * @returns {number[]}
+ */
+const toArray = (score) => (Array.isArray(score) ? score : [score]);
+
+/**
+ * Check if two JSON values are equal.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+const isEqualJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Get the points to evaluate a shape function dimension at: the bin starts of
+ * both models for continuous features, and the levels of both models for
+ * categorical features.
+ * @param {object[]} dims [{ebm, featureIndex, binEdges}] of the old and new
+ *  model
+ * @param {boolean} isCont True if the feature is continuous
+ * @returns {object[]} Sorted points
+ */
+const getGridPoints = (dims, isCont) => {
+  const points = new Set();
+  dims.forEach(({ ebm, featureIndex, binEdges }) => {
+    const levelDecoder = ebm.labelDecoder[ebm.featureNames[featureIndex]];
+    binEdges.forEach((edge) =>
+      points.add(isCont ? edge : String(levelDecoder[edge]))
+    );
+  });
+
+  const sorted = [...points];
+  return isCont ? sorted.sort((a, b) => a - b) : sorted.sort();
+};
+
+/**
+ * Compare the bins of a dimension.
+ * @param {object[]} dims [{ebm, featureIndex, binEdges}] of the old and new
+ *  model
+ * @param {boolean} isCont True if the feature is continuous
+ * @returns {object} {isChanged, added, removed}: the bin starts (continuous)
+ *  or levels (categorical) that only the new or the old model has
+ */
+const diffBins = (dims, isCont) => {
+  const [oldPoints, newPoints] = dims.map((dim) =>
+    getGridPoints([dim], isCont)
+  );
+  const added = newPoints.filter((d) => !oldPoints.includes(d));
+  const removed = oldPoints.filter((d) => !newPoints.includes(d));
+  return { isChanged: added.length + removed.length > 0, added, removed };
+};
+
+/**
+ * Summarize the score differences on a grid.
+ * @param {number[][]} oldScores Old scores at each point (one array per point)
+ * @param {number[][]} newScores New scores at each point
+ * @returns {object} {maxAdditiveDelta, meanAdditiveDelta} of the absolute
+ *  differences over all points (and classes)
+ */
+const summarizeDeltas = (oldScores, newScores) => {
+  const deltas = oldScores.flatMap((scores, i) =>
+    scores.map((d, c) => Math.abs(newScores[i][c] - d))
+  );
+  return {
+    maxAdditiveDelta: deltas.length > 0 ? Math.max(...deltas) : 0,
+    meanAdditiveDelta:
+      deltas.length > 0 ? deltas.reduce((a, b) => a + b, 0) / deltas.length : 0
+  };
+};
+
+/**
+ * Compare a number field that both models may have.
+ * @param {number | undefined} oldValue
+ * @param {number | undefined} newValue
+ * @returns {object | null} {old, new, delta}, or null if it did not change
+ */
+const diffNumber = (oldValue, newValue) => {
+  if (oldValue === newValue) {
+    return null;
+  }
+  const delta =
+    typeof oldValue === 'number' && typeof newValue === 'number'
+      ? newValue - oldValue
+      : null;
+  return { old: oldValue ?? null, new: newValue ?? null, delta };
+};
+
+/**
+ * Compare the config (difficulty and constraints) of a feature.
+ * @param {object} oldConfig
+ * @param {object} newConfig
+ * @returns {object[]} [{key, old, new}] for each changed key
+ */
+const diffConfig = (oldConfig = {}, newConfig = {}) => {
+  const keys = new Set([...Object.keys(oldConfig), ...Object.keys(newConfig)]);
+  return [...keys]
+    .filter((key) => !isEqualJSON(oldConfig[key], newConfig[key]))
+    .map((key) => ({
+      key,
+      old: oldConfig[key] ?? null,
+      new: newConfig[key] ?? null
+    }));
+};
+
+/**
+ * Compare the main effect of a feature that both models have.
+ * @param {EBM[]} ebms The old and new EBM
+ * @param {string} name Feature name
+ * @returns {object} Differences of the shape function, see `diffModels()`
+ */
+const diffMainEffect = (ebms, name) => {
+  const indexes = ebms.map((ebm) => ebm.featureNames.indexOf(name));
+  const isCont = ebms[0].featureTypes[indexes[0]] === 'continuous';
+  const dims = ebms.map((ebm, m) => ({
+    ebm,
+    featureIndex: indexes[m],
+    binEdges: ebm.binEdges[indexes[m]]
+  }));
+
+  // Evaluate both shape functions on the union of their bins
+  const points = getGridPoints(dims, isCont);
+  const [oldScores, newScores] = ebms.map((ebm, m) =>
+    points.map((value) => {
+      const encoded = ebm.encodeValue(indexes[m], value);
+      // Levels that a model does not have use its unknown bin
+      return toArray(ebm.lookUpMainScore(indexes[m], encoded)[0]);
+    })
+  );
+  const [oldMissing, newMissing] = ebms.map((ebm, m) =>
+    toArray(ebm.missingScores[indexes[m]])
+  );
+
+  return {
+    bins: diffBins(dims, isCont),
+    ...summarizeDeltas(oldScores, newScores),
+    missingDelta: Math.max(
+      ...oldMissing.map((d, c) => Math.abs(newMissing[c] - d))
+    ),
+    curve: { points, oldScores, newScores }
+  };
+};
+
+/**
+ * Compare an interaction term that both models have.
+ * @param {EBM[]} ebms The old and new EBM
+ * @param {number[]} termIndexes Index of the term in each EBM
+ * @returns {object} {bins, maxAdditiveDelta, meanAdditiveDelta}
+ */
+const diffInteraction = (ebms, termIndexes) => {
+  const featureIndexes = ebms.map(
+    (ebm, m) => ebm.interactionIndexes[termIndexes[m]]
+  );
+  const numDims = featureIndexes[0].length;
+
+  const dimDiffs = [];
+  const dimPoints = [];
+  for (let d = 0; d < numDims; d++) {
+    const dims = ebms.map((ebm, m) => ({
+      ebm,
+      featureIndex: featureIndexes[m][d],
+      binEdges: ebm.interactionBinEdges[termIndexes[m]][d]
+    }));
+    const isCont = ebms[0].featureTypes[featureIndexes[0][d]] === 'continuous';
+    dimDiffs.push(diffBins(dims, isCont));
+    dimPoints.push(getGridPoints(dims, isCont));
+  }
+
+  // Evaluate both terms on every cell of the union grid
+  const cells = dimPoints.reduce(
+    (acc, points) => acc.flatMap((cell) => points.map((p) => [...cell, p])),
+    [[]]
+  );
+  const [oldScores, newScores] = ebms.map((ebm, m) =>
+    cells.map((cell) => {
+      const sample = new Array(ebm.featureNames.length).fill(null);
+      cell.forEach((value, d) => {
+        sample[featureIndexes[m][d]] = value;
+      });
+      return toArray(
+        ebm.lookUpInteractionScore(termIndexes[m], ebm.encodeSample(sample))[0]
+      );
+    })
+  );
+
+  return {
+    bins: {
+      isChanged: dimDiffs.some((d) => d.isChanged),
+      dimensions: dimDiffs
+    },
+    ...summarizeDeltas(oldScores, newScores)
+  };
+};
+
+/**
+ * Compare two EBM models. Both models are validated first.
+ * @param {object} oldModel Trained EBM model in JSON format
+ * @param {object} newModel Trained EBM model in JSON format
+ * @returns {object} {linkChange, calibrationChange, thresholdChange,
+ *  crossConstraintsChange, interceptShift, features, interactions}, where
+ *  `linkChange` is null or {old, new} link names, `calibrationChange` is null
+ *  or the {old, new} calibration blocks, `thresholdChange` is null or the
+ *  {old, new} decision thresholds, and `crossConstraintsChange` is null or the
+ *  {old, new} lists of cross-feature constraints. Each feature
+ *  entry has {name, status} with status 'added', 'removed', 'changed', or
+ *  'unchanged'. Features in both models also have {typeChange, bins,
+ *  maxAdditiveDelta, meanAdditiveDelta, missingDelta, importanceChange,
+ *  madChange, configChanges, curve}, where `curve` holds the old and new
+ *  scores on the union of their bins. Interactions have the same structure
+ *  without the config, MAD, missing, and curve fields.
+ */
+export const diffModels = (oldModel, newModel) => {
+  const models = [oldModel, newModel];
+  const ebms = models.map((model) => new EBM(model));
+
+  // Step 1: Link function, calibration, decision threshold, and intercept
+  const [oldLink, newLink] = ebms.map((ebm) => ebm.link);
+  const linkChange =
+    oldLink === newLink ? null : { old: oldLink, new: newLink };
+
+  const [oldCalibration, newCalibration] = ebms.map((ebm) => ebm.calibration);
+  const calibrationChange =
+    JSON.stringify(oldCalibration) === JSON.stringify(newCalibration)
+      ? null
+      : { old: oldCalibration, new: newCalibration };
+
+  const [oldThreshold, newThreshold] = ebms.map((ebm) => ebm.decisionThreshold);
+  const thresholdChange =
+    !(oldModel.isClassifier && newModel.isClassifier) ||
+    oldThreshold === newThreshold
+      ? null
+      : { old: oldThreshold, new: newThreshold };
+
+  const [oldCrossConstraints, newCrossConstraints] = models.map(
+    (model) => model.crossConstraints ?? []
+  );
+  const crossConstraintsChange = isEqualJSON(
+    oldCrossConstraints,
+    newCrossConstraints
+  )
+    ? null
+    : { old: oldCrossConstraints, new: newCrossConstraints };
+
+  const [oldIntercept, newIntercept] = ebms.map((ebm) =>
+    toArray(ebm.intercept)
+  );
+  const interceptShift =
+    oldIntercept.length === newIntercept.length
+      ? newIntercept.map((d, c) => d - oldIntercept[c])
+      : null;
+
+  // Step 2: Main effects
+  const getFeatureMap = (model) =>
+    new Map(
+      model.features
+        .filter((f) => f.type !== 'interaction')
+        .map((f) => [f.name, f])
+    );
+  const [oldFeatures, newFeatures] = models.map(getFeatureMap);
+  const allNames = [
+    ...oldModel.featureNames,
+    ...newModel.featureNames.filter((name) => !oldFeatures.has(name))
+  ];
+
+  const features = allNames.map((name) => {
+    const oldFeature = oldFeatures.get(name);
+    const newFeature = newFeatures.get(name);
+
+    if (oldFeature === undefined) {
+      return { name, status: 'added' };
+    }
+    if (newFeature === undefined) {
+      return { name, status: 'removed' };
+    }
+
+    const entry = {
+      name,
+      typeChange:
+        oldFeature.type === newFeature.type
+          ? null
+          : { old: oldFeature.type, new: newFeature.type },
+      importanceChange: diffNumber(
+        oldFeature.importance,
+        newFeature.importance
+      ),
+      madChange: diffNumber(
+        oldModel.contMads?.[name],
+        newModel.contMads?.[name]
+      ),
+      configChanges: diffConfig(oldFeature.config, newFeature.config)
+    };
+
+    // Shape functions of different types cannot be compared
+    if (entry.typeChange === null) {
+      Object.assign(entry, diffMainEffect(ebms, name));
+    }
+
+    const isChanged =
+      entry.typeChange !== null ||
+      entry.bins.isChanged ||
+      entry.maxAdditiveDelta > 0 ||
+      entry.missingDelta > 0 ||
+      entry.importanceChange !== null ||
+      entry.madChange !== null ||
+      entry.configChanges.length > 0;
+
+    return { ...entry, status: isChanged ? 'changed' : 'unchanged' };
+  });
+
+  // Step 3: Interactions, matched by their feature names
+  const [oldTerms, newTerms] = ebms.map(
+    (ebm) => new Map(ebm.interactionNames.map((name, t) => [name, t]))
+  );
+  const [oldTermData, newTermData] = models.map(
+    (model) =>
+      new Map(
+        model.features
+          .filter((f) => f.type === 'interaction')
+          .map((f) => [getInteractionNames(f).join(' x '), f])
+      )
+  );
+  const allTerms = [
+    ...oldTerms.keys(),
+    ...[...newTerms.keys()].filter((name) => !oldTerms.has(name))
+  ];
+
+  const interactions = allTerms.map((name) => {
+    if (!oldTerms.has(name)) {
+      return { name, status: 'added' };
+    }
+    if (!newTerms.has(name)) {
+      return { name, status: 'removed' };
+    }
+
+    const termIndexes = [oldTerms.get(name), newTerms.get(name)];
+    const names = name.split(' x ');
+    const typeChange = names.some(
+      (featureName) =>
+        ebms[0].featureTypes[ebms[0].featureNames.indexOf(featureName)] !==
+        ebms[1].featureTypes[ebms[1].featureNames.indexOf(featureName)]
+    );
+
+    const entry = {
+      name,
+      typeChange: typeChange ? true : null,
+      importanceChange: diffNumber(
+        oldTermData.get(name).importance,
+        newTermData.get(name).importance
+      )
+    };
+
+    if (!typeChange) {
+      Object.assign(entry, diffInteraction(ebms, termIndexes));
+    }
+
+    const isChanged =
+      typeChange ||
+      entry.bins.isChanged ||
+      entry.maxAdditiveDelta > 0 ||
+      entry.importanceChange !== null;
+
+    return { ...entry, status: isChanged ? 'changed' : 'unchanged' };
+  });
+
+  return {
+    linkChange,
+    calibrationChange,
+    thresholdChange,
+    crossConstraintsChange,
+    interceptShift,
+    features,
+    interactions
+  };
+};
+
+/**
+ * Format a number for the text report.
+ * @param {number} value
+ * @returns {string}
+ */
+const formatNumber = (value) =>
+  typeof value === 'number' ? String(Number(value.toPrecision(4))) : 'none';
+
+/**
+ * Format a number change for the text report.
+ * @param {object} change {old, new, delta} from `diffNumber()`
+ * @returns {string}
+ */
+const formatChange = (change) => {
+  const text = `${formatNumber(change.old)} -> ${formatNumber(change.new)}`;
+  if (change.delta === null) {
+    return text;
+  }
+  return `${text} (${change.delta >= 0 ? '+' : ''}${formatNumber(change.delta)})`;
+};
+
+/**
+ * Describe the changes of one term.
+ * @param {object} entry A feature or interaction entry of `diffModels()`
+ * @returns {string[]}
+ */
+const describeTerm = (entry) => {
+  const lines = [];
+
+  if (entry.typeChange !== null) {
+    lines.push(
+      entry.typeChange === true
+        ? 'feature types changed, scores not compared'
+        : `type ${entry.typeChange.old} -> ${entry.typeChange.new}, scores not compared`
+    );
+  }
+
+  if (entry.bins?.isChanged) {
+    const dims = entry.bins.dimensions ?? [entry.bins];
+    const binTexts = dims.map(
+      (d) => `+${d.added.length} / -${d.removed.length}`
+    );
+    lines.push(`bins changed (${binTexts.join(', ')})`);
+  }
+
+  if (entry.maxAdditiveDelta > 0) {
+    lines.push(
+      `additive delta max ${formatNumber(entry.maxAdditiveDelta)}, ` +
+        `mean ${formatNumber(entry.meanAdditiveDelta)}`
+    );
+  }
+
+  if (entry.missingDelta > 0) {
+    lines.push(`missing value score delta ${formatNumber(entry.missingDelta)}`);
+  }
+
+  if (entry.importanceChange !== null) {
+    lines.push(`importance ${formatChange(entry.importanceChange)}`);
+  }
+
+  if (entry.madChange !== null && entry.madChange !== undefined) {
+    lines.push(`MAD ${formatChange(entry.madChange)}`);
+  }
+
+  (entry.configChanges ?? []).forEach((change) => {
+    lines.push(
+      `config ${change.key} ${JSON.stringify(change.old)} -> ` +
+        JSON.stringify(change.new)
+    );
+  });
+
+  return lines;
+};
+
+/**
+ * Format the output of `diffModels()` as a text report.
+ * @param {object} diff Output of `diffModels()`
+ * @returns {string}
+ */
+export const formatModelDiff = (diff) => {
+  const lines = [];
+
+  // Scores on different link scales are not directly comparable
+  if (diff.linkChange !== null) {
+    lines.push(
+      `Link: ${diff.linkChange.old} -> ${diff.linkChange.new} ` +
+        '(additive deltas are on different scales)'
+    );
+  }
+
+  if (diff.calibrationChange !== null) {
+    const [oldType, newType] = [
+      diff.calibrationChange.old,
+      diff.calibrationChange.new
+    ].map((calibration) => calibration?.type ?? 'none');
+    lines.push(
+      oldType === newType
+        ? `Calibration: ${newType} parameters changed`
+        : `Calibration: ${oldType} -> ${newType}`
+    );
+  }
+
+  if (diff.thresholdChange !== null) {
+    lines.push(
+      `Decision threshold: ${formatNumber(diff.thresholdChange.old)} -> ` +
+        `${formatNumber(diff.thresholdChange.new)}`
+    );
+  }
+
+  // Cross-feature constraints are compared as a whole list
+  if (diff.crossConstraintsChange !== null) {
+    const { old: oldList, new: newList } = diff.crossConstraintsChange;
+    lines.push(
+      `Cross-feature constraints: ${oldList.length} -> ${newList.length} ` +
+        '(changed)'
+    );
+  }
+
+  if (diff.interceptShift === null) {
+    lines.push('Intercept: the models have a different number of classes');
+  } else {
+    const shift = diff.interceptShift.map(formatNumber).join(', ');
+    lines.push(`Intercept shift: ${shift}`);
+  }
+
+  const statusSymbols = { added: '+', removed: '-', changed: '~' };
+
+  [
+    ['Features', diff.features],
+    ['Interactions', diff.interactions]
+  ].forEach(([title, entries]) => {
+    lines.push('', `${title}:`);
+
+    entries
+      .filter((entry) => entry.status !== 'unchanged')
+      .forEach((entry) => {
+        const symbol = statusSymbols[entry.status];
+        if (entry.status !== 'changed') {
+          lines.push(`  ${symbol} ${entry.name} (${entry.status})`);
+          return;
+        }
+
+        lines.push(`  ${symbol} ${entry.name}`);
+        describeTerm(entry).forEach((line) => lines.push(`      ${line}`));
+      });
+
+    const numUnchanged = entries.filter(
+      (entry) => entry.status === 'unchanged'
+    ).length;
+    lines.push(`  (${numUnchanged} unchanged)`);
+  });
+
+  return lines.join('\n');
+};
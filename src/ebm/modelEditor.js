@@ -0,0 +1,433 @@
+/**
+ * Edit the shape functions of a trained EBM model and export the edited model
+ *
+ * License: MIT
+ */
+
+import { EBM } from './ebm.js';
+
+const editableTypes = new Set(['continuous', 'categorical']);
+
+/**
+ * Fit a non-decreasing sequence to `values` with the pool adjacent violators
+ * algorithm (weighted isotonic regression).
+ * @param {number[]} values Values to fit
+ * @param {number[]} weights Weight of each value
+ * @returns {number[]} Fitted values
+ */
+const isotonicFit = (values, weights) => {
+  // Each block is [mean, weight, size]
+  const blocks = [];
+
+  for (let i = 0; i < values.length; i++) {
+    blocks.push([values[i], weights[i], 1]);
+
+    // Merge the last two blocks until they are in order
+    while (
+      blocks.length > 1 &&
+      blocks[blocks.length - 2][0] > blocks[blocks.length - 1][0]
+    ) {
+      const [mean2, weight2, size2] = blocks.pop();
+      const [mean1, weight1, size1] = blocks.pop();
+      const weight = weight1 + weight2;
+      const mean =
+        weight > 0
+          ? (mean1 * weight1 + mean2 * weight2) / weight
+          : (mean1 + mean2) / 2;
+      blocks.push([mean, weight, size1 + size2]);
+    }
+  }
+
+  return blocks.flatMap(([mean, , size]) => new Array(size).fill(mean));
+};
+
+/**
+ * Edit the `additive` values of the main effects of an EBM model. All edits
+ * are applied to a copy of the model JSON, recorded in `editLog`, and
+ * `exportModel()` returns a model JSON with the same structure as the input,
+ * so the edited model can be used by `EBM`, `EBMLocal`, and `GAMCoach`.
+ *
+ * The range edits work on bins [start, end) of one feature. For multiclass
+ * models, they edit the scores of one class given by `classIndex`.
+ */
+export class ModelEditor {
+  /** @type {EBM} EBM built from the current edited model */
+  ebm;
+
+  /**
+   * @type {object[]} One entry per edit: {type, featureName, start, end,
+   *  classIndex, params}
+   */
+  editLog;
+
+  /**
+   * Initialize the ModelEditor object.
+   * @param {object} model Trained EBM model in JSON format. It is not modified.
+   */
+  constructor(model) {
+    this.model = structuredClone(model);
+    this.ebm = new EBM(this.model);
+    this.editLog = [];
+  }
+
+  /**
+   * Replace the scores of a bin range.
+   * @param {string} featureName Name of the feature to edit
+   * @param {number} start First bin of the range
+   * @param {number} end Bin after the last bin of the range
+   * @param {number | number[]} values One value for all bins, or one value per
+   *  bin in the range
+   * @param {number} classIndex Class to edit (multiclass only)
+   */
+  setScores(featureName, start, end, values, classIndex = null) {
+    // Validate the range before filling it
+    this.getScores(
+      this.getEditableFeature(featureName),
+      start,
+      end,
+      classIndex
+    );
+
+    const newValues = Array.isArray(values)
+      ? values.slice()
+      : new Array(end - start).fill(values);
+
+    if (newValues.length !== end - start) {
+      throw Error(
+        `Expected ${end - start} values for bins [${start}, ${end}), ` +
+          `got ${newValues.length}`
+      );
+    }
+
+    this.editRange('set', featureName, start, end, classIndex, {
+      values: newValues
+    });
+  }
+
+  /**
+   * Linearly interpolate the scores between the first and the last bin of a
+   * range. Continuous features use the bin starts as positions, and
+   * categorical features use the bin order.
+   * @param {string} featureName Name of the feature to edit
+   * @param {number} start First bin of the range
+   * @param {number} end Bin after the last bin of the range
+   * @param {number} classIndex Class to edit (multiclass only)
+   */
+  interpolate(featureName, start, end, classIndex = null) {
+    const feature = this.getEditableFeature(featureName);
+    const scores = this.getScores(feature, start, end, classIndex);
+
+    const positions =
+      feature.type === 'continuous'
+        ? feature.binEdge.slice(start, end)
+        : scores.map((_, i) => i);
+    const x0 = positions[0];
+    const x1 = positions[positions.length - 1];
+    const y0 = scores[0];
+    const y1 = scores[scores.length - 1];
+
+    const newValues = positions.map((x) =>
+      x1 === x0 ? y0 : y0 + ((y1 - y0) * (x - x0)) / (x1 - x0)
+    );
+
+    this.editRange('interpolate', featureName, start, end, classIndex, {
+      values: newValues
+    });
+  }
+
+  /**
+   * Smooth the scores of a range with a centered moving average. The window
+   * is cut at the range boundaries.
+   * @param {string} featureName Name of the feature to edit
+   * @param {number} start First bin of the range
+   * @param {number} end Bin after the last bin of the range
+   * @param {number} windowSize Number of bins in the window
+   * @param {number} classIndex Class to edit (multiclass only)
+   */
+  smooth(featureName, start, end, windowSize = 3, classIndex = null) {
+    if (!Number.isInteger(windowSize) || windowSize < 1) {
+      throw Error(`windowSize must be a positive integer, got ${windowSize}`);
+    }
+
+    const feature = this.getEditableFeature(featureName);
+    const scores = this.getScores(feature, start, end, classIndex);
+    const halfWidth = Math.floor(windowSize / 2);
+
+    const newValues = scores.map((_, i) => {
+      const window = scores.slice(
+        Math.max(0, i - halfWidth),
+        Math.min(scores.length, i + windowSize - halfWidth)
+      );
+      return window.reduce((a, b) => a + b, 0) / window.length;
+    });
+
+    this.editRange('smooth', featureName, start, end, classIndex, {
+      values: newValues,
+      windowSize
+    });
+  }
+
+  /**
+   * Make the scores of a range monotonic with isotonic regression. Bins are
+   * weighted by their sample counts if the model has them.
+   * @param {string} featureName Name of the feature to edit
+   * @param {number} start First bin of the range
+   * @param {number} end Bin after the last bin of the range
+   * @param {string} direction 'increasing' or 'decreasing'
+   * @param {number} classIndex Class to edit (multiclass only)
+   */
+  monotonize(
+    featureName,
+    start,
+    end,
+    direction = 'increasing',
+    classIndex = null
+  ) {
+    if (direction !== 'increasing' && direction !== 'decreasing') {
+      throw Error(
+        `direction must be 'increasing' or 'decreasing', got ${direction}`
+      );
+    }
+
+    const feature = this.getEditableFeature(featureName);
+    const scores = this.getScores(feature, start, end, classIndex);
+    const weights = this.getBinCounts(feature).slice(start, end);
+
+    // Fit a decreasing sequence by fitting the negated scores
+    const sign = direction === 'increasing' ? 1 : -1;
+    const newValues = isotonicFit(
+      scores.map((d) => sign * d),
+      weights
+    ).map((d) => sign * d);
+
+    this.editRange('monotonize', featureName, start, end, classIndex, {
+      values: newValues,
+      direction
+    });
+  }
+
+  /**
+   * Move a constant from all scores of a feature (including the missing value
+   * and unseen level scores) to the intercept. The predictions do not change:
+   * a feature without a missing bin gets one, so missing values keep scoring
+   * 0 overall.
+   * @param {string} featureName Name of the feature to edit
+   * @param {number} amount The constant to move. By default, it is the mean
+   *  score of the feature weighted by the bin counts, so the feature is
+   *  centered.
+   * @param {number} classIndex Class to edit (multiclass only)
+   */
+  shiftToIntercept(featureName, amount = null, classIndex = null) {
+    const feature = this.getEditableFeature(featureName);
+    const numBins = feature.additive.length;
+    const scores = this.getScores(feature, 0, numBins, classIndex);
+
+    let shift = amount;
+    if (shift === null) {
+      const weights = this.getBinCounts(feature);
+      const totalWeight = weights.reduce((a, b) => a + b, 0);
+      shift =
+        scores.reduce((a, b, i) => a + b * weights[i], 0) /
+        (totalWeight > 0 ? totalWeight : 1);
+    }
+
+    this.setColumn(
+      feature.additive,
+      0,
+      scores.map((d) => d - shift),
+      classIndex
+    );
+
+    // Models without a missing bin score missing values as 0
+    if (feature.missingAdditive === undefined) {
+      feature.missingAdditive = Array.isArray(this.model.intercept)
+        ? this.model.intercept.map(() => 0)
+        : 0;
+    }
+
+    // Unseen levels use the missing bin unless they have their own
+    for (const key of ['missingAdditive', 'unknownAdditive']) {
+      if (feature[key] === undefined) {
+        continue;
+      }
+      if (classIndex === null) {
+        feature[key] -= shift;
+      } else {
+        feature[key][classIndex] -= shift;
+      }
+    }
+
+    if (classIndex === null) {
+      this.model.intercept += shift;
+    } else {
+      this.model.intercept[classIndex] += shift;
+    }
+
+    this.finishEdit({
+      type: 'shiftToIntercept',
+      featureName,
+      start: 0,
+      end: numBins,
+      classIndex,
+      params: { amount: shift }
+    });
+  }
+
+  /**
+   * Export the edited model.
+   * @returns {object} A copy of the edited model JSON
+   */
+  exportModel() {
+    return structuredClone(this.model);
+  }
+
+  /**
+   * Find a main effect feature that can be edited.
+   * @param {string} featureName Feature name
+   * @returns {object} The feature object in the model JSON
+   */
+  getEditableFeature(featureName) {
+    const feature = this.model.features.find((f) => f.name === featureName);
+
+    if (feature === undefined || !editableTypes.has(feature.type)) {
+      throw Error(
+        `Only continuous and categorical features can be edited, got ${featureName}`
+      );
+    }
+
+    return feature;
+  }
+
+  /**
+   * Get the scores of a bin range (of one class for multiclass models).
+   * @param {object} feature Feature object in the model JSON
+   * @param {number} start First bin of the range
+   * @param {number} end Bin after the last bin of the range
+   * @param {number} classIndex Class to read (multiclass only)
+   * @returns {number[]} Scores of the range
+   */
+  getScores(feature, start, end, classIndex) {
+    const numBins = feature.additive.length;
+
+    if (!Number.isInteger(start) || !Number.isInteger(end)) {
+      throw Error(`Bin range must be integers, got [${start}, ${end})`);
+    }
+
+    if (start < 0 || end > numBins || start >= end) {
+      throw Error(
+        `Invalid bin range [${start}, ${end}) for ${feature.name} with ` +
+          `${numBins} bins`
+      );
+    }
+
+    if (this.ebm.isMulticlass) {
+      if (
+        !Number.isInteger(classIndex) ||
+        classIndex < 0 ||
+        classIndex >= this.ebm.numClasses
+      ) {
+        throw Error(
+          `A classIndex in [0, ${this.ebm.numClasses}) is required for multiclass models`
+        );
+      }
+      return feature.additive.slice(start, end).map((d) => d[classIndex]);
+    }
+
+    if (classIndex !== null) {
+      throw Error('classIndex is only used for multiclass models');
+    }
+    return feature.additive.slice(start, end);
+  }
+
+  /**
+   * Write scores to a bin range.
+   * @param {number[]} additive The `additive` array of a feature
+   * @param {number} start First bin to write
+   * @param {number[]} values New scores
+   * @param {number} classIndex Class to write (multiclass only)
+   */
+  setColumn(additive, start, values, classIndex) {
+    values.forEach((value, i) => {
+      if (classIndex === null) {
+        additive[start + i] = value;
+      } else {
+        additive[start + i][classIndex] = value;
+      }
+    });
+  }
+
+  /**
+   * Get the sample count of each bin, or equal weights if the model does not
+   * have the counts.
+   * @param {object} feature Feature object in the model JSON
+   * @returns {number[]} One count per bin
+   */
+  getBinCounts(feature) {
+    if (
+      Array.isArray(feature.count) &&
+      feature.count.length === feature.additive.length
+    ) {
+      return feature.count;
+    }
+    return new Array(feature.additive.length).fill(1);
+  }
+
+  /**
+   * Write the new scores of a range edit and record it.
+   * @param {string} type Edit type
+   * @param {string} featureName Name of the feature to edit
+   * @param {number} start First bin of the range
+   * @param {number} end Bin after the last bin of the range
+   * @param {number} classIndex Class to edit (multiclass only)
+   * @param {object} params Edit parameters, `values` holds the new scores
+   */
+  editRange(type, featureName, start, end, classIndex, params) {
+    const feature = this.getEditableFeature(featureName);
+
+    // Validate the range and class index
+    this.getScores(feature, start, end, classIndex);
+
+    if (!params.values.every((d) => Number.isFinite(d))) {
+      throw Error('New scores must be finite numbers');
+    }
+
+    this.setColumn(feature.additive, start, params.values, classIndex);
+    this.finishEdit({ type, featureName, start, end, classIndex, params });
+  }
+
+  /**
+   * Update the derived model fields after an edit, rebuild the EBM, and record
+   * the edit.
+   * @param {object} edit The edit log entry
+   */
+  finishEdit(edit) {
+    const feature = this.getEditableFeature(edit.featureName);
+
+    // Importance is the mean absolute score weighted by the bin counts
+    // (averaged over classes for multiclass models)
+    if (feature.importance !== undefined) {
+      const weights = this.getBinCounts(feature);
+      const totalWeight = weights.reduce((a, b) => a + b, 0);
+      const absScores = feature.additive.map((d) =>
+        Array.isArray(d)
+          ? d.reduce((a, b) => a + Math.abs(b), 0) / d.length
+          : Math.abs(d)
+      );
+      feature.importance =
+        absScores.reduce((a, b, i) => a + b * weights[i], 0) /
+        (totalWeight > 0 ? totalWeight : 1);
+    }
+
+    // Widen the score range if the new scores fall outside it
+    if (Array.isArray(this.model.scoreRange)) {
+      const newScores = feature.additive.flat();
+      this.model.scoreRange = [
+        Math.min(this.model.scoreRange[0], ...newScores),
+        Math.max(this.model.scoreRange[1], ...newScores)
+      ];
+    }
+
+    this.ebm = new EBM(this.model);
+    this.editLog.push(structuredClone(edit));
+  }
+}
@@ -0,0 +1,735 @@
+/**
+ * Validate the JSON format of a trained EBM model before it is used by EBM,
+ * GAMCoach, or the UI.
+ *
+ * License: MIT
+ */
+
+import {
+  calibrationMaps,
+  getInteractionBinLabels,
+  getInteractionNames,
+  regressionLinks
+} from './ebm.js';
+import { continuousMetrics, createDistanceMetric } from './distanceMetrics.js';
+import { findCrossConstraintIssue } from './crossConstraints.js';
+import { findCostCurveIssue } from './costCurves.js';
+
+const featureTypeSet = new Set(['continuous', 'categorical']);
+const configBooleanKeys = [
+  'requiresInt',
+  'requiresIncreasing',
+  'requiresDecreasing'
+];
+
+/**
+ * An error thrown when a model does not pass the validation. The full report
+ * is attached as `report`.
+ */
+export class ModelValidationError extends Error {
+  /**
+   * @param {object} report Validation report from `validateModel()`
+   */
+  constructor(report) {
+    const first = report.errors[0];
+    super(
+      `Invalid EBM model (${report.errors.length} error(s)), ` +
+        `first at ${first.path}: ${first.message}`
+    );
+    this.name = 'ModelValidationError';
+    this.report = report;
+  }
+}
+
+/**
+ * Check if a value is a finite number.
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isFiniteNumber = (value) => {
+  return typeof value === 'number' && Number.isFinite(value);
+};
+
+/**
+ * Check if a (nested) score array has the expected shape and only has finite
+ * numbers.
+ * @param {any} values A (nested) array of numbers
+ * @param {number[]} shape Expected length of each dimension
+ * @returns {string | null} A description of the first issue, or null if the
+ *  array is valid
+ */
+const findShapeIssue = (values, shape) => {
+  if (shape.length === 0) {
+    return isFiniteNumber(values) ? null : `${values} is not a finite number`;
+  }
+
+  if (!Array.isArray(values)) {
+    return `expected an array of length ${shape[0]}, got ${typeof values}`;
+  }
+
+  if (values.length !== shape[0]) {
+    return `expected length ${shape[0]}, got ${values.length}`;
+  }
+
+  for (let i = 0; i < values.length; i++) {
+    const issue = findShapeIssue(values[i], shape.slice(1));
+    if (issue !== null) {
+      return `[${i}]: ${issue}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check if a calibration block is a valid, increasing calibration map (see
+ * `calibrationMaps` in ebm.js).
+ * @param {any} calibration The `calibration` field of the model
+ * @returns {string | null} A description of the first issue, or null if the
+ *  calibration is valid
+ */
+const findCalibrationIssue = (calibration) => {
+  const types = Object.keys(calibrationMaps);
+  if (!types.includes(calibration?.type)) {
+    return `Calibration type must be one of ${types.join(', ')}`;
+  }
+
+  if (calibration.type === 'platt') {
+    if (!isFiniteNumber(calibration.a) || !isFiniteNumber(calibration.b)) {
+      return 'Platt calibration needs finite numbers `a` and `b`';
+    }
+    return calibration.a > 0 ? null : 'Platt calibration needs a positive `a`';
+  }
+
+  const { scores, probs } = calibration;
+  if (!Array.isArray(scores) || scores.length < 2) {
+    return 'Isotonic calibration needs at least 2 `scores`';
+  }
+  const issue = findShapeIssue(scores, [scores.length]);
+  if (issue !== null) {
+    return `Isotonic calibration scores ${issue}`;
+  }
+  if (findShapeIssue(probs, [scores.length]) !== null) {
+    return 'Isotonic calibration needs one probability for each score';
+  }
+
+  for (let i = 0; i < scores.length; i++) {
+    if (probs[i] < 0 || probs[i] > 1) {
+      return `Isotonic calibration probability ${probs[i]} is not in [0, 1]`;
+    }
+    if (i > 0 && (scores[i] <= scores[i - 1] || probs[i] < probs[i - 1])) {
+      return 'Isotonic calibration points must be increasing';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate a trained EBM model in JSON format.
+ *
+ * Errors are issues that would make the model produce wrong predictions or
+ * crash the EBM constructor. Warnings are issues that only degrade some
+ * features (e.g., a missing histogram).
+ *
+ * The fields that only GAMCoach and the Constraints constructor read (display
+ * names, `config`, `contMads`, `catDistances`, distance metrics, and cross
+ * constraints) are warnings by default, so a model can be scored without them.
+ * Set `forCoach` to report their issues as errors.
+ *
+ * @param {object} model Trained EBM model in JSON format
+ * @param {object} options {forCoach}: true to also require the fields that
+ *  generating plans needs (optional)
+ * @returns {object} {isValid, errors, warnings}, where errors and warnings are
+ *  arrays of {path, message}
+ */
+export const validateModel = (model, { forCoach = false } = {}) => {
+  const errors = [];
+  const warnings = [];
+  const addError = (path, message) => errors.push({ path, message });
+  const addWarning = (path, message) => warnings.push({ path, message });
+  const addCoachIssue = forCoach ? addError : addWarning;
+
+  if (model === null || typeof model !== 'object') {
+    addError('', 'The model is not a JSON object');
+    return { isValid: false, errors, warnings };
+  }
+
+  // Step 1: Top level fields
+  for (const key of ['featureNames', 'featureTypes', 'features']) {
+    if (!Array.isArray(model[key])) {
+      addError(key, `Field \`${key}\` must be an array`);
+    }
+  }
+
+  // We cannot check the features without these three arrays
+  if (errors.length > 0) {
+    return { isValid: false, errors, warnings };
+  }
+
+  // Multiclass models have one intercept (and one score in each bin) per class
+  let classShape = [];
+  if (Array.isArray(model.intercept)) {
+    classShape = [model.intercept.length];
+    if (model.intercept.length < 3) {
+      addError('intercept', 'Multiclass models need at least 3 intercepts');
+    }
+    if (findShapeIssue(model.intercept, classShape) !== null) {
+      addError('intercept', 'Intercepts must be finite numbers');
+    }
+    if (model.isClassifier !== true) {
+      addError('isClassifier', 'Multiclass models must be classifiers');
+    }
+  } else if (!isFiniteNumber(model.intercept)) {
+    addError('intercept', 'Field `intercept` must be a finite number');
+  }
+
+  if (typeof model.isClassifier !== 'boolean') {
+    addError('isClassifier', 'Field `isClassifier` must be a boolean');
+  }
+
+  // Classifiers always use the logit link, regressors default to identity
+  if (model.link !== undefined) {
+    const validLinks = model.isClassifier
+      ? ['logit']
+      : Object.keys(regressionLinks);
+    if (!validLinks.includes(model.link)) {
+      addError(
+        'link',
+        `Field \`link\` must be one of ${validLinks.join(', ')}, got ${model.link}`
+      );
+    }
+  }
+
+  // Calibration maps and decision thresholds only apply to the probability of
+  // binary classifiers
+  const isBinary =
+    model.isClassifier === true && !Array.isArray(model.intercept);
+
+  if (model.calibration !== undefined && model.calibration !== null) {
+    if (!isBinary) {
+      addError('calibration', 'Only binary classifiers can be calibrated');
+    } else {
+      const issue = findCalibrationIssue(model.calibration);
+      if (issue !== null) {
+        addError('calibration', issue);
+      }
+    }
+  }
+
+  if (model.decisionThreshold !== undefined) {
+    if (!isBinary) {
+      addError(
+        'decisionThreshold',
+        'Only binary classifiers can have a decision threshold'
+      );
+    } else if (
+      !isFiniteNumber(model.decisionThreshold) ||
+      model.decisionThreshold <= 0 ||
+      model.decisionThreshold >= 1
+    ) {
+      addError(
+        'decisionThreshold',
+        'Field `decisionThreshold` must be a probability between 0 and 1'
+      );
+    }
+  }
+
+  if (model.featureNames.length !== model.featureTypes.length) {
+    addError(
+      'featureTypes',
+      `There are ${model.featureNames.length} feature names but ` +
+        `${model.featureTypes.length} feature types`
+    );
+  }
+
+  const nameIndexMap = new Map();
+  model.featureNames.forEach((name, i) => {
+    if (nameIndexMap.has(name)) {
+      addError(`featureNames[${i}]`, `Duplicate feature name \`${name}\``);
+    }
+    nameIndexMap.set(name, i);
+
+    if (!featureTypeSet.has(model.featureTypes[i])) {
+      addError(
+        `featureTypes[${i}]`,
+        `Feature \`${name}\` has an unknown type \`${model.featureTypes[i]}\``
+      );
+    }
+  });
+
+  const labelEncoder = model.labelEncoder ?? {};
+  if (model.labelEncoder === undefined) {
+    addError('labelEncoder', 'Field `labelEncoder` is missing');
+  }
+
+  const contMads = model.contMads ?? {};
+  if (model.contMads === undefined) {
+    addCoachIssue('contMads', 'Field `contMads` is missing');
+  }
+
+  const catDistances = model.catDistances ?? {};
+  if (model.catDistances === undefined) {
+    addCoachIssue('catDistances', 'Field `catDistances` is missing');
+  }
+
+  // The model-level distance metric applies to continuous features
+  const isModelMetricValid =
+    model.distanceMetric === undefined ||
+    Object.hasOwn(continuousMetrics, model.distanceMetric);
+  if (!isModelMetricValid) {
+    addCoachIssue(
+      'distanceMetric',
+      `Field \`distanceMetric\` must be one of ${Object.keys(continuousMetrics).join(', ')}`
+    );
+  }
+
+  /**
+   * Get the bin edges of one feature dimension with the max edge removed, the
+   * same way as the EBM constructor.
+   */
+  const getEdgeCount = (edges, isCont) => {
+    return isCont ? edges.length - 1 : edges.length;
+  };
+
+  // Step 2: Main effects
+  const mainFeatureIndexes = new Map();
+
+  model.features.forEach((f, i) => {
+    const path = `features[${i}]`;
+
+    if (f.type === 'interaction') {
+      return;
+    }
+
+    if (!nameIndexMap.has(f.name)) {
+      addWarning(
+        path,
+        `Feature \`${f.name}\` is not in \`featureNames\` and will be ignored`
+      );
+      return;
+    }
+
+    if (mainFeatureIndexes.has(f.name)) {
+      addError(path, `Duplicate feature entry \`${f.name}\``);
+      return;
+    }
+    mainFeatureIndexes.set(f.name, i);
+
+    const expectedType = model.featureTypes[nameIndexMap.get(f.name)];
+    if (f.type !== expectedType) {
+      addError(
+        `${path}.type`,
+        `Feature \`${f.name}\` has type \`${f.type}\`, but \`featureTypes\` ` +
+          `says \`${expectedType}\``
+      );
+    }
+
+    // The type error is already reported in Step 1
+    if (!featureTypeSet.has(expectedType)) {
+      return;
+    }
+
+    const isCont = expectedType === 'continuous';
+    const edgeKey = isCont ? 'binEdge' : 'binLabel';
+    const edges = f[edgeKey];
+
+    if (!Array.isArray(edges)) {
+      addError(`${path}.${edgeKey}`, `Feature \`${f.name}\` has no ${edgeKey}`);
+      return;
+    }
+
+    if (isCont) {
+      for (let b = 1; b < edges.length; b++) {
+        if (!(edges[b - 1] < edges[b])) {
+          addError(
+            `${path}.binEdge`,
+            `Bin edges of \`${f.name}\` are not strictly increasing`
+          );
+          break;
+        }
+      }
+    }
+
+    // Each bin has one score, continuous features also have the max edge
+    const scoreShape = [getEdgeCount(edges, isCont), ...classShape];
+    const scoreIssue = findShapeIssue(f.additive, scoreShape);
+    if (scoreIssue !== null) {
+      addError(
+        `${path}.additive`,
+        `Feature \`${f.name}\` has ${edges.length} ${edgeKey} values, so ` +
+          `its additive scores do not match: ${scoreIssue}`
+      );
+    }
+
+    if (f.error !== undefined) {
+      const errorIssue = findShapeIssue(f.error, scoreShape);
+      if (errorIssue !== null) {
+        addError(
+          `${path}.error`,
+          `Errors of \`${f.name}\` do not match its scores: ${errorIssue}`
+        );
+      }
+    }
+
+    // The optional missing bin has one score (per class)
+    for (const key of ['missingAdditive', 'missingError']) {
+      if (f[key] !== undefined) {
+        const missingIssue = findShapeIssue(f[key], classShape);
+        if (missingIssue !== null) {
+          addError(
+            `${path}.${key}`,
+            `Missing bin of \`${f.name}\` is malformed: ${missingIssue}`
+          );
+        }
+      }
+    }
+
+    // The optional unknown bin scores the unseen levels of categorical features
+    for (const key of ['unknownAdditive', 'unknownError']) {
+      if (f[key] !== undefined) {
+        const unknownIssue = isCont
+          ? 'only categorical features have one'
+          : findShapeIssue(f[key], classShape);
+        if (unknownIssue !== null) {
+          addError(
+            `${path}.${key}`,
+            `Unknown bin of \`${f.name}\` is malformed: ${unknownIssue}`
+          );
+        }
+      }
+    }
+
+    // Categorical encodings and distances
+    if (!isCont) {
+      const curEncoder = labelEncoder[f.name];
+      if (curEncoder === undefined) {
+        addError(
+          `labelEncoder.${f.name}`,
+          `Categorical feature \`${f.name}\` has no label encoder`
+        );
+      } else {
+        edges.forEach((code, b) => {
+          if (curEncoder[code] === undefined) {
+            addError(
+              `labelEncoder.${f.name}`,
+              `Level code \`${code}\` (binLabel[${b}]) has no label`
+            );
+          } else if (
+            catDistances[f.name] !== undefined &&
+            catDistances[f.name][curEncoder[code]] === undefined
+          ) {
+            addCoachIssue(
+              `catDistances.${f.name}`,
+              `Level \`${curEncoder[code]}\` has no distance`
+            );
+          }
+        });
+
+        Object.keys(curEncoder).forEach((code) => {
+          if (
+            f.description?.levelDescription?.[code]?.displayName === undefined
+          ) {
+            addCoachIssue(
+              `${path}.description.levelDescription`,
+              `Level code \`${code}\` of \`${f.name}\` has no display name`
+            );
+          }
+        });
+      }
+
+      if (catDistances[f.name] === undefined) {
+        addCoachIssue(
+          `catDistances.${f.name}`,
+          `Categorical feature \`${f.name}\` has no distances`
+        );
+      }
+    } else {
+      const mad = contMads[f.name];
+      if (mad === undefined) {
+        addCoachIssue(
+          `contMads.${f.name}`,
+          `Continuous feature \`${f.name}\` has no MAD`
+        );
+      } else if (!isFiniteNumber(mad) || mad < 0) {
+        addCoachIssue(
+          `contMads.${f.name}`,
+          `MAD of \`${f.name}\` must be a non-negative number`
+        );
+      } else if (mad === 0) {
+        addWarning(
+          `contMads.${f.name}`,
+          `MAD of \`${f.name}\` is 0, its distances will not be normalized`
+        );
+      }
+    }
+
+    // Histogram for the density plots
+    if (
+      isCont &&
+      (!Array.isArray(f.histEdge) ||
+        !Array.isArray(f.histCount) ||
+        f.histEdge.length !== f.histCount.length)
+    ) {
+      addWarning(
+        `${path}.histEdge`,
+        `Histogram of \`${f.name}\` is missing or its edges and counts ` +
+          'have different lengths'
+      );
+    }
+
+    if (f.description?.displayName === undefined) {
+      addCoachIssue(
+        `${path}.description.displayName`,
+        `Feature \`${f.name}\` has no display name`
+      );
+    }
+
+    // Constraint configs used by the Constraints constructor
+    const config = f.config;
+    if (config === null || typeof config !== 'object') {
+      addCoachIssue(`${path}.config`, `Feature \`${f.name}\` has no config`);
+      return;
+    }
+
+    if (
+      !Number.isInteger(config.difficulty) ||
+      config.difficulty < 1 ||
+      config.difficulty > 6
+    ) {
+      addCoachIssue(
+        `${path}.config.difficulty`,
+        `Difficulty of \`${f.name}\` must be an integer from 1 to 6`
+      );
+    }
+
+    configBooleanKeys.forEach((key) => {
+      if (typeof config[key] !== 'boolean') {
+        addCoachIssue(
+          `${path}.config.${key}`,
+          `Config \`${key}\` of \`${f.name}\` must be a boolean`
+        );
+      }
+    });
+
+    if (config.requiresIncreasing && config.requiresDecreasing) {
+      addCoachIssue(
+        `${path}.config`,
+        `Feature \`${f.name}\` cannot require both increasing and decreasing`
+      );
+    }
+
+    if (
+      config.usesTransform !== null &&
+      typeof config.usesTransform !== 'string'
+    ) {
+      addCoachIssue(
+        `${path}.config.usesTransform`,
+        `Config \`usesTransform\` of \`${f.name}\` must be null or a string`
+      );
+    }
+
+    if (config.acceptableRange !== null) {
+      const range = config.acceptableRange;
+      const isValidRange = isCont
+        ? Array.isArray(range) &&
+          range.length === 2 &&
+          typeof range[0] === 'number' &&
+          typeof range[1] === 'number' &&
+          range[0] <= range[1]
+        : Array.isArray(range) && range.length > 0;
+
+      if (!isValidRange) {
+        addCoachIssue(
+          `${path}.config.acceptableRange`,
+          isCont
+            ? `Acceptable range of \`${f.name}\` must be null or [min, max]`
+            : `Acceptable range of \`${f.name}\` must be null or a list of levels`
+        );
+      }
+    }
+
+    // The distance metric of the feature, set by the feature or by the model.
+    // Some metrics need the histogram
+    const metric =
+      config.distanceMetric ??
+      (isCont && isModelMetricValid ? model.distanceMetric : undefined);
+    if (metric !== undefined) {
+      try {
+        createDistanceMetric(metric, f, { contMads, catDistances });
+      } catch (error) {
+        addCoachIssue(`${path}.config.distanceMetric`, error.message);
+      }
+    }
+
+    // The cost curve that replaces the distance metric of the feature
+    if (config.costCurve !== undefined && config.costCurve !== null) {
+      const issue = isCont
+        ? findCostCurveIssue(config.costCurve)
+        : `Only continuous features can have a cost curve, not \`${f.name}\``;
+      if (issue !== null) {
+        addCoachIssue(`${path}.config.costCurve`, issue);
+      }
+    }
+  });
+
+  model.featureNames.forEach((name, i) => {
+    if (!mainFeatureIndexes.has(name)) {
+      addError(
+        `featureNames[${i}]`,
+        `Feature \`${name}\` has no feature entry`
+      );
+    }
+  });
+
+  // Step 3: Interaction effects
+  model.features.forEach((f, i) => {
+    if (f.type !== 'interaction') {
+      return;
+    }
+
+    const path = `features[${i}]`;
+
+    // N-way terms use `names`, `types`, and `binLabels`, and pairwise terms can
+    // also use `name1`, `type1`, `binLabel1`, etc.
+    const isNWay = f.names !== undefined;
+    const names = getInteractionNames(f);
+    const binLabels = getInteractionBinLabels(f);
+    const getKey = (prefix, d) =>
+      isNWay ? `${prefix}s[${d}]` : `${prefix}${d + 1}`;
+
+    if (!Array.isArray(names) || names.length < 2) {
+      addError(
+        `${path}.names`,
+        `Interaction \`${f.name}\` must list at least two feature names`
+      );
+      return;
+    }
+
+    if (new Set(names).size !== names.length) {
+      addError(
+        `${path}.names`,
+        `Interaction \`${f.name}\` uses the same feature more than once`
+      );
+      return;
+    }
+
+    if (!Array.isArray(binLabels) || binLabels.length !== names.length) {
+      addError(
+        `${path}.binLabels`,
+        `Interaction \`${f.name}\` needs one binLabels array per feature`
+      );
+      return;
+    }
+
+    const edgeCounts = [];
+
+    for (let d = 0; d < names.length; d++) {
+      const nameIndex = nameIndexMap.get(names[d]);
+      if (nameIndex === undefined) {
+        addError(
+          `${path}.${getKey('name', d)}`,
+          `Interaction \`${f.name}\` uses an unknown feature \`${names[d]}\``
+        );
+        return;
+      }
+
+      const featureType = model.featureTypes[nameIndex];
+      const curType = isNWay ? f.types?.[d] : f[`type${d + 1}`];
+      if (curType !== undefined && curType !== featureType) {
+        addWarning(
+          `${path}.${getKey('type', d)}`,
+          `Interaction \`${f.name}\` says \`${names[d]}\` is ` +
+            `\`${curType}\`, but \`featureTypes\` says \`${featureType}\``
+        );
+      }
+
+      const edgeKey = getKey('binLabel', d);
+      if (!Array.isArray(binLabels[d])) {
+        addError(
+          `${path}.${edgeKey}`,
+          `Interaction \`${f.name}\` has no ${edgeKey}`
+        );
+        return;
+      }
+      edgeCounts.push(getEdgeCount(binLabels[d], featureType === 'continuous'));
+    }
+
+    const scoreShape = [...edgeCounts, ...classShape];
+    const scoreIssue = findShapeIssue(f.additive, scoreShape);
+    if (scoreIssue !== null) {
+      addError(
+        `${path}.additive`,
+        `Interaction \`${f.name}\` should have a ${edgeCounts.join(' x ')} ` +
+          `score matrix: ${scoreIssue}`
+      );
+    }
+
+    if (f.error !== undefined) {
+      const errorIssue = findShapeIssue(f.error, scoreShape);
+      if (errorIssue !== null) {
+        addError(
+          `${path}.error`,
+          `Errors of \`${f.name}\` do not match its scores: ${errorIssue}`
+        );
+      }
+    }
+  });
+
+  // Step 4: Unused encoders and MADs
+  Object.keys(labelEncoder).forEach((name) => {
+    if (model.featureTypes[nameIndexMap.get(name)] !== 'categorical') {
+      addWarning(
+        `labelEncoder.${name}`,
+        `\`${name}\` is not a categorical feature, its encoder is ignored`
+      );
+    }
+  });
+
+  Object.keys(contMads).forEach((name) => {
+    if (model.featureTypes[nameIndexMap.get(name)] !== 'continuous') {
+      addWarning(
+        `contMads.${name}`,
+        `\`${name}\` is not a continuous feature, its MAD is ignored`
+      );
+    }
+  });
+
+  // Step 5: Constraints between main-effect features
+  if (model.crossConstraints !== undefined) {
+    if (!Array.isArray(model.crossConstraints)) {
+      addCoachIssue(
+        'crossConstraints',
+        'Field `crossConstraints` must be an array'
+      );
+    } else {
+      const mainFeatureTypes = new Map(
+        [...mainFeatureIndexes.keys()]
+          .map((name) => [name, model.featureTypes[nameIndexMap.get(name)]])
+          .filter(([, type]) => featureTypeSet.has(type))
+      );
+      model.crossConstraints.forEach((constraint, i) => {
+        const issue = findCrossConstraintIssue(constraint, mainFeatureTypes);
+        if (issue !== null) {
+          addCoachIssue(`crossConstraints[${i}]`, issue);
+        }
+      });
+    }
+  }
+
+  return { isValid: errors.length === 0, errors, warnings };
+};
+
+/**
+ * Validate a model and throw a `ModelValidationError` if it has any errors.
+ * @param {object} model Trained EBM model in JSON format
+ * @param {object} options {forCoach}, see `validateModel()` (optional)
+ * @returns {object} The validation report (only warnings)
+ */
+export const assertValidModel = (model, options = {}) => {
+  const report = validateModel(model, options);
+  if (!report.isValid) {
+    throw new ModelValidationError(report);
+  }
+  return report;
+};
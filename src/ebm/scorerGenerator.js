@@ -0,0 +1,315 @@
+/**
+ * Generate a self-contained ES module that scores samples with a trained EBM
+ * model, so other services can use the model without this app or the model
+ * JSON.
+ *
+ * License: MIT
+ */
+
+import { EBM } from './ebm.js';
+
+/**
+ * Flatten a (nested) array of scores in row-major order.
+ * @param {number | number[]} scores Nested score array
+ * @returns {number[]}
+ */
+const flattenScores = (scores) =>
+  Array.isArray(scores) ? scores.flatMap((d) => flattenScores(d)) : [scores];
+
+/**
+ * Compile the bins of one feature dimension into a plain object that can be
+ * inlined as a constant.
+ * @param {EBM} ebm Parsed model
+ * @param {number} featureIndex Index of the feature
+ * @param {number[]} binEdges Bin starts (continuous) or level codes
+ *  (categorical)
+ * @returns {object} {edges} for continuous features, and {levels} (a map from
+ *  level string to bin index) for categorical features
+ */
+const compileDimension = (ebm, featureIndex, binEdges) => {
+  if (ebm.featureTypes[featureIndex] === 'continuous') {
+    return { edges: binEdges };
+  }
+
+  const levelDecoder = ebm.labelDecoder[ebm.featureNames[featureIndex]];
+  const levels = {};
+  binEdges.forEach((code, b) => {
+    levels[String(levelDecoder[code])] = b;
+  });
+  return { levels };
+};
+
+// The scoring functions of the generated module. They follow `EBM.predict()`:
+// missing values use the missing bin of main effects, unseen levels use the
+// unknown bin, and both zero out interaction terms.
+const runtimeSource = `const isMissing = (value) =>
+  value === null || value === undefined || Number.isNaN(value);
+
+const searchSortedLowerIndex = (sorted, value) => {
+  let left = 0;
+  let right = sorted.length - 1;
+
+  while (right - left > 1) {
+    const i = left + Math.floor((right - left) / 2);
+
+    if (value > sorted[i]) {
+      left = i;
+    } else if (value < sorted[i]) {
+      right = i;
+    } else {
+      return i;
+    }
+  }
+
+  if (value >= sorted[right]) {
+    return right;
+  }
+  if (value < sorted[left]) {
+    return left;
+  }
+  return right - 1;
+};
+
+const round = (num, decimal) =>
+  Math.round((num + 2e-16) * 10 ** decimal) / 10 ** decimal;
+
+const sigmoid = (score) => {
+  const odd = Math.exp(score);
+  return round(odd / (1 + odd), 5);
+};
+
+// Same maps as \`calibrationMaps\` in ebm.js
+const calibrate = (score) => {
+  if (CALIBRATION.type === 'platt') {
+    return sigmoid(CALIBRATION.a * score + CALIBRATION.b);
+  }
+
+  const { scores, probs } = CALIBRATION;
+  const last = scores.length - 1;
+  if (score <= scores[0]) {
+    return probs[0];
+  }
+  if (score >= scores[last]) {
+    return probs[last];
+  }
+  const i = searchSortedLowerIndex(scores, score);
+  const t = (score - scores[i]) / (scores[i + 1] - scores[i]);
+  return round(probs[i] + t * (probs[i + 1] - probs[i]), 5);
+};
+
+const lookUpBin = (dim, value) => {
+  if (isMissing(value)) {
+    return -1;
+  }
+  if (dim.edges !== undefined) {
+    return searchSortedLowerIndex(dim.edges, value);
+  }
+  const bin = dim.levels[String(value)];
+  return bin === undefined ? -1 : bin;
+};
+
+/**
+ * Compute the raw score of one sample.
+ * @param {object[]} sample Feature values in the order of \`featureNames\`
+ * @returns {number | number[]} Log odds (binary classification), per-class log
+ *  odds (multiclass classification), or the score on the link scale
+ *  (regression)
+ */
+export const predictScore = (sample) => {
+  // Add the intercept last, in the same order as EBM.predict()
+  const scores = new Array(NUM_SCORES).fill(0);
+  MAIN_TERMS.forEach((term, j) => {
+    const bin = lookUpBin(term, sample[j]);
+    const offset = bin >= 0 ? bin * NUM_SCORES : 0;
+    let termScores = term.scores;
+    if (bin < 0) {
+      termScores = isMissing(sample[j]) ? term.missing : term.unknown;
+    }
+    for (let c = 0; c < NUM_SCORES; c++) {
+      scores[c] += termScores[offset + c];
+    }
+  });
+
+  INTERACTION_TERMS.forEach((term) => {
+    let offset = 0;
+    for (let d = 0; d < term.features.length; d++) {
+      const bin = lookUpBin(term.dims[d], sample[term.features[d]]);
+      if (bin < 0) {
+        return;
+      }
+      offset += bin * term.strides[d];
+    }
+    for (let c = 0; c < NUM_SCORES; c++) {
+      scores[c] += term.scores[offset + c];
+    }
+  });
+
+  for (let c = 0; c < NUM_SCORES; c++) {
+    scores[c] += INTERCEPT[c];
+  }
+  return IS_MULTICLASS ? scores : scores[0];
+};
+
+/**
+ * Compute the predicted probabilities of one sample.
+ * @param {object[]} sample Feature values in the order of \`featureNames\`
+ * @returns {number | number[]} Probability of the positive class (binary,
+ *  calibrated if the model has a calibration), probabilities of all classes
+ *  (multiclass), or the predicted value in response units (regression)
+ */
+export const predictProb = (sample) => {
+  const score = predictScore(sample);
+
+  if (IS_MULTICLASS) {
+    const maxScore = Math.max(...score);
+    const odds = score.map((d) => Math.exp(d - maxScore));
+    const oddSum = odds.reduce((a, b) => a + b);
+    return odds.map((d) => round(d / oddSum, 5));
+  }
+
+  if (IS_CLASSIFIER) {
+    return CALIBRATION === null ? sigmoid(score) : calibrate(score);
+  }
+  return LINK === 'log' ? Math.exp(score) : score;
+};
+
+/**
+ * Predict one sample.
+ * @param {object[]} sample Feature values in the order of \`featureNames\`
+ * @param {boolean} rawScore True to get the raw score instead of the label
+ * @returns {number | number[]} The predicted class index for classification,
+ *  the predicted value for regression, or the raw score
+ */
+export const predict = (sample, rawScore = false) => {
+  if (rawScore) {
+    return predictScore(sample);
+  }
+  if (!IS_CLASSIFIER) {
+    return predictProb(sample);
+  }
+
+  const prob = predictProb(sample);
+  if (IS_MULTICLASS) {
+    let maxIndex = 0;
+    for (let c = 1; c < prob.length; c++) {
+      if (prob[c] > prob[maxIndex]) {
+        maxIndex = c;
+      }
+    }
+    return maxIndex;
+  }
+  return prob >= DECISION_THRESHOLD ? 1 : 0;
+};
+`;
+
+/**
+ * Generate the source code of a self-contained ES module that scores samples
+ * with the given model. The module exports `featureNames`, `featureTypes`,
+ * `classes`, `predictScore(sample)`, `predictProb(sample)`, and
+ * `predict(sample, rawScore)`. All bin edges and scores are inlined as
+ * constants, and the module has no imports.
+ * @param {object} model Trained EBM model in JSON format
+ * @returns {string} Source code of the generated module
+ */
+export const generateScorerModule = (model) => {
+  const ebm = new EBM(model);
+  const numScores = ebm.isMulticlass ? ebm.numClasses : 1;
+
+  const mainTerms = ebm.featureNames.map((_, j) => ({
+    ...compileDimension(ebm, j, ebm.binEdges[j]),
+    scores: flattenScores(ebm.scores[j]),
+    missing: flattenScores(ebm.missingScores[j]),
+    unknown: flattenScores(ebm.unknownScores[j])
+  }));
+
+  // Flatten the score tensors and use strides to locate a cell
+  const interactionTerms = ebm.interactionIndexes.map((indexes, t) => {
+    const binEdges = ebm.interactionBinEdges[t];
+    const strides = new Array(indexes.length);
+    let stride = numScores;
+    for (let d = indexes.length - 1; d >= 0; d--) {
+      strides[d] = stride;
+      stride *= binEdges[d].length;
+    }
+
+    return {
+      name: ebm.interactionNames[t],
+      features: indexes,
+      dims: indexes.map((j, d) => compileDimension(ebm, j, binEdges[d])),
+      strides,
+      scores: flattenScores(ebm.interactionScores[t])
+    };
+  });
+
+  const intercept = ebm.isMulticlass ? ebm.intercept : [ebm.intercept];
+  const classes = model.modelInfo?.classes ?? null;
+
+  // JSON keeps the full precision of the scores
+  const constant = (name, value) =>
+    `const ${name} = ${JSON.stringify(value)};\n`;
+
+  return (
+    '/**\n' +
+    ' * EBM scoring module generated from a trained model. Do not edit, ' +
+    'regenerate it\n' +
+    ' * from the model JSON instead.\n' +
+    ` * Model type: ${ebm.isClassifier ? 'classifier' : 'regressor'}, ` +
+    `${ebm.featureNames.length} features, ` +
+    `${ebm.interactionIndexes.length} interactions, ${ebm.link} link\n` +
+    ' */\n\n' +
+    constant('IS_CLASSIFIER', ebm.isClassifier) +
+    constant('IS_MULTICLASS', ebm.isMulticlass) +
+    constant('LINK', ebm.link) +
+    constant('CALIBRATION', ebm.calibration) +
+    constant('DECISION_THRESHOLD', ebm.decisionThreshold) +
+    constant('NUM_SCORES', numScores) +
+    constant('INTERCEPT', intercept) +
+    constant('MAIN_TERMS', mainTerms) +
+    constant('INTERACTION_TERMS', interactionTerms) +
+    '\n' +
+    `export const featureNames = ${JSON.stringify(ebm.featureNames)};\n` +
+    `export const featureTypes = ${JSON.stringify(ebm.featureTypes)};\n` +
+    `export const classes = ${JSON.stringify(classes)};\n\n` +
+    runtimeSource
+  );
+};
+
+/**
+ * Check that a generated scoring module gives the same predictions as
+ * `EBM.predict()`.
+ * @param {object} model Trained EBM model in JSON format
+ * @param {object} scorer The imported generated module
+ * @param {object[][]} samples Samples to compare on
+ * @param {number} tolerance Max allowed difference of the raw scores
+ * @returns {object} {isMatching, maxScoreDiff, numLabelMismatches,
+ *  numSamples}
+ */
+export const checkScorerParity = (model, scorer, samples, tolerance = 1e-9) => {
+  const ebm = new EBM(model);
+  const expectedScores = ebm.predict(samples, true);
+  const expectedLabels = ebm.predict(samples);
+
+  let maxScoreDiff = 0;
+  let numLabelMismatches = 0;
+
+  samples.forEach((sample, i) => {
+    const expected = ebm.isMulticlass
+      ? Array.from(expectedScores[i])
+      : [expectedScores[i]];
+    const actual = [].concat(scorer.predict(sample, true));
+    expected.forEach((d, c) => {
+      maxScoreDiff = Math.max(maxScoreDiff, Math.abs(d - actual[c]));
+    });
+
+    if (scorer.predict(sample) !== expectedLabels[i]) {
+      numLabelMismatches++;
+    }
+  });
+
+  return {
+    isMatching: maxScoreDiff <= tolerance && numLabelMismatches === 0,
+    maxScoreDiff,
+    numLabelMismatches,
+    numSamples: samples.length
+  };
+};
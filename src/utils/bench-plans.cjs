@@ -0,0 +1,168 @@
+/**
+ * Plan Generation Benchmark
+ * -------------------------
+ * Purpose: Measure how much faster a batch of plans is when GAMCoach keeps one solver session
+ * for the batch (`keepSession`), instead of starting a new one for every plan.
+ *
+ * What a session saves: every new session starts a GLPK web worker, instantiates the GLPK
+ * WebAssembly module in it, and builds the JSON MILP model from the options. A kept session does
+ * this once per batch, and the next plans only mute variables or add diversity rows in the JSON
+ * model. glpk.js still builds its problem from the whole JSON model on every solve, and each solve
+ * starts from scratch, so the solving time itself does not change.
+ *
+ * What this script does:
+ * 1. Reads the model (the bundled one by default) and its random samples
+ * 2. For each of the first samples, generates a batch of plans like the plan view does: one plan
+ *    with generateCfs() and the others with generateSubCfs(), at most 4 features per plan, and a
+ *    target 1 above the prediction for regressors
+ * 3. Runs every batch once without and once with a kept session, and prints the times and
+ *    whether both give the same plans
+ *
+ * glpk.js runs in a web worker, which Node does not have, so the script runs the worker code on
+ * worker_threads.
+ *
+ * Usage:
+ * > node src/utils/bench-plans.cjs [<model.json> <samples.json>] [--samples 5] [--plans 5]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { resolveObjectURL } = require('buffer');
+const { Worker: ThreadWorker } = require('worker_threads');
+
+/**
+ * The part of the Web Worker API that glpk.js uses, on worker_threads. The worker code comes from
+ * a blob URL, and it talks through self.onmessage and self.postMessage.
+ */
+class BlobWorker {
+    constructor(url) {
+        this.onmessage = null;
+        this.onerror = null;
+        this.thread = resolveObjectURL(url).text().then((code) => {
+            const prelude = `
+                const { parentPort } = require('worker_threads');
+                globalThis.self = globalThis;
+                self.postMessage = (data) => parentPort.postMessage(data);
+                parentPort.on('message', (data) => self.onmessage({ data }));
+            `;
+            const thread = new ThreadWorker(prelude + code, { eval: true });
+            thread.on('message', (data) => this.onmessage?.({ data }));
+            thread.on('error', (error) => this.onerror?.({ message: String(error), preventDefault() {} }));
+            return thread;
+        });
+    }
+
+    postMessage(data) {
+        this.thread.then((thread) => thread.postMessage(data));
+    }
+
+    terminate() {
+        this.thread.then((thread) => thread.terminate());
+    }
+}
+
+/**
+ * Generate one batch of plans for a sample.
+ * @param {GAMCoach} coach
+ * @param {object} config generateCfs() config
+ * @param {number} numPlans Number of plans in the batch
+ * @param {boolean} keepSession True to keep one solver session for the batch
+ * @returns {Promise<object>} {time, plans}, the time in ms and the active variables of each plan
+ */
+const generateBatch = async (coach, config, numPlans, keepSession) => {
+    const start = performance.now();
+    let cfs = await coach.generateCfs({ ...config, totalCfs: 1, keepSession });
+    const plans = [cfs.activeVariables[0]];
+
+    while (plans.length < numPlans && cfs.isSuccessful) {
+        cfs = await coach.generateSubCfs(cfs.nextCfConfig);
+        plans.push(cfs.activeVariables[0]);
+    }
+    coach.endSession(cfs.nextCfConfig);
+
+    return { time: performance.now() - start, plans };
+};
+
+/**
+ * Time the plan batches given on the command line
+ */
+const benchPlans = async () => {
+    try {
+        const args = process.argv.slice(2);
+        const getFlag = (name, defaultValue) => {
+            const index = args.indexOf(name);
+            if (index === -1) {
+                return defaultValue;
+            }
+            const value = parseInt(args.splice(index, 2)[1], 10);
+            if (!(value > 0)) {
+                throw new Error(`${name} needs a positive integer`);
+            }
+            return value;
+        };
+        const numSamples = getFlag('--samples', 5);
+        const numPlans = getFlag('--plans', 5);
+
+        if (args.length !== 0 && args.length !== 2) {
+            throw new Error(
+                'Usage: node src/utils/bench-plans.cjs [<model.json> <samples.json>] [--samples 5] [--plans 5]'
+            );
+        }
+        const dataDir = path.join(__dirname, '..', 'data');
+        const [modelPath, samplesPath] = args.length === 2
+            ? args
+            : [path.join(dataDir, 'cgm1-classifier.json'), path.join(dataDir, 'CGM-classifier-random-samples.json')];
+
+        globalThis.Worker = BlobWorker;
+        const { GAMCoach } = await import(pathToFileURL(path.join(__dirname, '..', 'ebm', 'gamcoach.js')).href);
+        const { EBM } = await import(pathToFileURL(path.join(__dirname, '..', 'ebm', 'ebm.js')).href);
+
+        const [model, samples] = await Promise.all(
+            [modelPath, samplesPath].map(async (filePath) => JSON.parse(await fs.promises.readFile(filePath, 'utf8')))
+        );
+        const ebm = new EBM(model);
+
+        // GAMCoach logs every solve
+        const log = console.log;
+        console.log = () => {};
+
+        const configs = samples.slice(0, numSamples).map((sample) => {
+            const config = { curExample: [sample], maxNumFeaturesToVary: 4 };
+            if (!model.isClassifier) {
+                config.targetRange = [ebm.predict([sample])[0] + 1, Infinity];
+            }
+            return config;
+        });
+
+        // Warm up, so the first timed batch does not pay for loading the code
+        await generateBatch(new GAMCoach(model), configs[0], 1, false);
+
+        log(`Model: ${path.basename(modelPath)}, ${numPlans} plans for each of ${configs.length} samples\n`);
+        const totals = [0, 0];
+        let isSame = true;
+
+        for (const config of configs) {
+            const coach = new GAMCoach(model);
+            const batches = [];
+            for (const keepSession of [false, true]) {
+                batches.push(await generateBatch(coach, config, numPlans, keepSession));
+            }
+
+            totals[0] += batches[0].time;
+            totals[1] += batches[1].time;
+            isSame = isSame && JSON.stringify(batches[0].plans) === JSON.stringify(batches[1].plans);
+            log(`New session per plan: ${batches[0].time.toFixed(0)} ms, one session: ${batches[1].time.toFixed(0)} ms`);
+        }
+
+        log(`\nTotal: ${totals[0].toFixed(0)} ms => ${totals[1].toFixed(0)} ms (${(totals[0] / totals[1]).toFixed(1)}x)`);
+        log(isSame ? 'Both give the same plans' : 'The plans differ');
+        console.log = log;
+    } catch (error) {
+        console.error('Error timing the plans:', error.message);
+        process.exitCode = 1;
+    }
+};
+
+// Run the benchmark
+benchPlans();
@@ -0,0 +1,88 @@
+/**
+ * Scoring Module Generation Script
+ * --------------------------------
+ * Purpose: Generate a self-contained ES module with a `predict(sample)` function from a model
+ * JSON, so other services can use the model predictions without loading this app or the JSON.
+ *
+ * What this script does:
+ * 1. Reads the model JSON
+ * 2. Generates the scoring module with src/ebm/scorerGenerator.js (bin edges and scores are
+ *    inlined as constants, the module has no imports)
+ * 3. Writes the module
+ * 4. If a sample file is given, imports the written module and checks that it gives the same
+ *    raw scores and labels as `EBM.predict` on all samples
+ *
+ * Usage:
+ * > node src/utils/generate-scorer.cjs <model.json> <scorer.mjs> [--samples <samples.json>]
+ *
+ * The sample file is a JSON array of samples, e.g. src/data/CGM-classifier-random-samples.json.
+ * Exit code is 1 if the generation fails or the parity check finds a difference.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * Parse the command line arguments
+ * @param {string[]} args Arguments after the script name
+ * @returns {{modelPath: string, outputPath: string, samplesPath: string | null}}
+ */
+const parseArgs = (args) => {
+    const positional = [];
+    let samplesPath = null;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--samples') {
+            samplesPath = args[++i];
+        } else {
+            positional.push(args[i]);
+        }
+    }
+
+    if (positional.length !== 2) {
+        throw new Error(
+            'Usage: node src/utils/generate-scorer.cjs <model.json> <scorer.mjs> [--samples <samples.json>]'
+        );
+    }
+
+    return { modelPath: positional[0], outputPath: positional[1], samplesPath };
+};
+
+/**
+ * Generate the scoring module and run the parity check
+ */
+const generateScorer = async () => {
+    try {
+        const { modelPath, outputPath, samplesPath } = parseArgs(process.argv.slice(2));
+
+        // The generator is an ES module shared with the app
+        const { generateScorerModule, checkScorerParity } = await import(
+            pathToFileURL(path.join(__dirname, '..', 'ebm', 'scorerGenerator.js')).href
+        );
+
+        const model = JSON.parse(await fs.promises.readFile(modelPath, 'utf8'));
+        await fs.promises.writeFile(outputPath, generateScorerModule(model));
+        console.log(`Wrote the scoring module to ${outputPath}`);
+
+        if (samplesPath === null) return;
+
+        const samples = JSON.parse(await fs.promises.readFile(samplesPath, 'utf8'));
+        const scorer = await import(pathToFileURL(path.resolve(outputPath)).href);
+        const result = checkScorerParity(model, scorer, samples);
+
+        console.log(`Compared ${result.numSamples} samples: max raw score difference ` +
+            `${result.maxScoreDiff}, ${result.numLabelMismatches} label mismatches`);
+
+        if (!result.isMatching) {
+            console.error('The generated module does not match EBM.predict');
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Error generating the scoring module:', error.message);
+        process.exitCode = 1;
+    }
+};
+
+// Run the generation
+generateScorer();
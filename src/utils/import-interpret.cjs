@@ -0,0 +1,95 @@
+/**
+ * InterpretML Model Import Script
+ * -------------------------------
+ * Purpose: Convert the native JSON export of an InterpretML EBM (`ebm.to_json()`) into the model
+ * format used by this app, so new models do not have to be edited or renamed by hand.
+ *
+ * What this script does:
+ * 1. Reads the InterpretML export
+ * 2. Converts it with src/ebm/interpretImporter.js (features, encoders, bin edges, histograms,
+ *    MADs, categorical distances, and default config/description blocks)
+ * 3. Validates the converted model and prints the errors and warnings
+ * 4. Writes the model JSON if it is valid
+ *
+ * Usage:
+ * > node src/utils/import-interpret.cjs <export.json> <model.json> [--regression-name <name>]
+ *
+ * Exit code is 1 if the export cannot be converted or the converted model is invalid.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * Parse the command line arguments
+ * @param {string[]} args Arguments after the script name
+ * @returns {{inputPath: string, outputPath: string, options: object}}
+ */
+const parseArgs = (args) => {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--regression-name') {
+            options.regressionName = args[++i];
+        } else {
+            positional.push(args[i]);
+        }
+    }
+
+    if (positional.length !== 2) {
+        throw new Error(
+            'Usage: node src/utils/import-interpret.cjs <export.json> <model.json> [--regression-name <name>]'
+        );
+    }
+
+    return { inputPath: positional[0], outputPath: positional[1], options };
+};
+
+/**
+ * Print the issues of a validation report
+ * @param {string} title Issue type
+ * @param {{path: string, message: string}[]} issues
+ */
+const printIssues = (title, issues) => {
+    if (issues.length === 0) return;
+    console.log(`\n${title} (${issues.length}):`);
+    issues.forEach((issue) => console.log(`  ${issue.path}: ${issue.message}`));
+};
+
+/**
+ * Convert the export and write the model
+ */
+const importModel = async () => {
+    try {
+        const { inputPath, outputPath, options } = parseArgs(process.argv.slice(2));
+
+        // The importer is an ES module shared with the app
+        const { importInterpretModel } = await import(
+            pathToFileURL(path.join(__dirname, '..', 'ebm', 'interpretImporter.js')).href
+        );
+
+        const exportJson = JSON.parse(await fs.promises.readFile(inputPath, 'utf8'));
+        const { model, report } = importInterpretModel(exportJson, options);
+
+        printIssues('Errors', report.errors);
+        printIssues('Warnings', report.warnings);
+
+        if (!report.isValid) {
+            console.error('\nThe converted model is invalid, nothing was written');
+            process.exitCode = 1;
+            return;
+        }
+
+        await fs.promises.writeFile(outputPath, JSON.stringify(model));
+        console.log(`\nWrote ${model.featureNames.length} features and ` +
+            `${model.features.length - model.featureNames.length} interactions to ${outputPath}`);
+    } catch (error) {
+        console.error('Error importing the model:', error.message);
+        process.exitCode = 1;
+    }
+};
+
+// Run the import
+importModel();
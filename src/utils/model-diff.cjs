@@ -0,0 +1,54 @@
+/**
+ * Model Diff Script
+ * -----------------
+ * Purpose: Compare two model JSON files and report how the model changed, instead of only
+ * telling that the files differ (see json-compare.cjs).
+ *
+ * What this script does:
+ * 1. Reads and validates both models
+ * 2. Compares them with src/ebm/modelDiff.js
+ * 3. Prints, for each feature and interaction: added/removed terms, changed bin edges, the max
+ *    and mean additive deltas, importance changes, MAD changes and config/constraint changes,
+ *    plus the link function, calibration and decision threshold changes and the intercept
+ *    shift
+ *
+ * The shape function overlay of the same diff is at the #diff page of the app (`npm run dev`).
+ *
+ * Usage:
+ * > node src/utils/model-diff.cjs <old-model.json> <new-model.json>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * Compare the two models given on the command line
+ */
+const diffModelFiles = async () => {
+    try {
+        const args = process.argv.slice(2);
+        if (args.length !== 2) {
+            throw new Error('Usage: node src/utils/model-diff.cjs <old-model.json> <new-model.json>');
+        }
+
+        // The diff is an ES module shared with the app
+        const { diffModels, formatModelDiff } = await import(
+            pathToFileURL(path.join(__dirname, '..', 'ebm', 'modelDiff.js')).href
+        );
+
+        const [oldModel, newModel] = await Promise.all(
+            args.map(async (filePath) => JSON.parse(await fs.promises.readFile(filePath, 'utf8')))
+        );
+
+        console.log(`Old model: ${path.basename(args[0])}`);
+        console.log(`New model: ${path.basename(args[1])}\n`);
+        console.log(formatModelDiff(diffModels(oldModel, newModel)));
+    } catch (error) {
+        console.error('Error comparing the models:', error.message);
+        process.exitCode = 1;
+    }
+};
+
+// Run the comparison
+diffModelFiles();